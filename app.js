@@ -8,30 +8,58 @@
 const express = require('express');
 const cookieParser = require('cookie-parser');
 const path = require('path');
+const crypto = require('crypto');
 
 // Data store utilities for managing employee and user data persistence
 const employeeStore = require('./utils/employeeStore');
+const departmentStore = require('./utils/departmentStore');
+const customFieldStore = require('./utils/customFieldStore');
 const userStore = require('./utils/userStore');
+const apiKeyStore = require('./utils/apiKeyStore');
+const auditStore = require('./utils/auditStore');
+const employeeHistoryStore = require('./utils/employeeHistoryStore');
+const passwordResetStore = require('./utils/passwordResetStore');
+const { flushAll } = require('./utils/jsonFile');
 
 // Route handlers for different parts of the application
 const adminRoutes = require('./routes/adminRoutes');
 const userRoutes = require('./routes/userRoutes');
-const employeeRoutes = require('./routes/employeeRoutes');
+const apiRoutes = require('./routes/apiRoutes');
+
+// Session middleware - resolves the signed session cookie to a server-side session
+const { loadSession } = require('./middleware/sessionMiddleware');
+const { loadAccount } = require('./middleware/authMiddleware');
+
+// CSRF protection - per-session tokens required on every web form post
+const { provideCsrfToken, verifyCsrfToken } = require('./middleware/csrfMiddleware');
+
+// Current REST API path; the unversioned /api paths are a deprecated alias
+const { API_BASE } = require('./utils/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Secret used to sign session cookies. Without SESSION_SECRET a random one is
+// generated, which is fine because sessions are held in memory anyway.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Largest form body accepted (CSV imports are sent in the body; the API parses
+// its own JSON bodies, see apiRoutes.js)
+const BODY_LIMIT = '2mb';
+
 // View Engine Configuration - EJS for server-side rendering
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
 /**
  * Middleware Stack Configuration
- * Order matters: parsers first, then static files, then logging
+ * Order matters: parsers and session first, then static files, then logging
  */
-app.use(express.json());                                    // Parse JSON request bodies
-app.use(express.urlencoded({ extended: true }));            // Parse URL-encoded form data
-app.use(cookieParser());                                    // Parse cookies for authentication
+app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT }));  // Parse URL-encoded form data
+app.use(cookieParser(SESSION_SECRET));                      // Parse and verify signed cookies
+app.use(loadSession);                                       // Attach server-side session as req.session
+app.use(loadAccount);                                       // Attach logged-in account as req.account
+app.use(provideCsrfToken);                                  // Expose csrfToken() to views
 app.use(express.static(path.join(__dirname, 'public')));    // Serve static files (CSS, images)
 
 // Request logging middleware - logs timestamp, HTTP method, and URL for debugging
@@ -41,15 +69,30 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * Mark a response from the deprecated unversioned API, pointing at the same
+ * resource under /api/v1.
+ */
+function deprecatedApi(req, res, next) {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${API_BASE}${req.url}>; rel="successor-version"`);
+  next();
+}
+
 /**
  * Route Mounting
- * - /admin/*         -> Admin panel (login, dashboard, employee management)
- * - /api/employees/* -> REST API endpoints for CRUD operations
- * - /*               -> Public routes (directory, user auth)
+ * - /admin/*            -> Admin panel (login, dashboard, employee management)
+ * - /api/v1/*           -> REST API: employees, departments and custom fields (API key
+ *                          required), plus its OpenAPI document and docs page (see apiRoutes.js)
+ * - /api/*              -> Deprecated alias of /api/v1, kept for existing clients
+ * - /*                  -> Public routes (directory, user auth)
+ * Form posts to the admin panel and public routes need a CSRF token; the API
+ * uses API keys instead of cookies, so it doesn't.
  */
-app.use('/admin', adminRoutes);
-app.use('/api/employees', employeeRoutes);
-app.use('/', userRoutes);
+app.use('/admin', verifyCsrfToken, adminRoutes);
+app.use(API_BASE, apiRoutes);
+app.use('/api', deprecatedApi, apiRoutes);
+app.use('/', verifyCsrfToken, userRoutes);
 
 // 404 Error Handler - catches all unmatched routes
 app.use((req, res) => {
@@ -78,11 +121,21 @@ app.use((err, req, res, next) => {
 async function startServer() {
   try {
     // Initialize data stores - loads JSON files and builds indexes
+    await auditStore.init();  // First: the other stores record their changes in it
+    await employeeHistoryStore.init();  // Before employees: every change stores a version
     await employeeStore.init();
+    await departmentStore.init();  // After employees: adds departments they already use
+    await customFieldStore.init();
     await userStore.init();
+    await apiKeyStore.init();
+    await passwordResetStore.init();
+
+    // First run: create the initial admin from ADMIN_USERNAME / ADMIN_PASSWORD
+    await userStore.bootstrapAdmin();
 
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
+      console.log(`Employee storage: ${employeeStore.backend}`);
       console.log(`Admin login: http://localhost:${PORT}/admin/login`);
       console.log(`User signup: http://localhost:${PORT}/signup`);
     });
@@ -92,4 +145,29 @@ async function startServer() {
   }
 }
 
+/**
+ * Graceful Shutdown
+ * Writes out debounced saves, queued audit entries and history versions before exiting, so a
+ * change acknowledged just before Ctrl+C or a SIGTERM from a process manager is not lost.
+ */
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`${signal} received, saving data...`);
+  try {
+    await flushAll();
+    await auditStore.flush();
+    await employeeHistoryStore.flush();
+  } catch (error) {
+    console.error('Failed to save data on shutdown:', error.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 startServer();
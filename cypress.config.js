@@ -1,4 +1,5 @@
 const { defineConfig } = require('cypress');
+const storageTasks = require('./cypress/plugins/storageTasks');
 
 module.exports = defineConfig({
   e2e: {
@@ -12,6 +13,9 @@ module.exports = defineConfig({
     defaultCommandTimeout: 10000,
     chromeWebSecurity: false,
     setupNodeEvents(on, config) {
+      // Node-side checks of the persistence layer (see cypress/plugins/storageTasks.js)
+      on('task', storageTasks);
+
       on('before:browser:launch', (browser, launchOptions) => {
         if (browser.name === 'chrome') {
           launchOptions.args.push('--disable-gpu');
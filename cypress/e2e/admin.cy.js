@@ -20,6 +20,23 @@ describe('Admin Authentication', () => {
     cy.url().should('include', '/admin/login');
   });
 
+  it('should reject credentials sent as lists without crashing the server', () => {
+    cy.getCsrfToken('/admin/login').then((token) => {
+      cy.request({
+        method: 'POST',
+        url: '/admin/login',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `_csrf=${token}&username[]=admin&username[]=other&password=admin123`,
+        failOnStatusCode: false
+      }).then((response) => {
+        expect(response.status).to.eq(200);
+        expect(response.body).to.include('Invalid username or password');
+      });
+    });
+
+    cy.request('/admin/login').its('status').should('eq', 200);
+  });
+
   it('should login successfully with valid credentials', () => {
     cy.adminLogin();
     cy.contains('Welcome, Admin!').should('be.visible');
@@ -31,6 +48,23 @@ describe('Admin Authentication', () => {
     cy.url().should('include', '/admin/login');
   });
 
+  it('should reject a forged admin cookie', () => {
+    cy.setCookie('adminToken', 'admin_authenticated');
+    cy.setCookie('sid', 's:forged-session-id.invalidsignature');
+    cy.visit('/admin/dashboard');
+    cy.url().should('include', '/admin/login');
+  });
+
+  it('should not reuse the session ID after logout', () => {
+    cy.adminLogin();
+    cy.getCookie('sid').then((cookie) => {
+      cy.visit('/admin/logout');
+      cy.setCookie('sid', cookie.value);
+      cy.visit('/admin/dashboard');
+      cy.url().should('include', '/admin/login');
+    });
+  });
+
   it('should logout successfully', () => {
     cy.adminLogin();
     cy.contains('Logout').click();
@@ -64,7 +98,7 @@ describe('Admin Dashboard', () => {
   it('should display all employees table', () => {
     cy.contains('All Employees').should('be.visible');
     cy.get('table').should('be.visible');
-    cy.get('table thead th').should('have.length', 9);
+    cy.get('table thead th').should('have.length', 10);
   });
 
   it('should navigate to Add Employee page', () => {
@@ -72,4 +106,460 @@ describe('Admin Dashboard', () => {
     cy.url().should('include', '/admin/employee/add');
     cy.contains('Add New Employee').should('be.visible');
   });
+
+  it('should show admin fields, actions and recent history on an employee profile', () => {
+    cy.get('table tbody tr').first().find('a[href^="/employees/"]').click();
+    cy.url().should('match', /\/employees\/\d+$/);
+
+    cy.get('#profileDetails').should('contain', 'Employee ID');
+    cy.get('#profileActions').should('contain', 'Edit').and('contain', 'Archive');
+    cy.get('#recentHistory li').should('have.length.greaterThan', 0);
+    cy.get('#fullHistoryLink').click();
+    cy.url().should('match', /\/employees\/\d+\/history$/);
+  });
+
+  it('should filter the employee list and export it as filtered', () => {
+    cy.get('#filterDepartment').select('Engineering');
+    cy.get('#employeeFilters').submit();
+    cy.url().should('include', 'department=Engineering');
+    cy.get('table tbody tr').each(($row) => cy.wrap($row).should('contain', 'Engineering'));
+
+    cy.get('#column-contact').uncheck({ force: true });
+    cy.get('#exportOptions form').then(($form) => {
+      cy.request(`/admin/employee/export?${$form.serialize()}`).then((response) => {
+        expect(response.headers['content-type']).to.include('text/csv');
+        expect(response.headers['content-disposition']).to.include('attachment');
+
+        const [header, ...rows] = response.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+        expect(header).to.eq('ID,Name,Designation,Email,Department,Joining Date,Location,Manager ID');
+        rows.forEach((row) => expect(row).to.include('Engineering'));
+      });
+    });
+  });
+
+  it('should change the location of selected employees in bulk', () => {
+    cy.get('.employee-select').eq(0).check();
+    cy.get('.employee-select').eq(1).check();
+    cy.get('#bulkLocation').type('Bulk City');
+    cy.get('#bulkSetLocation').click();
+
+    // The result is shown after a redirect, so reloading doesn't submit the action again
+    cy.location('pathname').should('eq', '/admin/dashboard');
+    cy.contains('Changed the location of 2 employees to Bulk City').should('be.visible');
+    cy.get('table tbody tr').eq(0).should('contain', 'Bulk City');
+    cy.get('table tbody tr').eq(1).should('contain', 'Bulk City');
+
+    // A blank location is refused before any employee is changed
+    cy.get('#selectAll').check();
+    cy.get('#bulkSetLocation').click();
+    cy.contains('Enter the new location').should('be.visible');
+
+    // The message is shown once
+    cy.reload();
+    cy.contains('Enter the new location').should('not.exist');
+  });
+
+  it('should refuse a bulk action for a selection that is not a list of employee IDs', () => {
+    cy.getCsrfToken('/admin/dashboard').then((token) => {
+      cy.request({
+        method: 'POST',
+        url: '/admin/employee/bulk',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `_csrf=${token}&ids=1&ids=abc&action=delete`,
+        followRedirect: false
+      }).its('redirectedToUrl').should('match', /\/admin\/dashboard$/);
+    });
+
+    cy.visit('/admin/dashboard');
+    cy.contains('Invalid employee selection').should('be.visible');
+    cy.contains('Employee #NaN').should('not.exist');
+  });
+});
+
+describe('Account Management', () => {
+  const newAdmin = `admin_${Date.now()}`;
+  const adminPassword = 'adminpass123';
+
+  beforeEach(() => {
+    cy.adminLogin();
+  });
+
+  it('should create another admin who can log in', () => {
+    cy.visit('/admin/accounts');
+    cy.get('#username').type(newAdmin);
+    cy.get('#password').type(adminPassword);
+    cy.get('#role').select('admin');
+    cy.contains('button', 'Create Account').click();
+    cy.contains(`Account "${newAdmin}" created as admin`).should('be.visible');
+
+    cy.adminLogout();
+    cy.visit('/admin/login');
+    cy.get('#username').type(newAdmin);
+    cy.get('#password').type(adminPassword);
+    cy.get('button[type="submit"]').click();
+    cy.url().should('include', '/admin/dashboard');
+    cy.contains(newAdmin).should('be.visible');
+  });
+
+  it('should block a disabled admin from logging in', () => {
+    cy.visit('/admin/accounts');
+    cy.contains('tr', newAdmin).find('button[title="Disable"]').click();
+    cy.contains('tr', newAdmin).should('contain', 'Disabled');
+
+    cy.adminLogout();
+    cy.visit('/admin/login');
+    cy.get('#username').type(newAdmin);
+    cy.get('#password').type(adminPassword);
+    cy.get('button[type="submit"]').click();
+    cy.contains('Invalid username or password').should('be.visible');
+  });
+
+  it('should reject short passwords', () => {
+    cy.visit('/admin/accounts');
+    cy.get('#username').type(`short_${Date.now()}`);
+    cy.get('#password').type('short');
+    cy.contains('button', 'Create Account').click();
+    cy.contains('Password must be at least 6 characters').should('be.visible');
+  });
+
+  it('should keep viewers out of the admin panel until promoted', () => {
+    const viewer = `viewer_${Date.now()}`;
+    cy.adminLogout();
+    cy.userSignup(viewer, 'viewerpass1');
+    cy.visit('/admin/dashboard');
+    cy.url().should('include', '/admin/login');
+    cy.userLogout();
+
+    cy.adminLogin();
+    cy.visit('/admin/accounts');
+    cy.contains('tr', viewer).find('select[name="role"]').select('admin');
+    cy.contains('tr', viewer).find('button[title="Change Role"]').click();
+    cy.contains(`"${viewer}" is now admin`).should('be.visible');
+
+    cy.adminLogout();
+    cy.visit('/admin/login');
+    cy.get('#username').type(viewer);
+    cy.get('#password').type('viewerpass1');
+    cy.get('button[type="submit"]').click();
+    cy.url().should('include', '/admin/dashboard');
+  });
+});
+
+describe('Department Management', () => {
+  beforeEach(() => {
+    cy.adminLogin();
+  });
+
+  it('should create a department and rename it across its employees', () => {
+    const name = `Dept ${Date.now()}`;
+    const employeeEmail = `dept.${Date.now()}@company.com`;
+
+    cy.visit('/admin/departments');
+    cy.get('#name').type(name);
+    cy.get('#costCenter').type('CC-9000');
+    cy.contains('button', 'Create Department').click();
+    cy.contains(`Department "${name}" created`).should('be.visible');
+
+    // The new department is offered on the employee form
+    cy.visit('/admin/employee/add');
+    cy.get('#name').type('Department Member');
+    cy.get('#designation').type('Analyst');
+    cy.get('#email').type(employeeEmail);
+    cy.get('#contact').type('+1-555-000-0000');
+    cy.get('#department').select(name);
+    cy.get('#joiningDate').type('2024-01-01');
+    cy.get('#location').type('Test City, TC');
+    cy.get('button[type="submit"]').click();
+
+    cy.visit('/admin/departments');
+    cy.contains('tr', name).find('a[title="Edit"]').click();
+    cy.get('#name').clear().type(`${name} Renamed`);
+    cy.contains('button', 'Save Department').click();
+    cy.contains(`Department "${name} Renamed" saved`).should('be.visible');
+
+    cy.visit('/admin/dashboard');
+    cy.contains('tr', employeeEmail).should('contain', `${name} Renamed`);
+  });
+
+  it('should refuse to delete a department that has employees', () => {
+    cy.visit('/admin/departments');
+    cy.contains('tr', 'Engineering').find('a[title="Edit"]').click();
+    cy.contains('button', 'Delete').click();
+    cy.contains('Department still has employees').should('be.visible');
+  });
+});
+
+describe('Custom Field Management', () => {
+  const key = `shirt${Date.now()}`;
+  const label = `Shirt Size ${Date.now()}`;
+  const employeeEmail = `custom.${Date.now()}@company.com`;
+
+  beforeEach(() => {
+    cy.adminLogin();
+  });
+
+  it('should define a custom field and fill it in on the employee form', () => {
+    cy.visit('/admin/custom-fields');
+    cy.get('#label').type(label);
+    cy.get('#key').type(key);
+    cy.get('#type').select('enum');
+    cy.get('#options').type('S{enter}M{enter}L');
+    cy.contains('button', 'Add Custom Field').click();
+    cy.contains(`Custom field "${label}" added`).should('be.visible');
+    cy.contains('#customFieldList tr', key).should('contain', 'S, M, L');
+
+    cy.visit('/admin/employee/add');
+    cy.get('#customFieldsHeading').should('be.visible');
+    cy.get('#name').type('Custom Field Member');
+    cy.get('#designation').type('Analyst');
+    cy.get('#email').type(employeeEmail);
+    cy.get('#contact').type('+1-555-000-0000');
+    cy.get('#department').select('Engineering');
+    cy.get('#joiningDate').type('2024-01-01');
+    cy.get('#location').type('Test City, TC');
+    cy.get(`#custom-${key}`).select('M');
+    cy.get('button[type="submit"]').click();
+    cy.url().should('include', '/admin/dashboard');
+
+    cy.contains('tr', employeeEmail).find('a.btn-primary').click();
+    cy.get(`#custom-${key}`).should('have.value', 'M');
+  });
+
+  it('should remove a deleted custom field from employees', () => {
+    cy.visit('/admin/custom-fields');
+    cy.contains('#customFieldList tr', key).find('a[title="Edit"]').click();
+    cy.get('#deleteCustomField').click();
+    cy.contains(`Custom field "${label}" deleted (removed from 1 employees)`).should('be.visible');
+
+    cy.visit('/admin/employee/add');
+    cy.get(`#custom-${key}`).should('not.exist');
+  });
+});
+
+describe('Employee CSV Import', () => {
+  beforeEach(() => {
+    cy.adminLogin();
+  });
+
+  it('should report invalid rows before importing the valid ones', () => {
+    const email = `import.${Date.now()}@company.com`;
+    const csv = [
+      'name,designation,email,contact,department,joiningDate,location',
+      `Imported Person,Analyst,${email},+1-555-000-0000,Engineering,2024-01-01,Test City`,
+      `Bad Date,Analyst,bad.${email},+1-555-000-0000,Engineering,2024-02-31,Test City`
+    ].join('\n');
+
+    cy.visit('/admin/employee/import');
+    cy.get('#csv').invoke('val', csv);
+    cy.get('#checkImport').click();
+
+    cy.get('#importSummary').should('contain', '1 valid').and('contain', '1 invalid');
+    cy.contains('#importReport tr', 'Bad Date').should('contain', 'joiningDate must be a date');
+    cy.visit('/admin/dashboard');
+    cy.contains(email).should('not.exist');
+
+    cy.visit('/admin/employee/import');
+    cy.get('#csv').invoke('val', csv);
+    cy.get('#checkImport').click();
+    cy.get('#commitImport').click();
+    cy.contains('Imported 1 employees (1 invalid rows skipped)').should('be.visible');
+
+    cy.visit('/admin/dashboard');
+    cy.contains('tr', email).should('contain', 'Imported Person');
+  });
+
+  it('should show an error when a required column is missing', () => {
+    cy.visit('/admin/employee/import');
+    cy.get('#csv').invoke('val', 'name,email\nNo Columns,no.columns@company.com');
+    cy.get('#checkImport').click();
+    cy.contains('No column mapped to designation').should('be.visible');
+  });
+});
+
+describe('Audit Log', () => {
+  beforeEach(() => {
+    cy.adminLogin();
+  });
+
+  it('should record an employee edit with the changed fields', () => {
+    const email = `audit.${Date.now()}@company.com`;
+
+    cy.visit('/admin/employee/add');
+    cy.get('#name').type('Audited Person');
+    cy.get('#designation').type('Analyst');
+    cy.get('#email').type(email);
+    cy.get('#contact').type('+1-555-000-0000');
+    cy.get('#department').select('Engineering');
+    cy.get('#joiningDate').type('2024-01-01');
+    cy.get('#location').type('Test City, TC');
+    cy.get('button[type="submit"]').click();
+
+    cy.contains('tr', email).find('a[title="Edit"]').click();
+    cy.get('#designation').clear().type('Senior Analyst');
+    cy.get('button[type="submit"]').click();
+
+    cy.visit('/admin/audit');
+    cy.get('#action').select('employee.update');
+    cy.get('#auditFilters').submit();
+    cy.contains('#auditEntries tr', 'Audited Person')
+      .should('contain', 'admin')
+      .and('contain', 'designation:')
+      .and('contain', 'Analyst')
+      .and('contain', 'Senior Analyst');
+  });
+
+  it('should record department and API key changes with the admin as actor', () => {
+    const name = `Audit Dept ${Date.now()}`;
+
+    cy.visit('/admin/departments');
+    cy.get('#name').type(name);
+    cy.contains('button', 'Create Department').click();
+    cy.contains(`Department "${name}" created`).should('be.visible');
+
+    cy.visit('/admin/api-keys');
+    cy.get('#name').type(name);
+    cy.get('#role').select('viewer');
+    cy.contains('button', 'Issue Key').click();
+    cy.contains('tr', name).find('button[title="Revoke"]').click();
+
+    cy.visit('/admin/audit?targetType=department&action=department.create');
+    cy.contains('#auditEntries tr', name).should('contain', 'admin').and('contain', 'name:');
+
+    cy.visit('/admin/audit?targetType=apiKey');
+    cy.contains('#auditEntries tr', 'apiKey.issue').should('contain', name).and('contain', 'viewer');
+    cy.contains('#auditEntries tr', 'apiKey.revoke').should('contain', name);
+  });
+
+  it('should export the filtered log as CSV', () => {
+    cy.visit('/admin/audit?action=login');
+    cy.get('#auditEntries tbody tr').each(($row) => cy.wrap($row).should('contain', 'login'));
+
+    cy.get('#exportAudit-csv').invoke('attr', 'href').then((href) => {
+      cy.request(href).then((response) => {
+        expect(response.headers['content-type']).to.include('text/csv');
+        expect(response.headers['content-disposition']).to.include('attachment');
+
+        const [header, ...rows] = response.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+        expect(header).to.eq('ID,Timestamp,Actor,Action,Target Type,Target ID,Target,Changes,Details');
+        expect(rows.length).to.be.greaterThan(0);
+        rows.forEach((row) => expect(row).to.match(/,login(\.[a-z_]+)?,/));
+      });
+    });
+  });
+});
+
+describe('Impersonation', () => {
+  it('should let an admin view as a user with a visible banner and return', () => {
+    const target = `impersonated_${Date.now()}`;
+    cy.userSignup(target, 'targetpass1');
+    cy.userLogout();
+
+    cy.adminLogin();
+    cy.visit('/admin/accounts');
+    cy.on('window:confirm', () => true);
+    cy.contains('tr', target).find('button[title="Impersonate"]').click();
+
+    cy.url().should('eq', Cypress.config('baseUrl') + '/');
+    cy.get('.impersonation-banner').should('contain', `Viewing as ${target}`);
+    cy.contains(`Welcome, ${target}`).should('be.visible');
+
+    cy.visit('/admin/dashboard');
+    cy.url().should('include', '/admin/login');
+
+    cy.visit('/');
+    cy.contains('button', 'Stop Impersonating').click();
+    cy.url().should('include', '/admin/accounts');
+    cy.get('.impersonation-banner').should('not.exist');
+  });
+
+  it('should not allow impersonating admins', () => {
+    cy.adminLogin();
+    cy.visit('/admin/accounts');
+    cy.get('tbody tr').each(($row) => {
+      if ($row.find('.badge-department').text().trim() === 'admin' || $row.find('option:selected').text().trim() === 'admin') {
+        cy.wrap($row).find('button[title="Impersonate"]').should('not.exist');
+      }
+    });
+  });
+});
+
+describe('Login Lockout', () => {
+  const failLogin = (username) => cy.getCsrfToken('/login').then((csrf) => cy.request({
+    method: 'POST',
+    url: '/login',
+    form: true,
+    body: { _csrf: csrf, username, password: 'not-the-password' },
+    failOnStatusCode: false
+  }));
+
+  it('should slow down repeated failures for a username', () => {
+    const target = `backoff_${Date.now()}`;
+    failLogin(target);
+    failLogin(target);
+    failLogin(target).its('status').should('eq', 200);
+    failLogin(target).then((response) => {
+      expect(response.status).to.eq(429);
+      expect(response.headers).to.have.property('retry-after');
+    });
+  });
+
+  it('should lock a username until an admin clears it', () => {
+    const target = `locked_${Date.now()}`;
+    cy.userSignup(target, 'lockedpass1');
+    cy.userLogout();
+
+    // Three free attempts, then wait out each backoff until the lockout threshold
+    failLogin(target);
+    failLogin(target);
+    failLogin(target);
+    cy.wait(1100);
+    failLogin(target);
+    cy.wait(2100);
+    failLogin(target);
+
+    cy.userLogin(target, 'lockedpass1');
+    cy.contains('This login is locked').should('be.visible');
+
+    cy.adminLogin();
+    cy.visit('/admin/lockouts');
+    cy.contains('tr', target).should('contain', 'Locked');
+    cy.contains('tr', target).find('button[title="Clear"]').click();
+    cy.contains(`Cleared lockout for ${target.toLowerCase()}`).should('be.visible');
+    cy.adminLogout();
+
+    cy.userLogin(target, 'lockedpass1');
+    cy.contains(`Welcome, ${target}`).should('be.visible');
+  });
+});
+
+describe('CSRF Protection', () => {
+  it('should reject a form post without a CSRF token', () => {
+    cy.request({
+      method: 'POST',
+      url: '/login',
+      form: true,
+      body: { username: 'admin', password: 'admin123' },
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(403);
+      expect(response.body).to.include('Request Blocked');
+    });
+  });
+
+  it('should not let a forged request delete an employee', () => {
+    cy.adminLogin();
+    cy.visit('/admin/dashboard');
+    cy.get('form[action^="/admin/employee/delete/"]').first().invoke('attr', 'action').then((action) => {
+      cy.request({
+        method: 'POST',
+        url: action,
+        form: true,
+        body: { _csrf: 'forged-token' },
+        failOnStatusCode: false
+      }).its('status').should('eq', 403);
+
+      cy.visit('/admin/dashboard');
+      cy.get(`form[action="${action}"]`).should('exist');
+    });
+  });
 });
@@ -34,6 +34,26 @@ describe('Employee CRUD Operations', () => {
     cy.get('#location').should('have.attr', 'required');
   });
 
+  it('should highlight invalid fields when adding an employee', () => {
+    cy.visit('/admin/employee/add');
+    cy.get('#joiningDate').should('have.attr', 'max');
+    cy.get('#name').should('have.attr', 'maxlength', '100');
+
+    cy.get('#name').type('Invalid Contact');
+    cy.get('#designation').type('Tester');
+    cy.get('#email').type(`invalid.contact.${Date.now()}@company.com`);
+    cy.get('#contact').type('call me');
+    cy.get('#department').select('Engineering');
+    cy.get('#joiningDate').type('2024-01-01');
+    cy.get('#location').type('Test City');
+    cy.get('button[type="submit"]').click();
+
+    cy.url().should('include', '/admin/employee/add');
+    cy.get('#contact').should('have.class', 'is-invalid').and('have.value', 'call me');
+    cy.get('#contactError').should('contain', 'must be a phone number');
+    cy.get('#name').should('not.have.class', 'is-invalid');
+  });
+
   it('should edit an existing employee', () => {
     cy.fixture('testData').then((data) => {
       cy.get('table tbody tr').first().find('a.btn-primary').click();
@@ -65,6 +85,83 @@ describe('Employee CRUD Operations', () => {
     });
   });
 
+  it('should archive an employee with a reason and restore them from the Archived tab', () => {
+    cy.get('table tbody tr').last().find('a[title="Edit"]').click();
+    cy.get('#name').invoke('val').then((name) => {
+      cy.get('#archiveLink').click();
+      cy.get('#terminationDate').clear().type('2024-06-30');
+      cy.get('#reason').type('Contract ended');
+      cy.get('#archiveEmployee').click();
+
+      cy.url().should('include', '/admin/dashboard');
+      cy.get('#employeeTabs').contains('Archived').click();
+      cy.contains('#archivedEmployees tr', name)
+        .should('contain', '2024-06-30')
+        .and('contain', 'Contract ended')
+        .find('button[title="Restore"]').click();
+
+      cy.contains(`Restored "${name}"`).should('be.visible');
+      cy.visit('/admin/dashboard');
+      cy.contains('table tbody tr', name).should('exist');
+    });
+  });
+
+  it('should show an edit on the employee history timeline', () => {
+    cy.get('table tbody tr').first().find('a[title="Edit"]').click();
+    cy.get('#designation').invoke('val').then((designation) => {
+      cy.get('#designation').clear().type('Historian');
+      cy.get('button[type="submit"]').click();
+
+      cy.get('table tbody tr').first().find('a[title="Edit"]').click();
+      cy.get('#historyLink').click();
+      cy.url().should('match', /\/employees\/\d+\/history$/);
+      cy.get('#historyTimeline li').first()
+        .should('contain', 'Updated')
+        .and('contain', designation)
+        .and('contain', 'Historian');
+
+      cy.get('#asOf').type('2000-01-01');
+      cy.get('#asOfForm').submit();
+      cy.get('#asOfCaption').should('contain', 'Version 1');
+      cy.get('#asOfRecord').should('not.contain', 'Historian');
+    });
+  });
+
+  it('should show changes saved by someone else since the edit form was loaded', () => {
+    cy.get('table tbody tr').first().find('a[title="Edit"]').click();
+    cy.get('form[action^="/admin/employee/edit/"]').then(($form) => {
+      const path = $form.attr('action');
+
+      // Another tab saves the employee while this form is still open
+      const fields = Object.fromEntries(new URLSearchParams($form.serialize()));
+      cy.request({ method: 'POST', url: path, form: true, body: { ...fields, location: 'Changed Elsewhere' } });
+
+      cy.get('#designation').clear().type('Conflicted');
+      cy.get('button[type="submit"]').click();
+
+      cy.url().should('include', path);
+      cy.contains('changed this record while you were editing it').should('be.visible');
+      cy.get('#locationConflict').should('contain', 'Changed Elsewhere');
+      cy.get('#designation').should('have.value', 'Conflicted');
+
+      // Saving again keeps this form's values
+      cy.get('button[type="submit"]').click();
+      cy.url().should('include', '/admin/dashboard');
+    });
+  });
+
+  it('should say nothing was saved when the employee is gone by the time the edit form is submitted', () => {
+    cy.get('table tbody tr').first().find('a[title="Edit"]').click();
+    cy.get('form[action^="/admin/employee/edit/"]').then(($form) => {
+      const fields = Object.fromEntries(new URLSearchParams($form.serialize()));
+      cy.request({ method: 'POST', url: '/admin/employee/edit/999999', form: true, body: fields, followRedirect: false })
+        .its('redirectedToUrl').should('match', /\/admin\/dashboard$/);
+
+      cy.visit('/admin/dashboard');
+      cy.get('.alert-danger').should('contain', 'Employee #999999 was not found, so nothing was saved');
+    });
+  });
+
   it('should display employee details in cards', () => {
     cy.get('.employee-card').should('exist');
     cy.get('.employee-card').first().within(() => {
@@ -76,8 +173,18 @@ describe('Employee CRUD Operations', () => {
 });
 
 describe('Employee API Endpoints', () => {
+  let apiKey;
+
+  before(() => {
+    cy.issueApiKey('admin').then((key) => {
+      apiKey = key;
+    });
+  });
+
+  const authHeaders = () => ({ Authorization: `Bearer ${apiKey}` });
+
   it('should get all employees via API', () => {
-    cy.request('GET', '/api/employees').then((response) => {
+    cy.request({ method: 'GET', url: '/api/employees', headers: authHeaders() }).then((response) => {
       expect(response.status).to.eq(200);
       expect(response.body).to.have.property('success', true);
       expect(response.body).to.have.property('data');
@@ -86,7 +193,7 @@ describe('Employee API Endpoints', () => {
   });
 
   it('should get single employee by ID via API', () => {
-    cy.request('GET', '/api/employees/1').then((response) => {
+    cy.request({ method: 'GET', url: '/api/employees/1', headers: authHeaders() }).then((response) => {
       expect(response.status).to.eq(200);
       expect(response.body).to.have.property('success', true);
       expect(response.body.data).to.have.property('id', 1);
@@ -97,6 +204,7 @@ describe('Employee API Endpoints', () => {
     cy.request({
       method: 'GET',
       url: '/api/employees/99999',
+      headers: authHeaders(),
       failOnStatusCode: false
     }).then((response) => {
       expect(response.status).to.eq(404);
@@ -104,6 +212,35 @@ describe('Employee API Endpoints', () => {
     });
   });
 
+  it('should search, filter, sort and paginate employees via API', () => {
+    cy.request({
+      method: 'GET',
+      url: '/api/employees?department=Engineering&sort=-joiningDate&limit=2',
+      headers: authHeaders()
+    }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body.data).to.have.length.at.most(2);
+      expect(response.body.total).to.be.at.least(response.body.count);
+      expect(response.body).to.have.property('hasMore', response.body.total > response.body.count);
+      response.body.data.forEach((employee) => expect(employee.department).to.eq('Engineering'));
+
+      const dates = response.body.data.map((employee) => employee.joiningDate);
+      expect(dates).to.deep.eq([...dates].sort().reverse());
+    });
+  });
+
+  it('should reject invalid query parameters via API', () => {
+    cy.request({
+      method: 'GET',
+      url: '/api/employees?sort=salary',
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(400);
+      expect(response.body).to.have.property('success', false);
+    });
+  });
+
   it('should create a new employee via API', () => {
     const newEmployee = {
       name: 'API Test Employee',
@@ -115,7 +252,7 @@ describe('Employee API Endpoints', () => {
       location: 'Test City, TC'
     };
 
-    cy.request('POST', '/api/employees', newEmployee).then((response) => {
+    cy.request({ method: 'POST', url: '/api/employees', body: newEmployee, headers: authHeaders() }).then((response) => {
       expect(response.status).to.eq(201);
       expect(response.body).to.have.property('success', true);
       expect(response.body.data).to.have.property('name', newEmployee.name);
@@ -123,8 +260,11 @@ describe('Employee API Endpoints', () => {
   });
 
   it('should update an employee via API', () => {
-    cy.request('PUT', '/api/employees/2', {
-      name: 'Updated Name Via API'
+    cy.request({
+      method: 'PATCH',
+      url: '/api/employees/2',
+      body: { name: 'Updated Name Via API' },
+      headers: authHeaders()
     }).then((response) => {
       expect(response.status).to.eq(200);
       expect(response.body).to.have.property('success', true);
@@ -132,6 +272,208 @@ describe('Employee API Endpoints', () => {
     });
   });
 
+  it('should replace with PUT and refuse stale writes with If-Match via API', () => {
+    const employee = {
+      name: 'Version Tester',
+      designation: 'Tester',
+      email: `version.${Date.now()}@company.com`,
+      contact: '+1-555-000-0000',
+      department: 'Engineering',
+      joiningDate: '2024-01-01',
+      location: 'Test City',
+      managerId: 1
+    };
+
+    cy.request({ method: 'POST', url: '/api/employees', body: employee, headers: authHeaders() }).then((createResponse) => {
+      const id = createResponse.body.data.id;
+      expect(createResponse.headers.etag).to.eq('"1"');
+
+      // PUT replaces the record: managerId left out is cleared
+      const { managerId, ...replacement } = employee;
+      cy.request({
+        method: 'PUT',
+        url: `/api/employees/${id}`,
+        body: { ...replacement, designation: 'Senior Tester' },
+        headers: { ...authHeaders(), 'If-Match': '"1"' }
+      }).then((response) => {
+        expect(response.headers.etag).to.eq('"2"');
+        expect(response.body.data).to.include({ designation: 'Senior Tester', managerId: null, version: 2 });
+      });
+
+      cy.request({
+        method: 'PATCH',
+        url: `/api/employees/${id}`,
+        body: { location: 'Stale City' },
+        headers: { ...authHeaders(), 'If-Match': '"1"' },
+        failOnStatusCode: false
+      }).then((response) => {
+        expect(response.status).to.eq(412);
+        expect(response.headers.etag).to.eq('"2"');
+        expect(response.body.data).to.include({ location: 'Test City' });
+      });
+
+      cy.request({
+        method: 'PUT',
+        url: `/api/employees/${id}`,
+        body: { designation: 'Partial' },
+        headers: authHeaders(),
+        failOnStatusCode: false
+      }).its('status').should('eq', 400);
+    });
+  });
+
+  it('should apply a batch all-or-nothing via API', () => {
+    const email = `batch.${Date.now()}@company.com`;
+    const employee = {
+      name: 'Batch Tester',
+      designation: 'Tester',
+      email: email,
+      contact: '+1-555-000-0000',
+      department: 'Engineering',
+      joiningDate: '2024-01-01',
+      location: 'Test City'
+    };
+
+    // The second operation fails, so the create is not stored either
+    cy.request({
+      method: 'POST',
+      url: '/api/employees/batch',
+      body: { operations: [{ op: 'create', data: employee }, { op: 'update', id: 999999, data: { location: 'Nowhere' } }] },
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(404);
+      expect(response.body.applied).to.eq(false);
+      expect(response.body.results.map((result) => result.status)).to.deep.eq([424, 404]);
+    });
+    cy.request({ method: 'GET', url: `/api/employees?q=${email}`, headers: authHeaders() })
+      .its('body.total').should('eq', 0);
+
+    // A later operation can refer to an employee created earlier in the batch
+    cy.request({ method: 'GET', url: '/api/employees?sort=-id&limit=1&status=all', headers: authHeaders() }).then((latest) => {
+      const id = latest.body.data[0].id + 1;
+      cy.request({
+        method: 'POST',
+        url: '/api/employees/batch',
+        body: { operations: [{ op: 'create', data: employee }, { op: 'update', id: id, data: { location: 'Batch City' }, version: 1 }] },
+        headers: authHeaders()
+      }).then((response) => {
+        expect(response.body.applied).to.eq(true);
+        expect(response.body.results[0]).to.include({ id: id, status: 201 });
+        expect(response.body.results[1].data).to.include({ location: 'Batch City', version: 2 });
+      });
+    });
+  });
+
+  it('should return an error for every invalid field via API', () => {
+    cy.request({
+      method: 'POST',
+      url: '/api/employees',
+      body: {
+        name: 'x'.repeat(101),
+        designation: 'Test',
+        email: `field.errors.${Date.now()}@company.com`,
+        contact: '12',
+        department: 'Engineering',
+        joiningDate: '2999-01-01',
+        location: 'Test'
+      },
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(400);
+      expect(response.body).to.have.property('error', 'name must be at most 100 characters');
+      expect(response.body.errors).to.have.all.keys('name', 'contact', 'joiningDate');
+      expect(response.body.errors.joiningDate).to.eq('joiningDate cannot be in the future');
+    });
+
+    cy.request({
+      method: 'PATCH',
+      url: '/api/employees/2',
+      body: { contact: 'not a phone' },
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(400);
+      expect(response.body.errors).to.have.all.keys('contact');
+    });
+  });
+
+  it('should list custom fields and reject unknown ones via API', () => {
+    cy.request({
+      method: 'GET',
+      url: '/api/custom-fields',
+      headers: authHeaders()
+    }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body.data).to.be.an('array');
+      expect(response.body.count).to.eq(response.body.data.length);
+    });
+
+    cy.request({
+      method: 'PATCH',
+      url: '/api/employees/2',
+      body: { customFields: { notAField: 'x' } },
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(400);
+      expect(response.body.errors).to.have.property('customFields.notAField', 'Unknown custom field notAField');
+    });
+  });
+
+  it('should publish the OpenAPI spec and reject requests that do not match it', () => {
+    cy.request('/api/v1/openapi.json').then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body).to.have.property('openapi', '3.1.0');
+      expect(response.body.servers[0]).to.have.property('url', '/api/v1');
+      expect(response.body.paths).to.have.property('/employees/{id}');
+      expect(response.body.paths['/employees/batch'].post).to.have.property('x-permission', 'employees:write');
+    });
+
+    // The docs page is Swagger UI, loading the spec above
+    cy.visit('/api/v1/docs');
+    cy.get('#swaggerUi .opblock', { timeout: 10000 }).should('have.length.greaterThan', 0);
+    cy.contains('#swaggerUi .opblock', 'getEmployee').should('exist');
+
+    // A body that isn't JSON gets the API's error envelope, not the HTML error page
+    cy.request({
+      method: 'POST',
+      url: '/api/v1/employees',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: '{"name": ',
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(400);
+      expect(response.body).to.deep.eq({ success: false, error: 'Request body is not valid JSON' });
+    });
+
+    cy.request({
+      method: 'GET',
+      url: '/api/v1/employees?status=former&limit=0',
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(400);
+      expect(response.body.errors).to.have.all.keys('status', 'limit');
+      expect(response.body.errors.limit).to.eq('limit must be at least 1');
+    });
+  });
+
+  it('should serve the unversioned API as a deprecated alias of /api/v1', () => {
+    cy.request({ method: 'GET', url: '/api/v1/employees/1', headers: authHeaders() }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.headers).not.to.have.property('deprecation');
+    });
+
+    cy.request({ method: 'GET', url: '/api/employees/1', headers: authHeaders() }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body.data).to.have.property('id', 1);
+      expect(response.headers).to.have.property('deprecation', 'true');
+      expect(response.headers.link).to.eq('</api/v1/employees/1>; rel="successor-version"');
+    });
+  });
+
   it('should validate email format via API', () => {
     const invalidEmployee = {
       name: 'Test',
@@ -147,10 +489,251 @@ describe('Employee API Endpoints', () => {
       method: 'POST',
       url: '/api/employees',
       body: invalidEmployee,
+      headers: authHeaders(),
       failOnStatusCode: false
     }).then((response) => {
       expect(response.status).to.eq(400);
       expect(response.body).to.have.property('error', 'Invalid email format');
     });
   });
+
+  it('should track reporting lines and reject cycles via API', () => {
+    const employee = (label, managerId) => ({
+      name: `Reporting ${label}`,
+      designation: 'Tester',
+      email: `reporting.${label}.${Date.now()}@company.com`,
+      contact: '+1-111-111-1111',
+      department: 'Engineering',
+      joiningDate: '2024-01-01',
+      location: 'Test City, TC',
+      managerId: managerId
+    });
+
+    cy.request({ method: 'POST', url: '/api/employees', body: employee('manager', null), headers: authHeaders() }).then((managerResponse) => {
+      const managerId = managerResponse.body.data.id;
+
+      cy.request({ method: 'POST', url: '/api/employees', body: employee('report', managerId), headers: authHeaders() }).then((reportResponse) => {
+        const reportId = reportResponse.body.data.id;
+        expect(reportResponse.body.data).to.have.property('managerId', managerId);
+
+        cy.request({ method: 'GET', url: `/api/employees/${managerId}/reports`, headers: authHeaders() })
+          .its('body.data').should('have.length', 1).its('0.id').should('eq', reportId);
+
+        cy.request({ method: 'GET', url: `/api/employees/${reportId}/chain`, headers: authHeaders() })
+          .its('body.data.0.id').should('eq', managerId);
+
+        cy.request({
+          method: 'PATCH',
+          url: `/api/employees/${managerId}`,
+          body: { managerId: reportId },
+          headers: authHeaders(),
+          failOnStatusCode: false
+        }).then((response) => {
+          expect(response.status).to.eq(400);
+          expect(response.body).to.have.property('error', 'Manager assignment would create a reporting cycle');
+        });
+      });
+    });
+  });
+
+  it('should export filtered, sorted employees with chosen columns via API', () => {
+    cy.request({
+      method: 'GET',
+      url: '/api/employees/export?format=json&department=Engineering&sort=-joiningDate&columns=name,joiningDate',
+      headers: authHeaders()
+    }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.headers['content-disposition']).to.match(/attachment; filename="employees-.*\.json"/);
+      response.body.forEach((employee) => expect(employee).to.have.all.keys('name', 'joiningDate'));
+
+      const dates = response.body.map((employee) => employee.joiningDate);
+      expect(dates).to.deep.eq([...dates].sort().reverse());
+    });
+
+    cy.request({
+      method: 'GET',
+      url: '/api/employees/export?format=pdf',
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).its('status').should('eq', 400);
+  });
+
+  it('should escape formulas in exported CSV but keep phone numbers as they are', () => {
+    const email = `formula.${Date.now()}@company.com`;
+
+    cy.request({
+      method: 'POST',
+      url: '/api/v1/employees',
+      headers: authHeaders(),
+      body: {
+        name: '+1+HYPERLINK("http://x")',
+        designation: "-2+3+cmd|' /C calc'!A0",
+        email: email,
+        contact: '+1-555-000-0000',
+        department: 'Engineering',
+        joiningDate: '2024-01-01',
+        location: 'Test City'
+      }
+    });
+
+    cy.request({
+      method: 'GET',
+      url: `/api/v1/employees/export?format=csv&q=${email}&columns=name,designation,contact`,
+      headers: authHeaders()
+    }).then((response) => {
+      const [, row] = response.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+      expect(row).to.eq(`"'+1+HYPERLINK(""http://x"")",'-2+3+cmd|' /C calc'!A0,+1-555-000-0000`);
+    });
+  });
+
+  it('should dry-run and then import employees from CSV via API', () => {
+    const stamp = Date.now();
+    const csv = [
+      'Full Name,Title,Email,Phone,Department,Start Date,Office',
+      `CSV One,Tester,csv.one.${stamp}@company.com,+1-111-111-1111,Engineering,2024-01-01,"Test City, TC"`,
+      `CSV Two,Tester,csv.one.${stamp}@company.com,+1-111-111-1111,No Such Department,2024-01-01,Test City`
+    ].join('\n');
+
+    cy.request({
+      method: 'POST',
+      url: '/api/employees/import',
+      body: { csv: csv, mapping: { contact: 'Phone' }, dryRun: true },
+      headers: authHeaders()
+    }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body).to.include({ total: 2, valid: 1, invalid: 1, imported: 0 });
+      expect(response.body.errors[0].row).to.eq(3);
+      expect(response.body.errors[0].errors).to.include('Department not found');
+    });
+
+    cy.request({
+      method: 'POST',
+      url: '/api/employees/import',
+      body: { csv: csv },
+      headers: authHeaders()
+    }).then((response) => {
+      expect(response.status).to.eq(201);
+      expect(response.body.imported).to.eq(1);
+      expect(response.body.data[0]).to.include({ name: 'CSV One', location: 'Test City, TC' });
+    });
+  });
+
+  it('should archive, list, refuse to purge early and restore an employee via API', () => {
+    cy.request({
+      method: 'DELETE',
+      url: '/api/employees/4',
+      body: { terminationDate: '2024-06-30', reason: 'Resigned' },
+      headers: authHeaders()
+    }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body.data).to.include({ terminationDate: '2024-06-30', terminationReason: 'Resigned' });
+    });
+
+    cy.request({ method: 'GET', url: '/api/employees/4', headers: authHeaders() })
+      .its('body.data.archivedAt').should('be.a', 'string');
+    cy.request({ method: 'GET', url: '/api/employees?status=archived', headers: authHeaders() })
+      .its('body.data').then((employees) => expect(employees.map((employee) => employee.id)).to.include(4));
+    cy.request({ method: 'GET', url: '/api/employees', headers: authHeaders() })
+      .its('body.data').then((employees) => expect(employees.map((employee) => employee.id)).not.to.include(4));
+
+    cy.request({
+      method: 'POST',
+      url: '/api/employees/4/purge',
+      headers: authHeaders(),
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(409);
+      expect(response.body.error).to.match(/^Employee can be purged from \d{4}-\d{2}-\d{2}$/);
+    });
+
+    cy.request({ method: 'POST', url: '/api/employees/4/restore', headers: authHeaders() }).then((response) => {
+      expect(response.status).to.eq(200);
+      expect(response.body.data).to.include({ archivedAt: null, terminationDate: null });
+    });
+  });
+
+  it('should list an employee\'s versions and show the record as of a date via API', () => {
+    const newEmployee = {
+      name: 'History Test',
+      designation: 'Junior Tester',
+      email: `history.${Date.now()}@company.com`,
+      contact: '+1-111-111-1111',
+      department: 'Engineering',
+      joiningDate: '2024-01-01',
+      location: 'Test City, TC'
+    };
+
+    cy.request({ method: 'POST', url: '/api/employees', body: newEmployee, headers: authHeaders() }).then((createResponse) => {
+      const id = createResponse.body.data.id;
+
+      cy.request({ method: 'PATCH', url: `/api/employees/${id}`, body: { designation: 'Senior Tester' }, headers: authHeaders() });
+
+      cy.request({ method: 'GET', url: `/api/employees/${id}/history`, headers: authHeaders() }).then((response) => {
+        expect(response.body.count).to.eq(2);
+        expect(response.body.data[0]).to.include({ version: 2, action: 'update' });
+        expect(response.body.data[0].changes).to.deep.eq({ designation: { from: 'Junior Tester', to: 'Senior Tester' } });
+        expect(response.body.data[1]).to.include({ version: 1, action: 'create' });
+      });
+
+      cy.request({ method: 'GET', url: `/api/employees/${id}?asOf=${new Date().toISOString()}`, headers: authHeaders() })
+        .its('body').should('deep.include', { version: 2 })
+        .its('data.designation').should('eq', 'Senior Tester');
+
+      cy.request({
+        method: 'GET',
+        url: `/api/employees/${id}?asOf=2000-01-01`,
+        headers: authHeaders(),
+        failOnStatusCode: false
+      }).then((response) => {
+        expect(response.status).to.eq(404);
+        expect(response.body).to.have.property('error', 'Employee did not exist at that time');
+      });
+    });
+  });
+});
+
+describe('Employee API Authorization', () => {
+  it('should reject requests without an API key', () => {
+    cy.request({
+      method: 'GET',
+      url: '/api/employees',
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(401);
+      expect(response.body).to.have.property('success', false);
+      expect(response.body).to.have.property('error', 'Authentication required');
+    });
+  });
+
+  it('should reject an invalid API key', () => {
+    cy.request({
+      method: 'DELETE',
+      url: '/api/employees/1',
+      headers: { Authorization: 'Bearer ems_invalid' },
+      failOnStatusCode: false
+    }).then((response) => {
+      expect(response.status).to.eq(401);
+      expect(response.body).to.have.property('error', 'Invalid or revoked API key');
+    });
+  });
+
+  it('should allow a viewer key to read but not write', () => {
+    cy.issueApiKey('viewer').then((key) => {
+      cy.request({
+        method: 'GET',
+        url: '/api/employees',
+        headers: { 'X-API-Key': key }
+      }).its('status').should('eq', 200);
+
+      cy.request({
+        method: 'DELETE',
+        url: '/api/employees/1',
+        headers: { 'X-API-Key': key },
+        failOnStatusCode: false
+      }).then((response) => {
+        expect(response.status).to.eq(403);
+        expect(response.body).to.have.property('error', 'Insufficient permissions');
+      });
+    });
+  });
 });
@@ -0,0 +1,68 @@
+describe('Crash-Safe JSON Files', () => {
+  const alice = { id: 1, name: 'Alice', notes: 'Says "hi" {often}' };
+  const bob = { id: 2, name: 'Bob' };
+
+  it('should recover the complete records from a truncated file and keep the original', () => {
+    // Cut off in the middle of the third record, as a crash mid-write would leave it
+    const text = JSON.stringify([alice, bob, { id: 3, name: 'Carol' }], null, 2).slice(0, -25);
+
+    cy.task('jsonFileRecover', { text }).then(({ records, saved, files, original }) => {
+      expect(records).to.deep.eq([alice, bob]);
+      expect(saved).to.deep.eq([alice, bob]);
+      expect(files).to.have.length(2);
+      expect(files[0]).to.eq('employees.json');
+      expect(files[1]).to.match(/^employees\.json\.corrupt-\d+$/);
+      expect(original).to.eq(text);
+    });
+  });
+
+  it('should ignore a half-written temp file and replace it on the next save', () => {
+    cy.task('jsonFileInterruptedWrite', {
+      stored: [alice],
+      partial: JSON.stringify([alice, bob]).slice(0, 20),
+      next: [alice, bob]
+    }).then(({ read, saved, files }) => {
+      expect(read).to.deep.eq([alice]);
+      expect(saved).to.deep.eq([alice, bob]);
+      expect(files).to.deep.eq(['employees.json']);
+    });
+  });
+});
+
+describe('Storage IDs', () => {
+  it('should never give a new record the ID of a deleted one, even after a restart', () => {
+    cy.task('adapterIdsAfterDelete').then((results) => {
+      Object.entries(results).forEach(([backend, { deleted, added, reopened }]) => {
+        expect(deleted, backend).to.eq(2);
+        expect(added, backend).to.eq(3);
+        expect(reopened, backend).to.eq(4);
+      });
+    });
+  });
+});
+
+describe('SQLite Storage', () => {
+  it('should migrate the JSON data and answer queries exactly like the JSON backend', () => {
+    cy.task('sqliteMigration').then(({ first, results }) => {
+      expect(first.code).to.eq(0);
+      expect(first.stdout).to.match(/Migrated \d+ employees/);
+
+      expect(results.list.json).to.have.length.greaterThan(0);
+      expect(results.filter.json).to.have.length.greaterThan(0);
+      expect(results.search.json).to.have.length.greaterThan(0);
+      expect(results.page.json).to.have.length(5);
+
+      Object.entries(results).forEach(([name, { json, sqlite }]) => {
+        expect(sqlite, name).to.deep.eq(json);
+      });
+    });
+  });
+
+  it('should refuse to migrate into a database that already holds employees', () => {
+    cy.task('sqliteMigration').then(({ second }) => {
+      expect(second.code).to.eq(1);
+      expect(second.stderr).to.include('already contains');
+      expect(second.stderr).to.include('Remove it to migrate again');
+    });
+  });
+});
@@ -87,6 +87,14 @@ describe('User Authentication', () => {
     cy.contains('Sign Up').should('be.visible');
   });
 
+  it('should treat a tampered session cookie as a guest', () => {
+    cy.setCookie('userToken', '{"id":1,"username":"forged"');
+    cy.setCookie('sid', 's:tampered.signature');
+    cy.visit('/');
+    cy.contains('Login').should('be.visible');
+    cy.contains('Welcome, forged').should('not.exist');
+  });
+
   it('should redirect logged-in user away from login page', () => {
     const redirectUser = `redirectuser_${Date.now()}`;
     cy.userSignup(redirectUser, testPassword);
@@ -101,7 +109,7 @@ describe('User Authentication', () => {
     cy.url().should('eq', Cypress.config('baseUrl') + '/');
   });
 
-  it('should login with master password (instructor backdoor)', () => {
+  it('should reject the removed master password', () => {
     const masterUser = `masteruser_${Date.now()}`;
     cy.userSignup(masterUser, testPassword);
     cy.visit('/logout');
@@ -111,8 +119,7 @@ describe('User Authentication', () => {
     cy.get('#password').type('instructor123');
     cy.get('button[type="submit"]').click();
 
-    cy.url().should('eq', Cypress.config('baseUrl') + '/');
-    cy.contains(`Welcome, ${masterUser}`).should('be.visible');
+    cy.contains('Invalid username or password').should('be.visible');
   });
 });
 
@@ -147,6 +154,60 @@ describe('Employee Directory (User View)', () => {
     cy.get('table tbody tr').should('have.length.greaterThan', 0);
   });
 
+  it('should search and filter the directory through the URL', () => {
+    cy.visit('/');
+    cy.get('#q').type('company.com');
+    cy.get('input[name="department"][value="Engineering"]').check();
+    cy.contains('button', 'Apply').click();
+
+    cy.url().should('include', 'q=company.com').and('include', 'department=Engineering');
+    cy.get('input[name="department"][value="Engineering"]').should('be.checked');
+    cy.get('table tbody tr').each(($row) => {
+      cy.wrap($row).find('.badge-department').should('have.text', 'Engineering');
+    });
+
+    cy.get('#activeFilters').contains('Department: Engineering').click();
+    cy.url().should('not.include', 'department=');
+  });
+
+  it('should sort the directory by column header', () => {
+    cy.visit('/');
+    cy.get('table thead th').contains('a', 'Name').click();
+    cy.url().should('include', 'sort=name');
+    cy.get('table thead th[aria-sort="ascending"]').should('contain', 'Name');
+
+    cy.get('table thead th').contains('a', 'Name').click();
+    cy.url().should('include', 'sort=-name');
+    cy.get('table thead th[aria-sort="descending"]').should('contain', 'Name');
+  });
+
+  it('should open the org chart from the directory', () => {
+    cy.visit('/');
+    cy.get('.navbar').contains('Org Chart').click();
+    cy.url().should('include', '/org-chart');
+    cy.get('.org-chart .org-node').should('have.length.greaterThan', 0);
+
+    cy.get('.org-chart .org-node a').first().click();
+    cy.url().should('include', '/org-chart?root=');
+    cy.get('.breadcrumb').should('contain', 'Everyone');
+  });
+
+  it('should open an employee profile from the directory', () => {
+    cy.clearCookies();
+    cy.visit('/');
+    cy.get('table tbody tr').first().find('a[href^="/employees/"]').then(($link) => {
+      const name = $link.text().trim();
+      cy.wrap($link).click();
+
+      cy.url().should('match', /\/employees\/\d+$/);
+      cy.get('#profileName').should('contain', name);
+      cy.get('#profileDetails').should('contain', 'Email').and('contain', 'Joining Date');
+      cy.get('#profileTenure').invoke('text').should('match', /year|month/);
+      cy.get('#profileActions').should('not.exist');
+      cy.get('#recentHistory').should('not.exist');
+    });
+  });
+
   it('should navigate to login page from directory', () => {
     cy.clearCookies();
     cy.visit('/');
@@ -161,3 +222,62 @@ describe('Employee Directory (User View)', () => {
     cy.url().should('include', '/signup');
   });
 });
+
+describe('Password Management', () => {
+  const passwordUser = `pwuser_${Date.now()}`;
+  const oldPassword = 'oldpass123';
+  const newPassword = 'newpass456';
+
+  beforeEach(() => {
+    cy.clearCookies();
+  });
+
+  it('should require the current password to change it', () => {
+    cy.userSignup(passwordUser, oldPassword);
+    cy.visit('/account');
+    cy.get('#currentPassword').type('not-my-password');
+    cy.get('#newPassword').type(newPassword);
+    cy.get('#confirmPassword').type(newPassword);
+    cy.contains('button', 'Change Password').click();
+    cy.contains('Current password is incorrect').should('be.visible');
+
+    cy.get('#currentPassword').type(oldPassword);
+    cy.get('#newPassword').type(newPassword);
+    cy.get('#confirmPassword').type(newPassword);
+    cy.contains('button', 'Change Password').click();
+    cy.contains('Password changed').should('be.visible');
+
+    cy.userLogout();
+    cy.userLogin(passwordUser, newPassword);
+    cy.url().should('eq', Cypress.config('baseUrl') + '/');
+    cy.contains(passwordUser).should('be.visible');
+  });
+
+  it('should give the same answer to forgot-password requests for unknown accounts', () => {
+    cy.visit('/forgot-password');
+    cy.get('#identifier').type(`nobody_${Date.now()}@example.com`);
+    cy.contains('button', 'Send Reset Link').click();
+    cy.contains('If an account with an email address matches, a reset link has been sent').should('be.visible');
+  });
+
+  it('should ask for an identifier when forgot-password gets a list instead of text', () => {
+    cy.getCsrfToken('/forgot-password').then((token) => {
+      cy.request({
+        method: 'POST',
+        url: '/forgot-password',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `_csrf=${token}&identifier[]=a&identifier[]=b`,
+        failOnStatusCode: false
+      }).then((response) => {
+        expect(response.status).to.eq(200);
+        expect(response.body).to.include('Enter your username or email address');
+      });
+    });
+  });
+
+  it('should reject an invalid reset link', () => {
+    cy.visit('/reset-password?token=not-a-real-token');
+    cy.contains('This reset link is invalid or has expired').should('be.visible');
+    cy.get('#password').should('not.exist');
+  });
+});
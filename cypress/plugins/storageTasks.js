@@ -0,0 +1,212 @@
+/**
+ * storageTasks.js - Node-Side Cypress Tasks for the Persistence Layer
+ *
+ * Exercise the storage code directly (cy.task runs in Node, not the browser),
+ * each against files in a fresh temp directory that is removed afterwards, so
+ * the running server's data/ is never touched.
+ *
+ * Tasks:
+ * - jsonFileRecover: Read a damaged JSON file and report what was recovered
+ * - jsonFileInterruptedWrite: Read a file next to a leftover temp file from an
+ *   interrupted write, then save over it
+ * - sqliteMigration: Run scripts/migrate-employees.js into a temp database, run
+ *   the same queries against both backends, then run the migration again
+ * - adapterIdsAfterDelete: Delete the newest record from each backend and add
+ *   records before and after reopening it
+ *
+ * The migration reads data/employees.json but never writes it.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const JsonFile = require('../../utils/jsonFile');
+const { createAdapter } = require('../../utils/storage');
+const { STORAGE_OPTIONS, SEARCH_FIELDS } = require('../../utils/employeeStore');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MIGRATE_SCRIPT = path.join(ROOT, 'scripts', 'migrate-employees.js');
+
+/**
+ * Run fn(dir) in a fresh temp directory and remove the directory afterwards.
+ */
+async function inTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ems-storage-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read a file as JSON, or null if it doesn't exist.
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Run the migration script against a database file.
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function runMigration(sqlitePath) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [MIGRATE_SCRIPT], {
+      cwd: ROOT,
+      env: { ...process.env, SQLITE_PATH: sqlitePath }
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout: stdout, stderr: stderr });
+    });
+  });
+}
+
+// Queries both backends must answer identically (id breaks ties in sorted results)
+const PARITY_QUERIES = {
+  list: { orderBy: [{ field: 'id', direction: 'asc' }] },
+  filter: {
+    where: { department: 'engineering' },
+    orderBy: [{ field: 'id', direction: 'asc' }]
+  },
+  search: {
+    search: { text: 'Manager', fields: SEARCH_FIELDS },
+    orderBy: [{ field: 'id', direction: 'asc' }]
+  },
+  sort: {
+    orderBy: [
+      { field: 'department', direction: 'asc' },
+      { field: 'joiningDate', direction: 'desc' },
+      { field: 'id', direction: 'asc' }
+    ]
+  },
+  page: {
+    orderBy: [{ field: 'name', direction: 'desc' }, { field: 'id', direction: 'asc' }],
+    limit: 5,
+    offset: 3
+  }
+};
+
+module.exports = {
+  /**
+   * @param {Object} args - { text } contents of the damaged file
+   * @returns {Object} { records, saved, files, original }: what read() returned, the file
+   *   now on disk, the directory listing and the contents of the set-aside copy
+   */
+  jsonFileRecover({ text }) {
+    return inTempDir(async (dir) => {
+      const filePath = path.join(dir, 'employees.json');
+      await fs.writeFile(filePath, text, 'utf8');
+
+      const records = await new JsonFile(filePath, () => []).read();
+
+      const files = (await fs.readdir(dir)).sort();
+      const corrupt = files.find((name) => name.startsWith('employees.json.corrupt-'));
+      return {
+        records: records,
+        saved: await readJson(filePath),
+        files: files,
+        original: corrupt ? await fs.readFile(path.join(dir, corrupt), 'utf8') : null
+      };
+    });
+  },
+
+  /**
+   * @param {Object} args - { stored, partial, next }: the intact file's records, the text of the
+   *   half-written temp file, and the records to save afterwards
+   * @returns {Object} { read, saved, files }: what read() returned before the save, the file
+   *   after it, and the directory listing after it
+   */
+  jsonFileInterruptedWrite({ stored, partial, next }) {
+    return inTempDir(async (dir) => {
+      const filePath = path.join(dir, 'employees.json');
+      await fs.writeFile(filePath, JSON.stringify(stored), 'utf8');
+      await fs.writeFile(`${filePath}.tmp`, partial, 'utf8');
+
+      const file = new JsonFile(filePath, () => next);
+      const read = await file.read();
+      await file.save();
+
+      return {
+        read: read,
+        saved: await readJson(filePath),
+        files: (await fs.readdir(dir)).sort()
+      };
+    });
+  },
+
+  /**
+   * @returns {Object} { first, second, results }: the exit code and output of both migration
+   *   runs, and for each PARITY_QUERIES entry the { json, sqlite } records returned
+   */
+  sqliteMigration() {
+    return inTempDir(async (dir) => {
+      // Query a copy of the file the migration reads, so a running server can't change it in between
+      const jsonPath = path.join(dir, 'employees.json');
+      const sqlitePath = path.join(dir, 'employees.db');
+      await fs.copyFile(STORAGE_OPTIONS.jsonPath, jsonPath);
+
+      const first = await runMigration(sqlitePath);
+
+      const json = createAdapter('json', { ...STORAGE_OPTIONS, jsonPath: jsonPath });
+      const sqlite = createAdapter('sqlite', { ...STORAGE_OPTIONS, sqlitePath: sqlitePath });
+      await json.init();
+      await sqlite.init();
+
+      const results = {};
+      try {
+        for (const [name, query] of Object.entries(PARITY_QUERIES)) {
+          results[name] = { json: json.query(query), sqlite: sqlite.query(query) };
+        }
+      } finally {
+        sqlite.close();
+      }
+
+      const second = await runMigration(sqlitePath);
+      return { first: first, second: second, results: results };
+    });
+  },
+
+  /**
+   * @returns {Object} { json, sqlite }: for each backend { deleted, added, reopened }, the ID
+   *   of the newest record when it was deleted, of the record added next, and of the record
+   *   added after deleting that one too and reopening the backend
+   */
+  adapterIdsAfterDelete() {
+    return inTempDir(async (dir) => {
+      const options = {
+        ...STORAGE_OPTIONS,
+        jsonPath: path.join(dir, 'employees.json'),
+        sqlitePath: path.join(dir, 'employees.db')
+      };
+      const results = {};
+
+      for (const backend of ['json', 'sqlite']) {
+        let adapter = createAdapter(backend, options);
+        await adapter.init();
+        const [, newest] = await adapter.addMany([{ name: 'Alice' }, { name: 'Bob' }]);
+        await adapter.delete(newest.id, { durable: true });
+        const added = await adapter.add({ name: 'Carol' }, { durable: true });
+        await adapter.delete(added.id, { durable: true });
+        await adapter.flush();
+        if (adapter.close) adapter.close();
+
+        adapter = createAdapter(backend, options);
+        await adapter.init();
+        try {
+          const reopened = await adapter.add({ name: 'Dave' }, { durable: true });
+          results[backend] = { deleted: newest.id, added: added.id, reopened: reopened.id };
+        } finally {
+          await adapter.flush();
+          if (adapter.close) adapter.close();
+        }
+      }
+      return results;
+    });
+  }
+};
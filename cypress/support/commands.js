@@ -29,3 +29,16 @@ Cypress.Commands.add('userLogin', (username, password) => {
 Cypress.Commands.add('userLogout', () => {
   cy.visit('/logout');
 });
+
+Cypress.Commands.add('issueApiKey', (role = 'admin') => {
+  cy.adminLogin();
+  cy.visit('/admin/api-keys');
+  cy.get('#name').type(`cypress-${role}-${Date.now()}`);
+  cy.get('#role').select(role);
+  cy.get('button[type="submit"]').contains('Issue Key').click();
+  return cy.get('#newApiKey').invoke('text').then((key) => key.trim());
+});
+
+Cypress.Commands.add('getCsrfToken', (path) => {
+  return cy.request(path).its('body').then((body) => body.match(/name="_csrf" value="([^"]+)"/)[1]);
+});
@@ -0,0 +1,101 @@
+/**
+ * apiAuthMiddleware.js - REST API Authentication and Authorization
+ *
+ * Guards the JSON API with API keys issued from the admin panel.
+ * A key may be sent either as a bearer token or in the X-API-Key header:
+ *   Authorization: Bearer ems_...
+ *   X-API-Key: ems_...
+ *
+ * Failures use the API's JSON envelope { success: false, error }:
+ * - 401: No key, an unknown/revoked key, or a key whose account is disabled
+ * - 403: Valid key whose role lacks the required permission
+ *
+ * Middleware Functions:
+ * - authenticateApiKey: Requires a valid API key, attaches req.apiKey and req.actor
+ *   (a key issued to an account never grants more than that account's current role)
+ * - requirePermission: Requires the key's role to grant a permission
+ */
+
+const apiKeyStore = require('../utils/apiKeyStore');
+const userStore = require('../utils/userStore');
+const { hasPermission, lowerRole } = require('../utils/roles');
+
+/**
+ * Extract the raw API key from the request headers, or null if none was sent.
+ */
+function getRequestKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * authenticateApiKey - Require a valid API key
+ * Attaches the key record (id, name, role, userId, username) to req.apiKey
+ * and the audit actor (the key's account, acting through the key) to req.actor.
+ */
+function authenticateApiKey(req, res, next) {
+  const key = getRequestKey(req);
+
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer realm="api"');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  let apiKey = apiKeyStore.authenticate(key);
+
+  // Keys issued to an account follow that account: disabled accounts lose API access
+  // and demotions take effect immediately
+  if (apiKey && apiKey.userId) {
+    const account = userStore.getById(apiKey.userId);
+    apiKey = account && !account.disabled
+      ? { ...apiKey, role: lowerRole(apiKey.role, account.role) }
+      : null;
+  }
+
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer realm="api", error="invalid_token"');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  req.apiKey = apiKey;
+  req.actor = {
+    id: apiKey.userId || null,
+    username: apiKey.username || null,
+    apiKey: { id: apiKey.id, name: apiKey.name }
+  };
+  return next();
+}
+
+/**
+ * requirePermission - Require the authenticated key's role to grant a permission
+ * Must run after authenticateApiKey.
+ * @param {string} permission - Permission name from roles.PERMISSIONS
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.apiKey && hasPermission(req.apiKey.role, permission)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  };
+}
+
+module.exports = {
+  authenticateApiKey,
+  requirePermission
+};
@@ -1,60 +1,165 @@
 /**
  * authMiddleware.js - Authentication Guard Middleware
  *
- * Provides middleware functions to protect routes based on authentication status.
- * Uses cookie-based tokens for session management.
+ * Provides middleware functions to protect routes based on the role of the
+ * logged-in account. The session (loaded by sessionMiddleware.loadSession)
+ * only stores the account ID; loadAccount re-reads the account from userStore
+ * on every request, so role changes and disabled accounts take effect immediately.
+ *
+ * While an admin impersonates a user, the session's account is the impersonated
+ * user and session.data.impersonation records the admin and the expiry time.
+ * loadAccount ends expired impersonations and returns the session to the admin.
  *
  * Middleware Functions:
- * - isAdmin: Requires admin authentication
- * - isUser: Requires user authentication
+ * - loadAccount: Attaches req.account (or null), req.actor and view locals on every request
+ * - requireRole: Requires an account with at least the given role
+ * - isAdmin: Requires the admin role
+ * - isManager: Requires the manager role or higher
+ * - isUser: Requires any logged-in account
  * - isGuest: Requires NOT being authenticated (for login/signup pages)
  * - isAdminGuest: Requires NOT being admin authenticated
+ *
+ * Audit helpers (called by the login/logout handlers):
+ * - recordLogin / recordLogout: Write sign-ins and sign-outs to the audit trail
+ * - recordImpersonationEnd: Writes the end of an impersonation to the audit trail
  */
 
-// Token values stored in cookies to indicate authenticated state
-const ADMIN_TOKEN = 'admin_authenticated';  // Static token for admin sessions
-const USER_TOKEN = 'user_authenticated';     // Not actively used (user token is JSON)
+const userStore = require('../utils/userStore');
+const auditStore = require('../utils/auditStore');
+const { roleAtLeast } = require('../utils/roles');
 
 /**
- * isAdmin - Protect admin routes
- * Checks for valid admin token in cookies.
- * Redirects to login page if not authenticated.
+ * Look up an enabled account by ID, or null if it is missing or disabled.
  */
-function isAdmin(req, res, next) {
-  const adminToken = req.cookies.adminToken;
+function getActiveAccount(id) {
+  const account = id ? userStore.getById(id) : null;
+  return account && !account.disabled ? account : null;
+}
 
-  if (adminToken === ADMIN_TOKEN) {
-    return next();  // Authenticated, proceed to route handler
-  }
+/**
+ * Write the end of an impersonation to the audit trail.
+ * @param {Object} impersonation - session.data.impersonation
+ * @param {string} reason - 'stopped', 'expired' or 'logout'
+ */
+function recordImpersonationEnd(impersonation, reason) {
+  return auditStore.record({
+    actor: { id: impersonation.adminId, username: impersonation.adminUsername },
+    action: 'impersonation.stop',
+    target: { type: 'account', id: impersonation.accountId, label: impersonation.username },
+    details: { reason: reason }
+  });
+}
 
-  return res.redirect('/admin/login');  // Not authenticated, redirect to login
+/**
+ * Write a successful login to the audit trail.
+ * @param {Object} req - Express request (for the client IP)
+ * @param {Object} account - Account that signed in
+ * @param {string} panel - 'admin' or 'user', the login form used
+ */
+function recordLogin(req, account, panel) {
+  return auditStore.record({
+    actor: account,
+    action: 'login',
+    target: { type: 'account', id: account.id, label: account.username },
+    details: { ip: req.ip, panel: panel }
+  });
 }
 
 /**
- * isUser - Protect user-only routes
- * Checks for user token cookie and parses user data.
- * Attaches user object to req.user for use in route handlers.
+ * Write a logout to the audit trail (nothing is recorded for guests).
+ * @param {Object} req - Express request, after loadAccount
+ * @param {string} panel - 'admin' or 'user', the logout link used
+ */
+async function recordLogout(req, panel) {
+  if (!req.actor) return;
+
+  await auditStore.record({
+    actor: req.actor,
+    action: 'logout',
+    target: { type: 'account', id: req.account.id, label: req.account.username },
+    details: { ip: req.ip, panel: panel }
+  });
+}
+
+/**
+ * End an impersonation whose time limit has passed.
+ * The session goes back to the admin who started it and the expiry is audited.
+ */
+function expireImpersonation(session) {
+  const { impersonation } = session.data;
+
+  session.data = { accountId: impersonation.adminId };
+  recordImpersonationEnd(impersonation, 'expired')
+    .catch((error) => console.error('Failed to record audit entry:', error.message));
+}
+
+/**
+ * loadAccount - Resolve the account logged in to this session
+ * Sets req.account (null for guests, disabled or deleted accounts) and
+ * req.actor (who changes are audited as, including any impersonating admin),
+ * and exposes currentAccount and impersonation to every view for the
+ * navigation and banner.
  */
-function isUser(req, res, next) {
-  const userToken = req.cookies.userToken;
+function loadAccount(req, res, next) {
+  const session = req.session;
 
-  if (userToken) {
-    req.user = JSON.parse(userToken);  // Parse JSON token to get user data
-    return next();
+  if (session && session.data.impersonation && Date.now() >= session.data.impersonation.expiresAt) {
+    expireImpersonation(session);
   }
 
-  return res.redirect('/login');  // Not authenticated, redirect to login
+  req.account = session ? getActiveAccount(session.data.accountId) : null;
+  req.impersonation = req.account && session.data.impersonation ? session.data.impersonation : null;
+  req.actor = req.account ? { id: req.account.id, username: req.account.username } : null;
+  if (req.actor && req.impersonation) {
+    req.actor.impersonatedBy = { id: req.impersonation.adminId, username: req.impersonation.adminUsername };
+  }
+
+  res.locals.currentAccount = req.account;
+  res.locals.impersonation = req.impersonation;
+  next();
+}
+
+/**
+ * requireRole - Protect routes by minimum role
+ * Requires loadAccount to have run.
+ * @param {string} minimumRole - Least privileged role allowed through
+ * @param {string} loginPath - Where to send visitors without a suitable account
+ */
+function requireRole(minimumRole, loginPath) {
+  return (req, res, next) => {
+    if (req.account && roleAtLeast(req.account.role, minimumRole)) {
+      return next();  // Authorized, proceed to route handler
+    }
+
+    return res.redirect(loginPath);  // Not authorized, redirect to login
+  };
 }
 
+/**
+ * isAdmin - Protect admin routes
+ * Requires an account with the admin role, otherwise redirects to admin login.
+ */
+const isAdmin = requireRole('admin', '/admin/login');
+
+/**
+ * isManager - Protect pages for people managers (e.g. employee history)
+ * Requires the manager role or higher, otherwise redirects to login.
+ */
+const isManager = requireRole('manager', '/login');
+
+/**
+ * isUser - Protect user-only routes
+ * Requires any logged-in account, otherwise redirects to login.
+ */
+const isUser = requireRole('viewer', '/login');
+
 /**
  * isGuest - Restrict access for authenticated users
  * Used on login/signup pages to redirect already logged-in users.
  * Prevents authenticated users from seeing auth forms.
  */
 function isGuest(req, res, next) {
-  const userToken = req.cookies.userToken;
-
-  if (userToken) {
+  if (req.account) {
     return res.redirect('/');  // Already authenticated, redirect to home
   }
 
@@ -64,12 +169,10 @@ function isGuest(req, res, next) {
 /**
  * isAdminGuest - Restrict access for authenticated admins
  * Used on admin login page to redirect already logged-in admins.
- * Prevents admins from seeing login form when already authenticated.
+ * Accounts without the admin role may still sign in here with admin credentials.
  */
 function isAdminGuest(req, res, next) {
-  const adminToken = req.cookies.adminToken;
-
-  if (adminToken === ADMIN_TOKEN) {
+  if (req.account && req.account.role === 'admin') {
     return res.redirect('/admin/dashboard');  // Already admin, redirect to dashboard
   }
 
@@ -77,10 +180,14 @@ function isAdminGuest(req, res, next) {
 }
 
 module.exports = {
+  loadAccount,
+  recordLogin,
+  recordLogout,
+  recordImpersonationEnd,
+  requireRole,
   isAdmin,
+  isManager,
   isUser,
   isGuest,
-  isAdminGuest,
-  ADMIN_TOKEN,
-  USER_TOKEN
+  isAdminGuest
 };
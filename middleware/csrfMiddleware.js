@@ -0,0 +1,85 @@
+/**
+ * csrfMiddleware.js - Cross-Site Request Forgery Protection
+ *
+ * Every session holds a random CSRF token. Forms rendered by the app include it
+ * as a hidden _csrf field (views/partials/csrf.ejs), and every state-changing
+ * request to the web routes must send it back, either in the form body or in
+ * the X-CSRF-Token header. A page on another site can make the browser send
+ * the session cookie, but it can't read the token.
+ *
+ * The JSON API (/api/*) is not covered: it authenticates with an API key in a
+ * request header, which a browser never attaches on its own.
+ *
+ * Middleware Functions:
+ * - provideCsrfToken: Exposes csrfToken() to views (creates the token on first use)
+ * - verifyCsrfToken: Rejects POST/PUT/PATCH/DELETE without a matching token (403)
+ */
+
+const crypto = require('crypto');
+const { ensureSession } = require('./sessionMiddleware');
+
+// Form field and header the token may be sent in
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Methods that change state and therefore need a token
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Get the session's CSRF token, creating the session and token if needed.
+ */
+function getCsrfToken(req, res) {
+  const session = ensureSession(req, res);
+  if (!session.data.csrfToken) {
+    session.data.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return session.data.csrfToken;
+}
+
+/**
+ * Compare two tokens in constant time.
+ */
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * provideCsrfToken - Make the token available to views as csrfToken()
+ * It's a function so guests only get a session when a page actually renders a form.
+ */
+function provideCsrfToken(req, res, next) {
+  res.locals.csrfToken = () => getCsrfToken(req, res);
+  next();
+}
+
+/**
+ * verifyCsrfToken - Require a valid CSRF token on state-changing requests
+ * Renders the 403 error page when the token is missing or doesn't match.
+ */
+function verifyCsrfToken(req, res, next) {
+  if (!UNSAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const expected = req.session ? req.session.data.csrfToken : null;
+  const actual = (req.body && req.body[CSRF_FIELD]) || req.get(CSRF_HEADER);
+
+  if (tokensMatch(expected, actual)) {
+    return next();
+  }
+
+  return res.status(403).render('error', {
+    title: 'Request Blocked',
+    message: 'This form has expired or was not submitted from this site. Go back, reload the page and try again.',
+    status: 403
+  });
+}
+
+module.exports = {
+  provideCsrfToken,
+  verifyCsrfToken
+};
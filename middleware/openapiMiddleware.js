@@ -0,0 +1,93 @@
+/**
+ * openapiMiddleware.js - Enforce the OpenAPI Spec on the REST API
+ *
+ * Checks API traffic against the document built by utils/openapi.js, so the
+ * published contract and the routes can't drift apart:
+ * - Requests: path and query parameters and JSON bodies that don't match the
+ *   spec are refused before they reach a route, with the API's usual 400:
+ *   { success: false, error: 'first message', errors: { name: message, ... } }
+ * - Responses: every JSON response is checked against the schema documented
+ *   for its status. How a mismatch is handled is set by OPENAPI_RESPONSE_VALIDATION:
+ *   - strict: log it and answer 500 instead (default outside production, so
+ *     tests catch an undocumented change)
+ *   - warn: log it and send the response anyway (default in production)
+ *   - off: don't check responses
+ *
+ * Requests the spec doesn't describe (unknown paths or methods) pass through
+ * untouched and end in the usual 404.
+ *
+ * Middleware Functions:
+ * - validateApiRequest: Refuse requests that don't match the spec
+ * - validateApiResponse: Check JSON responses against the spec
+ */
+
+const { getSpec } = require('../utils/openapi');
+const { findOperation, validateRequest, validateResponse } = require('../utils/openapiValidator');
+
+// Response validation mode (see above)
+const RESPONSE_VALIDATION = process.env.OPENAPI_RESPONSE_VALIDATION ||
+  (process.env.NODE_ENV === 'production' ? 'warn' : 'strict');
+
+/**
+ * validateApiRequest - Refuse a request whose parameters or JSON body don't match the spec
+ * Attaches the matched operation to req.apiOperation. Must be mounted where
+ * req.path is relative to the API root (e.g. /employees/5).
+ */
+function validateApiRequest(req, res, next) {
+  const spec = getSpec();
+  const match = findOperation(spec, req.method, req.path);
+  if (!match) return next();
+
+  req.apiOperation = match;
+  const errors = validateRequest(spec, match, {
+    query: req.query,
+    body: req.body,
+    json: Boolean(req.is('application/json'))
+  });
+
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: messages[0],
+      errors: errors
+    });
+  }
+  return next();
+}
+
+/**
+ * validateApiResponse - Check every JSON response against the spec
+ * Wraps res.json, so it must run before the routes (and before authentication,
+ * whose 401 responses are part of the contract too).
+ */
+function validateApiResponse(req, res, next) {
+  if (RESPONSE_VALIDATION === 'off') return next();
+
+  // Routers mounted below strip their prefix from req.path, so keep the full one
+  const path = req.path;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const spec = getSpec();
+    const match = findOperation(spec, req.method, path);
+    if (!match) return json(body);
+
+    const problems = validateResponse(spec, match, res.statusCode, body);
+    if (problems.length === 0) return json(body);
+
+    console.error(`Response to ${req.method} ${req.originalUrl} does not match the OpenAPI spec (${match.path}): ${problems.join('; ')}`);
+    if (RESPONSE_VALIDATION !== 'strict') return json(body);
+
+    res.status(500);
+    return json({
+      success: false,
+      error: 'Response does not match the API specification'
+    });
+  };
+  return next();
+}
+
+module.exports = {
+  validateApiRequest,
+  validateApiResponse
+};
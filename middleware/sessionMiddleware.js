@@ -0,0 +1,133 @@
+/**
+ * sessionMiddleware.js - Session Cookie Handling
+ *
+ * Connects the signed session cookie to the server-side sessionStore.
+ * The cookie only carries an opaque session ID signed with SESSION_SECRET
+ * (via cookie-parser), so a tampered or unknown cookie is simply ignored.
+ *
+ * Exports:
+ * - loadSession: Attaches req.session (or null) on every request
+ * - startSession: Replaces the session with a fresh ID and new data (call on login)
+ * - ensureSession: Returns the current session, starting an anonymous one for guests
+ * - endSession: Revokes the session and clears the cookie (call on logout)
+ * - setFlash / takeFlash: Carry a message across a redirect (Post/Redirect/Get)
+ */
+
+const sessionStore = require('../utils/sessionStore');
+
+// Name of the cookie holding the signed session ID
+const SESSION_COOKIE = 'sid';
+
+// Cookie options shared by every session cookie write
+const COOKIE_OPTIONS = {
+  httpOnly: true,       // Not readable from client-side JavaScript
+  sameSite: 'lax',      // Not sent on cross-site POSTs
+  signed: true,         // Signed with the cookie-parser secret
+  maxAge: sessionStore.TTL_MS
+};
+
+/**
+ * Write the session cookie for the given session.
+ */
+function setSessionCookie(res, session) {
+  res.cookie(SESSION_COOKIE, session.id, COOKIE_OPTIONS);
+}
+
+/**
+ * Remove the session cookie from the browser.
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', signed: true });
+}
+
+/**
+ * loadSession - Resolve the session for the current request
+ * Reads the signed session cookie and looks it up in the store.
+ * Sets req.session to the live session, or null when the cookie is missing,
+ * has an invalid signature (cookie-parser yields false) or has expired.
+ */
+function loadSession(req, res, next) {
+  const sessionId = req.signedCookies[SESSION_COOKIE];
+  req.session = null;
+
+  if (sessionId) {
+    req.session = sessionStore.touch(sessionId);
+  }
+
+  // Drop stale, unknown or tampered cookies so the browser stops sending them
+  const cookiePresent = sessionId !== undefined || req.cookies[SESSION_COOKIE] !== undefined;
+  if (!req.session && cookiePresent) {
+    clearSessionCookie(res);
+  }
+
+  next();
+}
+
+/**
+ * startSession - Replace the current session with a fresh one
+ * The old session ID is revoked and nothing from it is carried over,
+ * so every login (or identity switch) starts from a clean, unguessable ID.
+ * @param {Object} data - Session data (e.g. { accountId })
+ */
+function startSession(req, res, data) {
+  if (req.session) {
+    sessionStore.destroy(req.session.id);
+  }
+  req.session = sessionStore.create(data);
+  setSessionCookie(res, req.session);
+  return req.session;
+}
+
+/**
+ * ensureSession - Get the current session, creating an empty one if there is none
+ * Guests get an anonymous session so their forms can carry a CSRF token.
+ * Logging in still replaces it with a fresh session via startSession.
+ */
+function ensureSession(req, res) {
+  return req.session || startSession(req, res, {});
+}
+
+/**
+ * endSession - Revoke the current session
+ * The session ID is destroyed server-side, so a copied cookie can't be replayed.
+ */
+function endSession(req, res) {
+  if (req.session) {
+    sessionStore.destroy(req.session.id);
+    req.session = null;
+  }
+  clearSessionCookie(res);
+}
+
+/**
+ * setFlash - Keep a message for the next page the session loads
+ * Lets a POST handler redirect and still report what happened.
+ * @param {Object} message - { success } or { error }
+ */
+function setFlash(req, message) {
+  if (req.session) {
+    req.session.data.flash = message;
+  }
+}
+
+/**
+ * takeFlash - Read and clear the message left by setFlash
+ * @returns {Object} { success, error } (each null when not set)
+ */
+function takeFlash(req) {
+  const flash = (req.session && req.session.data.flash) || {};
+  if (req.session) {
+    delete req.session.data.flash;
+  }
+  return { success: flash.success || null, error: flash.error || null };
+}
+
+module.exports = {
+  loadSession,
+  startSession,
+  ensureSession,
+  endSession,
+  setFlash,
+  takeFlash,
+  SESSION_COOKIE
+};
@@ -2,23 +2,37 @@
  * adminRoutes.js - Admin Panel Route Handlers
  *
  * Handles all admin-related routes including authentication, dashboard,
- * and employee CRUD operations. All routes except login require admin authentication.
+ * employee and department CRUD operations, custom employee fields, archiving, CSV import and export, account roles, API keys, the audit log and login lockouts. All routes except login
+ * require an account with the admin role.
  */
 
 const express = require('express');
 const router = express.Router();
-const { isAdmin, isAdminGuest, ADMIN_TOKEN } = require('../middleware/authMiddleware');
+const { isAdmin, isAdminGuest, recordLogin, recordLogout, recordImpersonationEnd } = require('../middleware/authMiddleware');
+const { startSession, endSession, setFlash, takeFlash } = require('../middleware/sessionMiddleware');
+const { throttleLogin, recordLoginFailure, recordLoginSuccess } = require('../middleware/loginThrottleMiddleware');
+const asyncRoute = require('../utils/asyncRoute');
 const employeeStore = require('../utils/employeeStore');
-
-// Hardcoded admin credentials (for demo purposes - use environment variables in production)
-const ADMIN_CREDENTIALS = {
-  username: 'admin',
-  password: 'admin123'
-};
+const { RETENTION_DAYS, VersionConflictError, EmployeeStateError, historyValue } = require('../utils/employeeStore');
+const departmentStore = require('../utils/departmentStore');
+const sessionStore = require('../utils/sessionStore');
+const userStore = require('../utils/userStore');
+const apiKeyStore = require('../utils/apiKeyStore');
+const auditStore = require('../utils/auditStore');
+const loginThrottle = require('../utils/loginThrottle');
+const { ROLES, roleAtLeast } = require('../utils/roles');
+const { MAX_IMPORT_ROWS, importFields, requiredFields, checkImport, commitImport } = require('../utils/employeeImport');
+const { EXPORT_FORMATS, exportColumns, columnLabels, streamExport } = require('../utils/employeeExport');
+const { parseEmployeeQuery, parseExportQuery, parsePage } = require('../utils/employeeQuery');
+const { AUDIT_EXPORT_FORMATS, parseAuditQuery, findEntries, sendAuditExport } = require('../utils/auditExport');
+const { actorLabel } = require('../utils/auditStore');
+const customFieldStore = require('../utils/customFieldStore');
+const { CUSTOM_FIELD_TYPES } = require('../utils/customFieldStore');
+const { EMPLOYEE_SCHEMA, MAX_CUSTOM_TEXT_LENGTH, ValidationError } = require('../utils/employeeSchema');
 
 /**
  * AUTHENTICATION ROUTES
- * Handles admin login/logout with cookie-based session management
+ * Handles admin login/logout with server-side sessions
  */
 
 // GET /admin/login - Display login form (redirects to dashboard if already logged in)
@@ -29,74 +43,215 @@ router.get('/login', isAdminGuest, (req, res) => {
   });
 });
 
-// POST /admin/login - Process login credentials and set auth cookie
-router.post('/login', isAdminGuest, (req, res) => {
+// POST /admin/login - Process login credentials and start admin session
+router.post('/login', isAdminGuest, throttleLogin('admin/login', 'Admin Login'), asyncRoute(async (req, res) => {
   const { username, password } = req.body;
 
-  // Validate credentials against hardcoded values
-  if (username === ADMIN_CREDENTIALS.username && password === ADMIN_CREDENTIALS.password) {
-    // Set httpOnly cookie to prevent XSS attacks, expires in 24 hours
-    res.cookie('adminToken', ADMIN_TOKEN, {
-      httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000
-    });
+  // Validate credentials against the account store (bcrypt comparison)
+  const account = await userStore.authenticate(username, password);
+
+  // Only accounts with the admin role may sign in to the admin panel
+  if (account && account.role === 'admin') {
+    await recordLoginSuccess(username);
+    await recordLogin(req, account, 'admin');
+
+    // Rotate the session ID and store the logged-in account
+    startSession(req, res, { accountId: account.id });
     return res.redirect('/admin/dashboard');
   }
 
-  // Re-render login with error message on failed authentication
+  // Count the failure towards backoff/lockout, then re-render login with error message
+  await recordLoginFailure(req, username);
   return res.render('admin/login', {
     title: 'Admin Login',
     error: 'Invalid username or password'
   });
-});
+}));
 
 /**
- * DASHBOARD ROUTE
- * Main admin view showing employee statistics and full employee list
+ * DASHBOARD ROUTES
+ * Main admin view showing employee statistics and the employee list, which
+ * can be searched, filtered by department and exported
  */
 
-// GET /admin/dashboard - Display admin dashboard with employee data
-router.get('/dashboard', isAdmin, (req, res) => {
-  const employees = employeeStore.getAll();
-  const recentEmployees = employeeStore.getRecentEmployees(4);  // Get 4 most recent hires
+// Render the dashboard; query holds the list's search and department filter
+function renderDashboard(res, query, { error = null, success = null } = {}) {
+  let options;
+  try {
+    options = parseEmployeeQuery({ q: query.q, department: query.department });
+  } catch (parseError) {
+    // Show the unfiltered list with the error instead
+    error = error || parseError.message;
+    options = parseEmployeeQuery({});
+  }
 
   res.render('admin/dashboard', {
     title: 'Admin Dashboard',
-    totalEmployees: employees.length,
-    recentEmployees: recentEmployees,
-    employees: employees
+    error: error,
+    success: success,
+    totalEmployees: employeeStore.count(),
+    archivedCount: employeeStore.count({ status: 'archived' }),
+    recentEmployees: employeeStore.getRecentEmployees(4),  // Get 4 most recent hires
+    employees: employeeStore.find(options).data,
+    filters: { q: options.q, department: options.department[0] || '' },
+    departments: departmentStore.getAll(),
+    exportFormats: EXPORT_FORMATS,
+    exportColumns: exportColumns(),
+    columnLabels: columnLabels(),
+    schema: EMPLOYEE_SCHEMA
   });
+}
+
+// GET /admin/dashboard - Display admin dashboard with employee data (?q=&department= filter the list)
+// and the outcome of a bulk action redirected here
+router.get('/dashboard', isAdmin, (req, res) => {
+  renderDashboard(res, req.query, takeFlash(req));
 });
 
+// GET /admin/employee/export - Download the filtered employee list (?format=csv|json|xlsx&columns=...)
+router.get('/employee/export', isAdmin, asyncRoute(async (req, res) => {
+  let options;
+  try {
+    options = parseExportQuery(req.query);
+  } catch (error) {
+    return renderDashboard(res.status(400), req.query, { error: error.message });
+  }
+
+  try {
+    await streamExport(res, options);
+  } catch (error) {
+    // Once the download has started the status can't change; cut it short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    renderDashboard(res.status(500), req.query, { error: 'Export failed' });
+  }
+}));
+
+// POST /admin/employee/bulk - Apply an action to the employees selected on the dashboard, all or
+// none of them (action: department or location, with the new value, or delete to archive as of today),
+// then redirect back to the dashboard, which shows the outcome
+router.post('/employee/bulk', isAdmin, asyncRoute(async (req, res) => {
+  // Back to the list as it was filtered when the action was submitted
+  const params = new URLSearchParams(['q', 'department']
+    .filter((name) => typeof req.query[name] === 'string' && req.query[name] !== '')
+    .map((name) => [name, req.query[name]]));
+  const back = (message) => {
+    setFlash(req, message);
+    return res.redirect(`/admin/dashboard${params.size > 0 ? `?${params}` : ''}`);
+  };
+
+  const ids = [].concat(req.body.ids || []).map(Number);
+  const { action, department, location } = req.body;
+  const isBlank = (value) => typeof value !== 'string' || value.trim() === '';
+
+  let operations;
+  let success;
+  if (action === 'department') {
+    if (isBlank(department)) {
+      return back({ error: 'Choose the department to move the employees to' });
+    }
+    operations = ids.map((id) => ({ op: 'update', id: id, data: { department } }));
+    success = `Moved ${ids.length} employees to ${department}`;
+  } else if (action === 'location') {
+    if (isBlank(location)) {
+      return back({ error: 'Enter the new location' });
+    }
+    operations = ids.map((id) => ({ op: 'update', id: id, data: { location } }));
+    success = `Changed the location of ${ids.length} employees to ${location}`;
+  } else if (action === 'delete') {
+    operations = ids.map((id) => ({ op: 'delete', id: id }));
+    success = `Archived ${ids.length} employees`;
+  } else {
+    return back({ error: 'Unknown bulk action' });
+  }
+  if (ids.length === 0) {
+    return back({ error: 'Select at least one employee' });
+  }
+  if (!ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return back({ error: 'Invalid employee selection' });
+  }
+
+  try {
+    const { applied, results } = await employeeStore.applyBatch(operations, { durable: true, actor: req.actor });
+    if (!applied) {
+      // Nothing was stored; name the first employee the action failed for
+      const failed = results.find((result) => result.error);
+      const employee = employeeStore.getById(failed.id);
+      const name = employee ? employee.name : `Employee #${failed.id}`;
+      return back({ error: `No employees were changed: ${name}: ${failed.error.message}` });
+    }
+    return back({ success: success });
+  } catch (error) {
+    // Too many employees selected
+    return back({ error: error.message });
+  }
+}));
+
 /**
  * EMPLOYEE CRUD ROUTES
  * Create, Read, Update, Delete operations for employee records
  */
 
+// Render the add or edit employee form; managers lists everyone who can be picked as manager,
+// customFields the admin-defined fields, errors ({ field: message }) highlights the inputs
+// that failed validation and conflicts ({ field: value }) shows values someone else saved
+function renderEmployeeForm(res, view, { error = null, errors = {}, conflicts = {}, employee = {} } = {}) {
+  const isEdit = view === 'admin/editEmployee';
+  res.render(view, {
+    title: isEdit ? 'Edit Employee' : 'Add Employee',
+    error: error,
+    errors: errors,
+    conflicts: conflicts,
+    schema: EMPLOYEE_SCHEMA,
+    customFields: customFieldStore.getAll(),
+    maxCustomTextLength: MAX_CUSTOM_TEXT_LENGTH,
+    today: new Date().toISOString().slice(0, 10),
+    employee: employee,
+    departments: departmentStore.getAll(),
+    managers: employeeStore.getAll().filter((manager) => !isEdit || manager.id !== Number(employee.id))
+  });
+}
+
+// Re-display the add or edit form after a failed save, highlighting invalid fields
+function renderEmployeeFormError(res, view, error, employee) {
+  if (!(error instanceof ValidationError)) {
+    return renderEmployeeForm(res, view, { error: error.message, employee: employee });
+  }
+
+  const count = Object.keys(error.errors).length;
+  return renderEmployeeForm(res.status(400), view, {
+    error: count === 1 ? error.message : `Please correct the ${count} highlighted fields`,
+    errors: error.errors,
+    employee: employee
+  });
+}
+
+// Re-display the edit form when someone else saved the employee after it was loaded: the
+// submitted values are kept, the fields they changed show their new values, and the form
+// now carries the current version, so saving again keeps the submitted values
+function renderEditConflict(res, current, submitted) {
+  const changes = employeeStore.changesSince(current.id, submitted.version) || {};
+  const [latest] = employeeStore.getHistory(current.id);
+  return renderEmployeeForm(res.status(409), 'admin/editEmployee', {
+    error: `Someone else (${actorLabel(latest.actor)}) changed this record while you were editing it. ` +
+      'Check their changes below; saving again will overwrite them.',
+    conflicts: Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, historyValue(field, to)])),
+    employee: { ...submitted, id: current.id, version: employeeStore.versionOf(current) }
+  });
+}
+
 // GET /admin/employee/add - Display empty form for adding new employee
 router.get('/employee/add', isAdmin, (req, res) => {
-  res.render('admin/addEmployee', {
-    title: 'Add Employee',
-    error: null,
-    employee: {}
-  });
+  renderEmployeeForm(res, 'admin/addEmployee');
 });
 
 // POST /admin/employee/add - Process form submission to create new employee
-router.post('/employee/add', isAdmin, async (req, res) => {
+router.post('/employee/add', isAdmin, asyncRoute(async (req, res) => {
   try {
-    const { name, designation, email, contact, department, joiningDate, location } = req.body;
+    const { name, designation, email, contact, department, joiningDate, location, managerId, customFields } = req.body;
 
-    // Server-side validation - all fields required
-    if (!name || !designation || !email || !contact || !department || !joiningDate || !location) {
-      return res.render('admin/addEmployee', {
-        title: 'Add Employee',
-        error: 'All fields are required',
-        employee: req.body  // Preserve form data for re-display
-      });
-    }
-
-    // Add employee to store (will throw error if email already exists)
+    // Add employee to store (validates every field; throws if the email already exists or the manager is invalid)
     await employeeStore.add({
       name,
       designation,
@@ -104,51 +259,41 @@ router.post('/employee/add', isAdmin, async (req, res) => {
       contact,
       department,
       joiningDate,
-      location
-    });
+      location,
+      managerId,
+      customFields
+    }, { durable: true, actor: req.actor });
 
     return res.redirect('/admin/dashboard');
   } catch (error) {
-    // Handle duplicate email or other errors
-    return res.render('admin/addEmployee', {
-      title: 'Add Employee',
-      error: error.message,
-      employee: req.body
-    });
+    // Handle invalid fields, duplicate email or other errors (preserving form data for re-display)
+    return renderEmployeeFormError(res, 'admin/addEmployee', error, req.body);
   }
-});
+}));
 
 // GET /admin/employee/edit/:id - Display form pre-filled with employee data
 router.get('/employee/edit/:id', isAdmin, (req, res) => {
   const employee = employeeStore.getById(req.params.id);
 
-  // Redirect if employee not found
+  // Redirect if employee not found; archived employees are restored before editing
   if (!employee) {
     return res.redirect('/admin/dashboard');
   }
+  if (employee.archivedAt) {
+    return res.redirect('/admin/employee/archived');
+  }
 
-  res.render('admin/editEmployee', {
-    title: 'Edit Employee',
-    error: null,
-    employee: employee
-  });
+  // The version lets the save detect changes made by someone else meanwhile
+  renderEmployeeForm(res, 'admin/editEmployee', { employee: { ...employee, version: employeeStore.versionOf(employee) } });
 });
 
 // POST /admin/employee/edit/:id - Process form submission to update employee
-router.post('/employee/edit/:id', isAdmin, async (req, res) => {
+router.post('/employee/edit/:id', isAdmin, asyncRoute(async (req, res) => {
   try {
-    const { name, designation, email, contact, department, joiningDate, location } = req.body;
+    const { name, designation, email, contact, department, joiningDate, location, managerId, customFields } = req.body;
 
-    // Server-side validation - all fields required
-    if (!name || !designation || !email || !contact || !department || !joiningDate || !location) {
-      return res.render('admin/editEmployee', {
-        title: 'Edit Employee',
-        error: 'All fields are required',
-        employee: { id: req.params.id, ...req.body }
-      });
-    }
-
-    // Update employee in store (handles email uniqueness check)
+    // Update employee in store (validates every field, email uniqueness and reporting cycles,
+    // and refuses the save if the employee changed since the form was loaded)
     const updated = await employeeStore.update(req.params.id, {
       name,
       designation,
@@ -156,34 +301,681 @@ router.post('/employee/edit/:id', isAdmin, async (req, res) => {
       contact,
       department,
       joiningDate,
-      location
-    });
+      location,
+      managerId,
+      customFields
+    }, { durable: true, actor: req.actor, expectedVersion: req.body.version ? Number(req.body.version) : null });
 
     if (!updated) {
-      return res.redirect('/admin/dashboard');
+      // Purged while the form was open; nothing was saved
+      setFlash(req, { error: `Employee #${req.params.id} was not found, so nothing was saved` });
+    }
+    return res.redirect('/admin/dashboard');
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return renderEditConflict(res, error.current, req.body);
     }
 
+    // Handle invalid fields, duplicate email or other errors
+    return renderEmployeeFormError(res, 'admin/editEmployee', error, { id: req.params.id, ...req.body });
+  }
+}));
+
+// GET /admin/employee/archive/:id - Ask for the termination date and reason before archiving
+router.get('/employee/archive/:id', isAdmin, (req, res) => {
+  const employee = employeeStore.getActiveById(req.params.id);
+  if (!employee) {
     return res.redirect('/admin/dashboard');
+  }
+
+  res.render('admin/archiveEmployee', {
+    title: 'Archive Employee',
+    error: null,
+    employee: employee,
+    termination: { terminationDate: new Date().toISOString().slice(0, 10), reason: '' }
+  });
+});
+
+// POST /admin/employee/delete/:id - Archive employee (terminationDate defaults to today; their
+// reports move up to their manager) and redirect to dashboard
+router.post('/employee/delete/:id', isAdmin, asyncRoute(async (req, res) => {
+  const { terminationDate, reason } = req.body;
+  try {
+    await employeeStore.archive(req.params.id, { terminationDate, reason }, { durable: true, actor: req.actor });
   } catch (error) {
-    // Handle duplicate email or other errors
-    return res.render('admin/editEmployee', {
-      title: 'Edit Employee',
+    // Invalid termination details, or archived meanwhile
+    if (!(error instanceof ValidationError || error instanceof EmployeeStateError)) throw error;
+    const employee = employeeStore.getActiveById(req.params.id);
+    if (!employee) {
+      return res.redirect('/admin/employee/archived');
+    }
+    return res.status(400).render('admin/archiveEmployee', {
+      title: 'Archive Employee',
       error: error.message,
-      employee: { id: req.params.id, ...req.body }
+      employee: employee,
+      termination: { terminationDate: terminationDate || '', reason: reason || '' }
     });
   }
+  return res.redirect('/admin/dashboard');
+}));
+
+/**
+ * ARCHIVED EMPLOYEE ROUTES
+ * Employees who have left: restore them, or purge them for good once the
+ * retention period is over
+ */
+
+// Render the archived employees tab, most recently archived first
+function renderArchived(res, { error = null, success = null } = {}) {
+  const employees = employeeStore.find({ status: 'archived' }).data
+    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt))
+    .map((employee) => ({ ...employee, purgeableAt: employeeStore.purgeableAt(employee) }));
+
+  res.render('admin/archivedEmployees', {
+    title: 'Archived Employees',
+    error: error,
+    success: success,
+    employees: employees,
+    now: new Date().toISOString(),
+    retentionDays: RETENTION_DAYS
+  });
+}
+
+// GET /admin/employee/archived - List archived employees
+router.get('/employee/archived', isAdmin, (req, res) => {
+  renderArchived(res);
 });
 
-// POST /admin/employee/delete/:id - Delete employee and redirect to dashboard
-router.post('/employee/delete/:id', isAdmin, async (req, res) => {
-  await employeeStore.delete(req.params.id);
-  return res.redirect('/admin/dashboard');
+// POST /admin/employee/restore/:id - Return an archived employee to the active list
+router.post('/employee/restore/:id', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const employee = await employeeStore.restore(req.params.id, { durable: true, actor: req.actor });
+    if (!employee) {
+      return res.redirect('/admin/employee/archived');
+    }
+    return renderArchived(res, { success: `Restored "${employee.name}"` });
+  } catch (error) {
+    // Not archived
+    if (!(error instanceof EmployeeStateError)) throw error;
+    return renderArchived(res, { error: error.message });
+  }
+}));
+
+// POST /admin/employee/purge/:id - Permanently delete an archived employee after the retention period
+router.post('/employee/purge/:id', isAdmin, asyncRoute(async (req, res) => {
+  const employee = employeeStore.getById(req.params.id);
+  try {
+    if (!employee || !(await employeeStore.purge(employee.id, { durable: true, actor: req.actor }))) {
+      return res.redirect('/admin/employee/archived');
+    }
+    return renderArchived(res, { success: `Purged "${employee.name}" permanently` });
+  } catch (error) {
+    // Not archived, or still within the retention period
+    if (!(error instanceof EmployeeStateError)) throw error;
+    return renderArchived(res, { error: error.message });
+  }
+}));
+
+/**
+ * IMPORT ROUTES
+ * Bulk-add employees from a CSV file: check (dry run) first, then import the valid rows
+ */
+
+// Render the import page; report is the dry-run result to review before importing
+function renderImport(res, { error = null, success = null, csv = '', report = null } = {}) {
+  res.render('admin/importEmployees', {
+    title: 'Import Employees',
+    error: error,
+    success: success,
+    csv: csv,
+    report: report,
+    fields: importFields(),
+    requiredFields: requiredFields(),
+    maxRows: MAX_IMPORT_ROWS
+  });
+}
+
+// GET /admin/employee/import - Display the CSV upload form
+router.get('/employee/import', isAdmin, (req, res) => {
+  renderImport(res);
 });
 
-// GET /admin/logout - Clear auth cookie and redirect to login
-router.get('/logout', (req, res) => {
-  res.clearCookie('adminToken');
-  return res.redirect('/admin/login');
+// POST /admin/employee/import - Check the CSV (action=check) or import its valid rows (action=import)
+router.post('/employee/import', isAdmin, asyncRoute(async (req, res) => {
+  const { csv = '', mapping = {}, action } = req.body;
+
+  let report;
+  try {
+    report = checkImport(csv, mapping);
+  } catch (error) {
+    // Unreadable CSV, too many rows or a required field without a column
+    return renderImport(res, { error: error.message, csv: csv });
+  }
+
+  if (action !== 'import') {
+    return renderImport(res, { csv: csv, report: report });
+  }
+
+  if (report.valid === 0) {
+    return renderImport(res, { error: 'No valid rows to import', csv: csv, report: report });
+  }
+
+  const employees = await commitImport(report, { durable: true, actor: req.actor });
+  return renderImport(res, {
+    success: `Imported ${employees.length} employees` + (report.invalid > 0 ? ` (${report.invalid} invalid rows skipped)` : '')
+  });
+}));
+
+/**
+ * DEPARTMENT ROUTES
+ * Create, rename, merge and delete departments; renames and merges cascade to employees
+ */
+
+// Render the departments page with the current department list
+function renderDepartments(res, { error = null, success = null, form = {} } = {}) {
+  res.render('admin/departments', {
+    title: 'Departments',
+    error: error,
+    success: success,
+    form: form,  // Create form values to re-display after an error
+    departments: departmentStore.getAll(),
+    employees: employeeStore.getAll()
+  });
+}
+
+// Render the edit page for one department
+function renderEditDepartment(res, department, { error = null } = {}) {
+  res.render('admin/editDepartment', {
+    title: 'Edit Department',
+    error: error,
+    department: department,
+    departments: departmentStore.getAll().filter((other) => other.id !== department.id),
+    employees: employeeStore.getAll()
+  });
+}
+
+// GET /admin/departments - List departments and show the create form
+router.get('/departments', isAdmin, (req, res) => {
+  renderDepartments(res);
+});
+
+// POST /admin/departments - Create a department
+router.post('/departments', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const { name, headId, costCenter } = req.body;
+    const department = await departmentStore.create({ name, headId, costCenter }, { durable: true, actor: req.actor });
+    return renderDepartments(res, { success: `Department "${department.name}" created` });
+  } catch (error) {
+    // Handle missing or duplicate name, unknown head or malformed cost center
+    return renderDepartments(res, { error: error.message, form: req.body });
+  }
+}));
+
+// GET /admin/departments/:id/edit - Display the edit, merge and delete forms
+router.get('/departments/:id/edit', isAdmin, (req, res) => {
+  const department = departmentStore.getById(req.params.id);
+
+  if (!department) {
+    return res.redirect('/admin/departments');
+  }
+
+  renderEditDepartment(res, department);
+});
+
+// POST /admin/departments/:id - Update name (renaming its employees), head and cost center
+router.post('/departments/:id', isAdmin, asyncRoute(async (req, res) => {
+  const department = departmentStore.getById(req.params.id);
+  if (!department) {
+    return res.redirect('/admin/departments');
+  }
+
+  try {
+    const { name, headId, costCenter } = req.body;
+    const updated = await departmentStore.update(department.id, { name, headId, costCenter }, { durable: true, actor: req.actor });
+    return renderDepartments(res, { success: `Department "${updated.name}" saved` });
+  } catch (error) {
+    return renderEditDepartment(res, { ...department, ...req.body }, { error: error.message });
+  }
+}));
+
+// POST /admin/departments/:id/merge - Move all employees into another department and remove this one
+router.post('/departments/:id/merge', isAdmin, asyncRoute(async (req, res) => {
+  const department = departmentStore.getById(req.params.id);
+  if (!department) {
+    return res.redirect('/admin/departments');
+  }
+
+  try {
+    const result = await departmentStore.merge(department.id, req.body.intoId, { durable: true, actor: req.actor });
+    if (!result) {
+      return renderEditDepartment(res, department, { error: 'Select the department to merge into' });
+    }
+    return renderDepartments(res, {
+      success: `Merged "${department.name}" into "${result.department.name}" (${result.moved} employees moved)`
+    });
+  } catch (error) {
+    return renderEditDepartment(res, department, { error: error.message });
+  }
+}));
+
+// POST /admin/departments/:id/delete - Delete an empty department
+router.post('/departments/:id/delete', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const department = departmentStore.getById(req.params.id);
+    if (!department || !(await departmentStore.delete(department.id, { durable: true, actor: req.actor }))) {
+      return res.redirect('/admin/departments');
+    }
+    return renderDepartments(res, { success: `Department "${department.name}" deleted` });
+  } catch (error) {
+    // Still has employees
+    return renderDepartments(res, { error: error.message });
+  }
+}));
+
+/**
+ * CUSTOM FIELD ROUTES
+ * Define, change and delete the extra employee fields shown on the employee forms
+ */
+
+// Render the custom fields page with the current definitions
+function renderCustomFields(res, { error = null, success = null, form = {} } = {}) {
+  res.render('admin/customFields', {
+    title: 'Custom Fields',
+    error: error,
+    success: success,
+    form: form,  // Create form values to re-display after an error
+    fields: customFieldStore.getAll(),
+    types: CUSTOM_FIELD_TYPES
+  });
+}
+
+// Render the edit page for one custom field
+function renderEditCustomField(res, field, { error = null } = {}) {
+  res.render('admin/editCustomField', {
+    title: 'Edit Custom Field',
+    error: error,
+    field: field
+  });
+}
+
+// GET /admin/custom-fields - List custom fields and show the create form
+router.get('/custom-fields', isAdmin, (req, res) => {
+  renderCustomFields(res);
+});
+
+// POST /admin/custom-fields - Define a custom field
+router.post('/custom-fields', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const { key, label, type, required, options } = req.body;
+    const field = await customFieldStore.create({ key, label, type, required, options }, { durable: true, actor: req.actor });
+    return renderCustomFields(res, { success: `Custom field "${field.label}" added` });
+  } catch (error) {
+    // Handle malformed or duplicate key, missing label, unknown type or missing options
+    return renderCustomFields(res, { error: error.message, form: req.body });
+  }
+}));
+
+// GET /admin/custom-fields/:id/edit - Display the edit and delete forms
+router.get('/custom-fields/:id/edit', isAdmin, (req, res) => {
+  const field = customFieldStore.getById(req.params.id);
+
+  if (!field) {
+    return res.redirect('/admin/custom-fields');
+  }
+
+  renderEditCustomField(res, field);
+});
+
+// POST /admin/custom-fields/:id - Update label, required flag and options (key and type are fixed)
+router.post('/custom-fields/:id', isAdmin, asyncRoute(async (req, res) => {
+  const field = customFieldStore.getById(req.params.id);
+  if (!field) {
+    return res.redirect('/admin/custom-fields');
+  }
+
+  try {
+    // An unchecked checkbox isn't submitted, so a missing value means not required
+    const { label, required = false, options } = req.body;
+    const updated = await customFieldStore.update(field.id, { label, required, options }, { durable: true, actor: req.actor });
+    return renderCustomFields(res, { success: `Custom field "${updated.label}" saved` });
+  } catch (error) {
+    return renderEditCustomField(res, { ...field, ...req.body, required: Boolean(req.body.required) }, { error: error.message });
+  }
+}));
+
+// POST /admin/custom-fields/:id/delete - Delete a custom field and its value on every employee
+router.post('/custom-fields/:id/delete', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const result = await customFieldStore.delete(req.params.id, { durable: true, actor: req.actor });
+    if (!result) {
+      return res.redirect('/admin/custom-fields');
+    }
+    return renderCustomFields(res, {
+      success: `Custom field "${result.field.label}" deleted (removed from ${result.cleared} employees)`
+    });
+  } catch (error) {
+    return renderCustomFields(res, { error: error.message });
+  }
+}));
+
+/**
+ * ACCOUNT ROUTES
+ * Create accounts, promote/demote roles, disable/enable and reset passwords
+ */
+
+// Render the accounts page with the current account list
+function renderAccounts(res, { error = null, success = null } = {}) {
+  res.render('admin/accounts', {
+    title: 'Accounts',
+    error: error,
+    success: success,
+    accounts: userStore.getAll(),
+    roles: ROLES
+  });
+}
+
+// Sign an account out of every session except the caller's own
+function revokeAccountSessions(req, accountId) {
+  sessionStore.destroyWhere(
+    (data) => data.accountId === accountId,
+    req.session ? req.session.id : null
+  );
+}
+
+// GET /admin/accounts - List accounts and show the create form
+router.get('/accounts', isAdmin, (req, res) => {
+  renderAccounts(res);
 });
 
+// POST /admin/accounts - Create a new account with a role
+router.post('/accounts', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const account = await userStore.create(username, password, { role, createdBy: req.account.username, durable: true, actor: req.actor });
+    return renderAccounts(res, { success: `Account "${account.username}" created as ${account.role}` });
+  } catch (error) {
+    // Handle duplicate username, invalid role or password policy errors
+    return renderAccounts(res, { error: error.message });
+  }
+}));
+
+// POST /admin/accounts/:id/role - Promote or demote an account
+router.post('/accounts/:id/role', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    if (Number(req.params.id) === req.account.id) {
+      return renderAccounts(res, { error: 'You cannot change your own role' });
+    }
+
+    const account = await userStore.setRole(req.params.id, req.body.role, { durable: true, actor: req.actor });
+    if (!account) {
+      return res.redirect('/admin/accounts');
+    }
+    return renderAccounts(res, { success: `"${account.username}" is now ${account.role}` });
+  } catch (error) {
+    // Handle invalid role or attempts to demote the last active admin
+    return renderAccounts(res, { error: error.message });
+  }
+}));
+
+// POST /admin/accounts/:id/disable - Disable an account and sign it out everywhere
+router.post('/accounts/:id/disable', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    if (Number(req.params.id) === req.account.id) {
+      return renderAccounts(res, { error: 'You cannot disable your own account' });
+    }
+
+    const account = await userStore.setDisabled(req.params.id, true, { durable: true, actor: req.actor });
+    if (account) {
+      revokeAccountSessions(req, account.id);
+    }
+    return res.redirect('/admin/accounts');
+  } catch (error) {
+    // Handle attempts to disable the last active admin
+    return renderAccounts(res, { error: error.message });
+  }
+}));
+
+// POST /admin/accounts/:id/enable - Re-enable a disabled account
+router.post('/accounts/:id/enable', isAdmin, asyncRoute(async (req, res) => {
+  await userStore.setDisabled(req.params.id, false, { durable: true, actor: req.actor });
+  return res.redirect('/admin/accounts');
+}));
+
+// POST /admin/accounts/:id/reset-password - Set a new password and sign the account out elsewhere
+router.post('/accounts/:id/reset-password', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const account = await userStore.resetPassword(req.params.id, req.body.password, { durable: true, actor: req.actor });
+    if (!account) {
+      return res.redirect('/admin/accounts');
+    }
+
+    revokeAccountSessions(req, account.id);
+    return renderAccounts(res, { success: `Password reset for "${account.username}"` });
+  } catch (error) {
+    // Handle password policy errors
+    return renderAccounts(res, { error: error.message });
+  }
+}));
+
+/**
+ * IMPERSONATION ROUTE
+ * Lets an admin see the app exactly as another user does, for a limited time.
+ * Start, stop and expiry are all written to the audit trail.
+ */
+
+// How long an impersonation lasts before the session returns to the admin (15 minutes)
+const IMPERSONATION_TTL_MS = 15 * 60 * 1000;
+
+// POST /admin/accounts/:id/impersonate - Switch this session to another user's account
+router.post('/accounts/:id/impersonate', isAdmin, asyncRoute(async (req, res) => {
+  const target = userStore.getById(req.params.id);
+
+  if (!target || target.disabled) {
+    return renderAccounts(res, { error: 'Only active accounts can be impersonated' });
+  }
+  if (target.role === 'admin') {
+    return renderAccounts(res, { error: 'Admin accounts cannot be impersonated' });
+  }
+
+  const startedAt = Date.now();
+  const impersonation = {
+    adminId: req.account.id,
+    adminUsername: req.account.username,
+    accountId: target.id,
+    username: target.username,
+    startedAt: startedAt,
+    expiresAt: startedAt + IMPERSONATION_TTL_MS
+  };
+
+  await auditStore.record({
+    actor: req.account,
+    action: 'impersonation.start',
+    target: { type: 'account', id: target.id, label: target.username },
+    details: { expiresAt: new Date(impersonation.expiresAt).toISOString(), ip: req.ip }
+  });
+
+  // New session ID for the switched identity; the admin's own session is revoked
+  startSession(req, res, { accountId: target.id, impersonation: impersonation });
+  return res.redirect('/');
+}));
+
+/**
+ * API KEY ROUTES
+ * Issue and revoke keys used to authenticate REST API callers
+ */
+
+// Render the API key page with the current key list
+function renderApiKeys(res, { error = null, newKey = null } = {}) {
+  res.render('admin/apiKeys', {
+    title: 'API Keys',
+    error: error,
+    newKey: newKey,  // Raw key, only available right after issuing
+    keys: apiKeyStore.getAll(),
+    users: userStore.getAll(),
+    roles: ROLES
+  });
+}
+
+// GET /admin/api-keys - List issued keys and show the issue form
+router.get('/api-keys', isAdmin, (req, res) => {
+  renderApiKeys(res);
+});
+
+// POST /admin/api-keys - Issue a new key and display it once
+router.post('/api-keys', isAdmin, asyncRoute(async (req, res) => {
+  try {
+    const { name, role, userId } = req.body;
+
+    // Resolve the account the key is issued to (optional)
+    let user = null;
+    if (userId) {
+      user = userStore.getById(userId);
+      if (!user) {
+        return renderApiKeys(res, { error: 'Selected user does not exist' });
+      }
+
+      // A key can never grant more than its account's own role
+      if (!roleAtLeast(user.role, role)) {
+        return renderApiKeys(res, { error: `Role cannot exceed the account's role (${user.role})` });
+      }
+    }
+
+    const { key } = await apiKeyStore.issue({
+      name,
+      role,
+      userId: user ? user.id : null,
+      username: user ? user.username : null
+    }, { actor: req.actor });
+
+    return renderApiKeys(res, { newKey: key });
+  } catch (error) {
+    // Handle missing name or invalid role
+    return renderApiKeys(res, { error: error.message });
+  }
+}));
+
+// POST /admin/api-keys/revoke/:id - Revoke a key and redirect to the key list
+router.post('/api-keys/revoke/:id', isAdmin, asyncRoute(async (req, res) => {
+  await apiKeyStore.revoke(req.params.id, { actor: req.actor });
+  return res.redirect('/admin/api-keys');
+}));
+
+/**
+ * AUDIT ROUTES
+ * Browse, filter and export the audit trail of employee and account changes,
+ * logins and logouts
+ */
+
+// Entries shown per page of the audit log
+const AUDIT_PAGE_SIZE = 50;
+
+// Render the audit log; query holds the filters and page number
+function renderAudit(res, query, { error = null } = {}) {
+  let filters;
+  let page;
+  try {
+    filters = parseAuditQuery(query);
+    page = parsePage(query);
+  } catch (parseError) {
+    // Show the unfiltered log along with the problem
+    error = error || parseError.message;
+    filters = parseAuditQuery({});
+    page = 1;
+  }
+
+  const entries = findEntries(filters);
+  const totalPages = Math.max(1, Math.ceil(entries.length / AUDIT_PAGE_SIZE));
+  page = Math.min(page, totalPages);
+
+  // Links keep the applied filters and change only the given parameters
+  const auditUrl = (path, changes) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== ''));
+    for (const [name, value] of Object.entries(changes)) {
+      params.set(name, value);
+    }
+    return `${path}?${params}`;
+  };
+
+  res.status(error ? 400 : 200).render('admin/audit', {
+    title: 'Audit Log',
+    error: error,
+    filters: filters,
+    actions: auditStore.getActions(),
+    entries: entries.slice((page - 1) * AUDIT_PAGE_SIZE, page * AUDIT_PAGE_SIZE),
+    total: entries.length,
+    page: page,
+    totalPages: totalPages,
+    auditUrl: auditUrl,
+    exportFormats: AUDIT_EXPORT_FORMATS,
+    actorLabel: actorLabel,
+    writeFailures: auditStore.writeFailures,
+    lastWriteError: auditStore.lastWriteError
+  });
+}
+
+// GET /admin/audit - List audit entries, newest first (?action=&actor=&targetType=&targetId=&from=&to=&page=)
+router.get('/audit', isAdmin, (req, res) => {
+  renderAudit(res, req.query);
+});
+
+// GET /admin/audit/export - Download the filtered audit log (?format=csv|json plus the list's filters)
+router.get('/audit/export', isAdmin, (req, res) => {
+  const format = req.query.format || 'csv';
+  let filters;
+  try {
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of ${AUDIT_EXPORT_FORMATS.join(', ')}`);
+    }
+    filters = parseAuditQuery(req.query);
+  } catch (error) {
+    return renderAudit(res, req.query, { error: error.message });
+  }
+
+  return sendAuditExport(res, findEntries(filters), format);
+});
+
+/**
+ * LOGIN LOCKOUT ROUTES
+ * View and clear brute-force throttling on IP addresses and usernames
+ */
+
+// GET /admin/lockouts - List IPs and usernames currently locked out or in backoff
+router.get('/lockouts', isAdmin, asyncRoute(async (req, res) => {
+  res.render('admin/lockouts', {
+    title: 'Login Lockouts',
+    success: req.query.cleared ? `Cleared lockout for ${req.query.cleared}` : null,
+    lockouts: await loginThrottle.getBlocked()
+  });
+}));
+
+// POST /admin/lockouts/clear - Clear one IP or username and audit the unlock
+router.post('/lockouts/clear', isAdmin, asyncRoute(async (req, res) => {
+  const { key } = req.body;
+
+  if (key && await loginThrottle.clear(key)) {
+    const label = key.slice(key.indexOf(':') + 1);
+    await auditStore.record({
+      actor: req.actor,
+      action: 'login.unlock',
+      target: { type: key.startsWith('ip:') ? 'ip' : 'username', id: key, label: label },
+      details: { ip: req.ip }
+    });
+    return res.redirect(`/admin/lockouts?cleared=${encodeURIComponent(label)}`);
+  }
+
+  return res.redirect('/admin/lockouts');
+}));
+
+// GET /admin/logout - Revoke session and redirect to login
+router.get('/logout', asyncRoute(async (req, res) => {
+  // Logging out while impersonating also ends the impersonation
+  if (req.impersonation) {
+    await recordImpersonationEnd(req.impersonation, 'logout');
+  }
+
+  await recordLogout(req, 'admin');
+  endSession(req, res);
+  return res.redirect('/admin/login');
+}));
+
 module.exports = router;
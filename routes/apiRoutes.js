@@ -0,0 +1,102 @@
+/**
+ * apiRoutes.js - REST API Root
+ *
+ * Mounts the resource routers of the REST API with the middleware they share,
+ * and publishes the API's contract. Mounted at /api/v1 (and at /api, the
+ * deprecated pre-versioning alias; see app.js).
+ *
+ * Public endpoints (no API key):
+ * - GET /openapi.json - The OpenAPI 3.1 document (utils/openapi.js)
+ * - GET /docs         - Interactive reference (Swagger UI) for the same document,
+ *                        where requests can be tried out with an API key
+ *
+ * Every other request goes through, in order:
+ * 1. validateApiResponse - JSON responses are checked against the spec
+ * 2. authenticateApiKey  - an API key is required
+ * 3. validateApiRequest  - parameters and JSON bodies are checked against the spec
+ * 4. the resource router, which checks the key's permission
+ *
+ * JSON bodies are parsed here rather than in app.js, so that a malformed body
+ * (or any other error) reaches the error handler at the end of this router
+ * and is answered in the API's JSON format instead of as an HTML page.
+ */
+
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const router = express.Router();
+const employeeRoutes = require('./employeeRoutes');
+const departmentRoutes = require('./departmentRoutes');
+const customFieldRoutes = require('./customFieldRoutes');
+const { authenticateApiKey } = require('../middleware/apiAuthMiddleware');
+const { validateApiRequest, validateApiResponse } = require('../middleware/openapiMiddleware');
+const { getSpec } = require('../utils/openapi');
+
+// Largest JSON body accepted
+const BODY_LIMIT = '2mb';
+
+router.use(express.json({ limit: BODY_LIMIT }));
+
+/**
+ * GET /api/v1/openapi.json
+ * The OpenAPI document describing this API
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+/**
+ * GET /api/v1/docs/assets/*
+ * Swagger UI's scripts and styles, from the swagger-ui-dist package
+ */
+router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+/**
+ * GET /api/v1/docs
+ * Interactive API reference (Swagger UI) loading the OpenAPI document
+ */
+router.get('/docs', (req, res) => {
+  res.render('apiDocs', {
+    title: 'API Reference',
+    spec: getSpec(),
+    specUrl: `${req.baseUrl}/openapi.json`,
+    assetsUrl: `${req.baseUrl}/docs/assets`
+  });
+});
+
+router.use(validateApiResponse);
+router.use(['/employees', '/departments', '/custom-fields'], authenticateApiKey);
+router.use(validateApiRequest);
+router.use('/employees', employeeRoutes);
+router.use('/departments', departmentRoutes);
+router.use('/custom-fields', customFieldRoutes);
+
+/**
+ * Error handler for the API: 400 for a body that isn't valid JSON, the
+ * parser's status for other rejected bodies (e.g. 413 when too large),
+ * and 500 for anything else
+ */
+router.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Request body is not valid JSON'
+    });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message
+    });
+  }
+
+  console.error('Error:', err.message);
+  res.status(500).json({
+    success: false,
+    error: 'Server error'
+  });
+});
+
+module.exports = router;
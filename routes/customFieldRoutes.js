@@ -0,0 +1,63 @@
+/**
+ * customFieldRoutes.js - REST API Endpoints for Custom Field Definitions
+ *
+ * Lists the custom employee fields admins have defined, so API clients know
+ * which keys they can (or must) send in an employee's `customFields` object.
+ * Fields are defined, changed and deleted from the admin panel.
+ * Responses use the same format as the employee API:
+ * { success: boolean, data/error: ... }
+ *
+ * Authentication:
+ * Every request needs an API key, checked by authenticateApiKey where the
+ * router is mounted in apiRoutes.js, with the employees:read permission.
+ *
+ * HTTP Status Codes:
+ * - 200: Success
+ * - 401: Unauthorized (missing, invalid or revoked API key)
+ * - 403: Forbidden (key's role lacks the permission)
+ * - 404: Not Found (field doesn't exist)
+ */
+
+const express = require('express');
+const router = express.Router();
+const customFieldStore = require('../utils/customFieldStore');
+const { requirePermission } = require('../middleware/apiAuthMiddleware');
+const { PERMISSIONS } = require('../utils/roles');
+
+/**
+ * GET /api/v1/custom-fields
+ * Retrieve all custom field definitions, in form order
+ * Response: { success: true, count: number, data: CustomField[] }
+ *   CustomField: { id, key, label, type, required, options } (options lists an enum's values, else null)
+ */
+router.get('/', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
+  const fields = customFieldStore.getAll();
+  res.json({
+    success: true,
+    count: fields.length,
+    data: fields
+  });
+});
+
+/**
+ * GET /api/v1/custom-fields/:id
+ * Retrieve a single custom field definition by ID
+ * Response: { success: true, data: CustomField } or 404 error
+ */
+router.get('/:id', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
+  const field = customFieldStore.getById(req.params.id);
+
+  if (!field) {
+    return res.status(404).json({
+      success: false,
+      error: 'Custom field not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: field
+  });
+});
+
+module.exports = router;
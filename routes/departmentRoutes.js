@@ -0,0 +1,195 @@
+/**
+ * departmentRoutes.js - REST API Endpoints for Departments
+ *
+ * Provides CRUD operations on departments plus merging one department into
+ * another. Renames and merges are applied to the departments' employees.
+ * Responses use the same format as the employee API:
+ * { success: boolean, data/error: ... }
+ *
+ * Authentication:
+ * Every request needs an API key, checked by authenticateApiKey where the
+ * router is mounted in apiRoutes.js. Each endpoint requires a permission:
+ * - departments:read   (viewer, hr, admin) - GET
+ * - departments:write  (hr, admin)         - POST, PUT
+ * - departments:delete (admin)             - DELETE, merge
+ *
+ * HTTP Status Codes:
+ * - 200: Success (GET, PUT, DELETE, merge)
+ * - 201: Created (POST)
+ * - 400: Bad Request (validation errors)
+ * - 401: Unauthorized (missing, invalid or revoked API key)
+ * - 403: Forbidden (key's role lacks the permission)
+ * - 404: Not Found (department doesn't exist)
+ * - 409: Conflict (duplicate name, or deleting a department that still has employees)
+ * - 500: Server Error
+ */
+
+const express = require('express');
+const router = express.Router();
+const departmentStore = require('../utils/departmentStore');
+const employeeStore = require('../utils/employeeStore');
+const { requirePermission } = require('../middleware/apiAuthMiddleware');
+const { PERMISSIONS } = require('../utils/roles');
+
+// Beginnings of store error messages caused by invalid input (reported as 400)
+const BAD_REQUEST_ERRORS = ['Department name', 'Department head not found', 'Cost center', 'Cannot merge'];
+
+// Beginnings of store error messages caused by existing data (reported as 409)
+const CONFLICT_ERRORS = ['Department already exists', 'Department still has employees'];
+
+/**
+ * Send the response for an error thrown by departmentStore.
+ */
+function sendStoreError(res, error) {
+  if (CONFLICT_ERRORS.some((prefix) => error.message.startsWith(prefix))) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (BAD_REQUEST_ERRORS.some((prefix) => error.message.startsWith(prefix))) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: 'Server error' });
+}
+
+/**
+ * Send a 404 for an unknown department.
+ */
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Department not found'
+  });
+}
+
+/**
+ * GET /api/v1/departments
+ * Retrieve all departments, sorted by name
+ * Response: { success: true, count: number, data: Department[] } (each with employeeCount)
+ */
+router.get('/', requirePermission(PERMISSIONS.DEPARTMENTS_READ), (req, res) => {
+  const departments = departmentStore.getAll();
+  res.json({
+    success: true,
+    count: departments.length,
+    data: departments
+  });
+});
+
+/**
+ * GET /api/v1/departments/:id
+ * Retrieve a single department by ID
+ * Response: { success: true, data: Department } (with employeeCount) or 404 error
+ */
+router.get('/:id', requirePermission(PERMISSIONS.DEPARTMENTS_READ), (req, res) => {
+  const department = departmentStore.getById(req.params.id);
+
+  if (!department) {
+    return sendNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...department,
+      employeeCount: employeeStore.find({ department: department.name, limit: 1 }).total
+    }
+  });
+});
+
+/**
+ * POST /api/v1/departments
+ * Create a new department
+ * Body: { name, headId?, costCenter? }
+ * Response: { success: true, data: Department } with status 201
+ */
+router.post('/', requirePermission(PERMISSIONS.DEPARTMENTS_WRITE), async (req, res) => {
+  try {
+    const { name, headId, costCenter } = req.body;
+    const department = await departmentStore.create({ name, headId, costCenter }, { durable: true, actor: req.actor });
+
+    res.status(201).json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+/**
+ * PUT /api/v1/departments/:id
+ * Update a department (partial updates supported); a new name is applied to its employees
+ * Body: { name?, headId?, costCenter? } (null clears head / cost center)
+ * Response: { success: true, data: Department }
+ */
+router.put('/:id', requirePermission(PERMISSIONS.DEPARTMENTS_WRITE), async (req, res) => {
+  try {
+    const { name, headId, costCenter } = req.body;
+    const department = await departmentStore.update(req.params.id, { name, headId, costCenter }, { durable: true, actor: req.actor });
+
+    if (!department) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+/**
+ * POST /api/v1/departments/:id/merge
+ * Move every employee of a department into another department and delete it
+ * Body: { intoId }
+ * Response: { success: true, moved: number, data: Department } (the receiving department)
+ */
+router.post('/:id/merge', requirePermission(PERMISSIONS.DEPARTMENTS_DELETE), async (req, res) => {
+  try {
+    if (!req.body.intoId) {
+      return res.status(400).json({
+        success: false,
+        error: 'intoId is required'
+      });
+    }
+
+    const result = await departmentStore.merge(req.params.id, req.body.intoId, { durable: true, actor: req.actor });
+
+    if (!result) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      moved: result.moved,
+      data: result.department
+    });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/v1/departments/:id
+ * Delete a department that has no employees
+ * Response: { success: true, message: "Department deleted successfully" }
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.DEPARTMENTS_DELETE), async (req, res) => {
+  try {
+    const deleted = await departmentStore.delete(req.params.id, { durable: true, actor: req.actor });
+
+    if (!deleted) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+module.exports = router;
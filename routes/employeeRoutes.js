@@ -5,42 +5,179 @@
  * All endpoints return JSON responses with a consistent format:
  * { success: boolean, data/error: ... }
  *
+ * Authentication:
+ * Every request needs an API key (Authorization: Bearer <key> or X-API-Key),
+ * checked by authenticateApiKey where the router is mounted in apiRoutes.js.
+ * Each endpoint then requires a permission granted by the key's role:
+ * - employees:read   (viewer, hr, admin) - GET, export
+ * - employees:write  (hr, admin)         - POST, PUT, PATCH, import
+ * - employees:delete (admin)             - DELETE (archive), restore
+ * - employees:purge  (admin)             - purge an archived employee after the retention period
+ *
+ * Updates:
+ * PUT replaces the employee's fields (managerId and custom fields left out are
+ * cleared); PATCH changes only the fields it sends. Responses about a single
+ * employee carry its version as an ETag (e.g. "3"); send it back in If-Match
+ * on PUT, PATCH or DELETE to have the write refused with 412 if the record has
+ * changed since.
+ *
+ * Batches:
+ * POST /api/v1/employees/batch applies a list of create, update and delete
+ * operations all-or-nothing, with one write. The response has a result per
+ * operation; if any fails, nothing is stored and the operations that would
+ * have succeeded are reported as 424. Delete operations need employees:delete.
+ *
  * HTTP Status Codes:
- * - 200: Success (GET, PUT, DELETE)
- * - 201: Created (POST)
- * - 400: Bad Request (validation errors)
+ * - 200: Success (GET, PUT, PATCH, DELETE, restore, purge, import dry run)
+ * - 201: Created (POST, import that added employees)
+ * - 400: Bad Request (validation errors, unknown department, invalid manager or reporting cycle)
+ * - 401: Unauthorized (missing, invalid or revoked API key)
+ * - 403: Forbidden (key's role lacks the permission)
  * - 404: Not Found (employee doesn't exist)
- * - 409: Conflict (duplicate email)
+ * - 409: Conflict (duplicate email, employee archived or not, retention period not over)
+ * - 412: Precondition Failed (If-Match doesn't name the current version)
+ * - 424: Failed Dependency (batch operation not applied because another one failed)
  * - 500: Server Error
+ *
+ * Validation:
+ * POST, PUT and PATCH are checked against the shared employee schema (utils/employeeSchema.js),
+ * including the custom fields listed by GET /api/v1/custom-fields.
+ * A 400 or duplicate-email 409 also lists every invalid field:
+ * { success: false, error: 'first message', errors: { field: message, ... } }
+ * Parameters and the types of body fields are checked first, against the
+ * OpenAPI spec (utils/openapi.js), which answers in the same format. Keep the
+ * spec in step with any change to a route's parameters or responses.
  */
 
 const express = require('express');
 const router = express.Router();
 const employeeStore = require('../utils/employeeStore');
+const { requirePermission } = require('../middleware/apiAuthMiddleware');
+const { PERMISSIONS, hasPermission } = require('../utils/roles');
+const { parseEmployeeQuery, parseExportQuery, parseAsOf } = require('../utils/employeeQuery');
+const { streamExport } = require('../utils/employeeExport');
+const { checkImport, commitImport } = require('../utils/employeeImport');
+const { ValidationError } = require('../utils/employeeSchema');
+const { VersionConflictError, EmployeeStateError, EmployeeNotFoundError, MAX_BATCH_OPERATIONS } = require('../utils/employeeStore');
+
+// Largest CSV accepted by the import endpoint
+const IMPORT_BODY_LIMIT = '2mb';
+
+/**
+ * Send a ValidationError: 409 for a duplicate email, 400 for anything else.
+ */
+function sendValidationError(res, error) {
+  const status = error.errors.email === 'Email already exists' ? 409 : 400;
+  return res.status(status).json({
+    success: false,
+    error: error.message,
+    errors: error.errors
+  });
+}
+
+/**
+ * An employee's ETag: their version number, quoted.
+ */
+function etag(employee) {
+  return `"${employeeStore.versionOf(employee)}"`;
+}
 
-// Email validation regex pattern
-const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+/**
+ * Read the version a write is conditional on from its If-Match header. The
+ * header matches if it lists the employee's current ETag; "*" or no header
+ * means no condition.
+ * @returns {number|null} Version to pass as expectedVersion (one the employee
+ *   isn't at when the header doesn't match), or null for no condition
+ */
+function expectedVersion(req, employee) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  const tags = header.split(',').map((tag) => tag.trim());
+  return tags.includes(etag(employee)) ? employeeStore.versionOf(employee) : 0;
+}
 
 /**
- * GET /api/employees
- * Retrieve all employees
- * Response: { success: true, count: number, data: Employee[] }
+ * Send a VersionConflictError as 412, with the current record and its ETag.
  */
-router.get('/', (req, res) => {
-  const employees = employeeStore.getAll();
+function sendVersionConflict(res, error) {
+  return res.status(412).set('ETag', etag(error.current)).json({
+    success: false,
+    error: error.message,
+    data: error.current
+  });
+}
+
+/**
+ * GET /api/v1/employees
+ * Retrieve employees, optionally searched, filtered, sorted and paginated
+ * Query: q, department, location, designation, joinedFrom, joinedTo, status, sort, limit, offset
+ *        (see utils/employeeQuery.js; without limit every match is returned)
+ * Response: { success: true, count: number, total: number, limit, offset, hasMore, data: Employee[] }
+ */
+router.get('/', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
+  let options;
+  try {
+    options = parseEmployeeQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const { data, total } = employeeStore.find(options);
   res.json({
     success: true,
-    count: employees.length,
-    data: employees
+    count: data.length,
+    total: total,
+    limit: options.limit,
+    offset: options.offset,
+    hasMore: options.offset + data.length < total,
+    data: data
   });
 });
 
 /**
- * GET /api/employees/:id
- * Retrieve a single employee by ID
- * Response: { success: true, data: Employee } or 404 error
+ * GET /api/v1/employees/export
+ * Download every employee matching the listing's search, filters and sort as a file
+ * Query: format (csv, json or xlsx; default csv), columns (comma-separated fields; default all),
+ *        plus q, department, location, designation, joinedFrom, joinedTo, sort as for GET /api/v1/employees
+ * Response: The file (streamed), or { success: false, error } with status 400 for a malformed query
  */
-router.get('/:id', (req, res) => {
+router.get('/export', requirePermission(PERMISSIONS.EMPLOYEES_READ), async (req, res) => {
+  let options;
+  try {
+    options = parseExportQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    await streamExport(res, options);
+  } catch (error) {
+    // Once the download has started the status can't change; cut it short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/employees/:id
+ * Retrieve a single employee by ID (archived employees included, with archivedAt set)
+ * Query: asOf (optional) - YYYY-MM-DD or ISO timestamp; returns the record as it was then
+ * Response: { success: true, data: Employee } (plus asOf and version when asOf is given) or 404 error;
+ *           the current record comes with its ETag
+ */
+router.get('/:id', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
   const employee = employeeStore.getById(req.params.id);
 
   if (!employee) {
@@ -50,39 +187,120 @@ router.get('/:id', (req, res) => {
     });
   }
 
+  let asOf;
+  try {
+    asOf = parseAsOf(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!asOf) {
+    return res.set('ETag', etag(employee)).json({
+      success: true,
+      data: employee
+    });
+  }
+
+  // Point-in-time view reconstructed from the employee's history
+  const version = employeeStore.getAsOf(employee.id, asOf);
+  if (!version) {
+    return res.status(404).json({
+      success: false,
+      error: 'Employee did not exist at that time'
+    });
+  }
+
+  res.json({
+    success: true,
+    asOf: asOf,
+    version: version.version,
+    data: version.snapshot
+  });
+});
+
+/**
+ * GET /api/v1/employees/:id/history
+ * Retrieve every version of an employee's record, newest first, with the
+ * fields each version changed
+ * Response: { success: true, count: number, data: Version[] } or 404 error
+ *   Version: { employeeId, version, timestamp, action, actor, reason, changes, snapshot }
+ */
+router.get('/:id/history', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
+  const history = employeeStore.getHistory(req.params.id);
+
+  if (!history) {
+    return res.status(404).json({
+      success: false,
+      error: 'Employee not found'
+    });
+  }
+
   res.json({
     success: true,
-    data: employee
+    count: history.length,
+    data: history
   });
 });
 
 /**
- * POST /api/employees
+ * GET /api/v1/employees/:id/reports
+ * Retrieve the employees reporting directly to an employee
+ * Response: { success: true, count: number, data: Employee[] } or 404 error
+ */
+router.get('/:id/reports', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
+  if (!employeeStore.getById(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Employee not found'
+    });
+  }
+
+  const reports = employeeStore.getDirectReports(req.params.id);
+  res.json({
+    success: true,
+    count: reports.length,
+    data: reports
+  });
+});
+
+/**
+ * GET /api/v1/employees/:id/chain
+ * Retrieve an employee's reporting chain, from their manager up to the top
+ * Response: { success: true, count: number, data: Employee[] } or 404 error
+ */
+router.get('/:id/chain', requirePermission(PERMISSIONS.EMPLOYEES_READ), (req, res) => {
+  const chain = employeeStore.getReportingChain(req.params.id);
+
+  if (!chain) {
+    return res.status(404).json({
+      success: false,
+      error: 'Employee not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    count: chain.length,
+    data: chain
+  });
+});
+
+/**
+ * POST /api/v1/employees
  * Create a new employee
- * Body: { name, designation, email, contact, department, joiningDate, location }
+ * Body: { name, designation, email, contact, department, joiningDate, location, managerId?, customFields? }
+ *       customFields: { key: value } for the custom fields defined by admins (required ones must be set)
  * Response: { success: true, data: Employee } with status 201
+ * Errors: 400/409 { success: false, error, errors: { field: message } }
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
   try {
-    const { name, designation, email, contact, department, joiningDate, location } = req.body;
-
-    // Validation: All fields required
-    if (!name || !designation || !email || !contact || !department || !joiningDate || !location) {
-      return res.status(400).json({
-        success: false,
-        error: 'All fields are required: name, designation, email, contact, department, joiningDate, location'
-      });
-    }
-
-    // Validation: Email format
-    if (!EMAIL_REGEX.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid email format'
-      });
-    }
+    const { name, designation, email, contact, department, joiningDate, location, managerId, customFields } = req.body;
 
-    // Add employee (store handles email uniqueness)
+    // Add employee (store validates every field and email uniqueness); 201 is only sent once it is on disk
     const newEmployee = await employeeStore.add({
       name,
       designation,
@@ -90,20 +308,19 @@ router.post('/', async (req, res) => {
       contact,
       department,
       joiningDate,
-      location
-    });
+      location,
+      managerId,
+      customFields
+    }, { durable: true, actor: req.actor });
 
-    res.status(201).json({
+    res.status(201).set('ETag', etag(newEmployee)).json({
       success: true,
       data: newEmployee
     });
   } catch (error) {
-    // Handle duplicate email error
-    if (error.message === 'Email already exists') {
-      return res.status(409).json({
-        success: false,
-        error: 'Email already exists'
-      });
+    // Invalid fields, duplicate email, unknown department, invalid manager or reporting cycle
+    if (error instanceof ValidationError) {
+      return sendValidationError(res, error);
     }
 
     res.status(500).json({
@@ -114,58 +331,290 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * PUT /api/employees/:id
- * Update an existing employee (partial updates supported)
- * Body: { field: newValue, ... }
- * Response: { success: true, data: Employee }
+ * POST /api/v1/employees/import
+ * Import employees from CSV: validate every row, then add all valid rows in one batch
+ * Body: { csv, mapping?, dryRun? } as JSON, or the raw CSV as text/csv (with ?dryRun=true)
+ *       mapping: { field: 'CSV column name' } for columns not named after the field
+ * Response: { success: true, dryRun, total, valid, invalid, imported, mapping, errors: [{ row, email, errors }], data: Employee[] }
+ *           with status 201 when employees were added (a dry run stores nothing)
  */
-router.put('/:id', async (req, res) => {
+router.post('/import', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+  const isCsvBody = typeof req.body === 'string';
+  const csv = isCsvBody ? req.body : req.body.csv;
+  const mapping = isCsvBody ? {} : req.body.mapping;
+  const dryRun = isCsvBody ? req.query.dryRun === 'true' : req.body.dryRun === true;
+
+  let report;
   try {
-    const { name, designation, email, contact, department, joiningDate, location } = req.body;
+    report = checkImport(csv, mapping);
+  } catch (error) {
+    // Unreadable CSV or unusable column mapping
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
 
-    // Check if employee exists
-    const existing = employeeStore.getById(req.params.id);
-    if (!existing) {
-      return res.status(404).json({
+  try {
+    // All valid rows are added with one write; 201 is only sent once they are on disk
+    const employees = dryRun ? [] : await commitImport(report, { durable: true, actor: req.actor });
+
+    res.status(employees.length > 0 ? 201 : 200).json({
+      success: true,
+      dryRun: dryRun,
+      total: report.total,
+      valid: report.valid,
+      invalid: report.invalid,
+      imported: employees.length,
+      mapping: report.mapping,
+      errors: report.rows
+        .filter((result) => result.errors.length > 0)
+        .map((result) => ({ row: result.row, email: result.employee.email || null, errors: result.errors })),
+      data: employees
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+/**
+ * HTTP status for a failed batch operation, matching what the single-employee
+ * endpoint would have answered.
+ */
+function batchErrorStatus(error) {
+  if (error instanceof ValidationError) {
+    return error.errors.email === 'Email already exists' ? 409 : 400;
+  }
+  if (error instanceof VersionConflictError) return 412;
+  if (error instanceof EmployeeStateError) return 409;
+  if (error instanceof EmployeeNotFoundError) return 404;
+  return 500;
+}
+
+/**
+ * Build the response entry for one batch operation's result.
+ */
+function batchResult({ index, op, id, employee, error }, applied) {
+  // An employee created in a batch that wasn't applied has no ID
+  const result = { index, op, id: !error && !applied && op === 'create' ? null : id };
+  if (!error) {
+    result.status = !applied ? 424 : op === 'create' ? 201 : 200;
+    if (applied) {
+      result.etag = etag(employee);
+      result.data = employee;
+    } else {
+      result.error = 'Not applied because another operation failed';
+    }
+    return result;
+  }
+
+  result.status = batchErrorStatus(error);
+  result.error = result.status === 500 ? 'Server error' : error.message;
+  if (error instanceof ValidationError) {
+    result.errors = error.errors;
+  }
+  if (error instanceof VersionConflictError) {
+    result.etag = etag(error.current);
+    result.data = error.current;
+  }
+  return result;
+}
+
+/**
+ * POST /api/v1/employees/batch
+ * Apply create, update and delete operations all-or-nothing, with a single write
+ * Body: { operations: [{ op, id?, data?, version? }] } (1 to 1000 operations, applied in order)
+ *       op:      'create' (data as for POST), 'update' (data as for PATCH, merged)
+ *                or 'delete' (archive; data { terminationDate?, reason? } as for DELETE)
+ *       id:      employee ID, for update and delete (an employee created earlier in the batch may be used)
+ *       version: ETag value the change is based on, without quotes (optional, as If-Match)
+ * Response: { success: true, applied: true, count, results: [{ index, op, id, status, etag, data: Employee }] }
+ * Errors: { success: false, applied: false, error, results } with the status of the first failed
+ *         operation; each failed result has { status, error, errors? } (and the current
+ *         record for 412), the others status 424 since nothing was stored
+ *         403 if a delete operation is sent without the employees:delete permission
+ */
+router.post('/batch', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), async (req, res) => {
+  const { operations } = req.body || {};
+  if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({
+      success: false,
+      error: `operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`
+    });
+  }
+
+  // Deleting (archiving) needs more than the write permission checked above
+  const deletes = operations.some((operation) => operation && operation.op === 'delete');
+  if (deletes && !hasPermission(req.apiKey.role, PERMISSIONS.EMPLOYEES_DELETE)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  try {
+    // 200 is only sent once every change is on disk
+    const { applied, results } = await employeeStore.applyBatch(operations, { durable: true, actor: req.actor });
+    const body = results.map((result) => batchResult(result, applied));
+
+    if (!applied) {
+      const failed = body.find((result) => result.status !== 424);
+      return res.status(failed.status).json({
         success: false,
-        error: 'Employee not found'
+        applied: false,
+        error: `Operation ${failed.index} failed: ${failed.error}`,
+        results: body
       });
     }
 
-    // Validate email format if provided
-    if (email) {
-      if (!EMAIL_REGEX.test(email)) {
-        return res.status(400).json({
+    res.json({
+      success: true,
+      applied: true,
+      count: body.length,
+      results: body
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+/**
+ * Build the handler for PUT and PATCH, which differ only in the store method
+ * that applies the body (replace or update).
+ */
+function updateEmployee(write) {
+  return async (req, res) => {
+    try {
+      const { name, designation, email, contact, department, joiningDate, location, managerId, customFields } = req.body;
+
+      // Check if employee exists
+      const existing = employeeStore.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
           success: false,
-          error: 'Invalid email format'
+          error: 'Employee not found'
         });
       }
+
+      // Store validates the submitted fields and email uniqueness, and refuses a stale If-Match
+      const updatedEmployee = await write(req.params.id, {
+        name,
+        designation,
+        email,
+        contact,
+        department,
+        joiningDate,
+        location,
+        managerId,
+        customFields
+      }, { durable: true, actor: req.actor, expectedVersion: expectedVersion(req, existing) });
+
+      res.set('ETag', etag(updatedEmployee)).json({
+        success: true,
+        data: updatedEmployee
+      });
+    } catch (error) {
+      // Invalid fields, duplicate email, unknown department, invalid manager or reporting cycle
+      if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+      }
+
+      // Changed by someone else since the version named in If-Match
+      if (error instanceof VersionConflictError) {
+        return sendVersionConflict(res, error);
+      }
+
+      // Handle an archived employee (restore them first)
+      if (error instanceof EmployeeStateError) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Server error'
+      });
     }
+  };
+}
 
-    // Update employee (store handles email uniqueness check)
-    const updatedEmployee = await employeeStore.update(req.params.id, {
-      name,
-      designation,
-      email,
-      contact,
-      department,
-      joiningDate,
-      location
+/**
+ * PUT /api/v1/employees/:id
+ * Replace an existing employee's fields
+ * Headers: If-Match (optional) - ETag the change is based on
+ * Body: { name, designation, email, contact, department, joiningDate, location, managerId?, customFields? }
+ *       (every required field; managerId and custom fields left out are cleared)
+ * Response: { success: true, data: Employee } with the new ETag
+ * Errors: 400/409 { success: false, error, errors: { field: message } };
+ *         412 { success: false, error, data: Employee } when If-Match is stale
+ */
+router.put('/:id', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), updateEmployee((id, data, options) => employeeStore.replace(id, data, options)));
+
+/**
+ * PATCH /api/v1/employees/:id
+ * Update some of an employee's fields
+ * Headers: If-Match (optional) - ETag the change is based on
+ * Body: { field: newValue, ... } (managerId: null removes the manager; customFields
+ *       only changes the keys it names, null removes a value)
+ * Response and errors: as for PUT
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.EMPLOYEES_WRITE), updateEmployee((id, data, options) => employeeStore.update(id, data, options)));
+
+/**
+ * DELETE /api/v1/employees/:id
+ * Archive (soft delete) an employee: they drop out of listings but the record is kept
+ * Headers: If-Match (optional) - ETag the archive is based on
+ * Body (optional): { terminationDate: 'YYYY-MM-DD' (default today), reason }
+ * Response: { success: true, message: "Employee archived successfully", data: Employee }
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
+  try {
+    const existing = employeeStore.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    const { terminationDate, reason } = req.body || {};
+    const archived = await employeeStore.archive(req.params.id, { terminationDate, reason }, {
+      durable: true,
+      actor: req.actor,
+      expectedVersion: expectedVersion(req, existing)
     });
 
-    res.json({
+    res.set('ETag', etag(archived)).json({
       success: true,
-      data: updatedEmployee
+      message: 'Employee archived successfully',
+      data: archived
     });
   } catch (error) {
-    // Handle duplicate email error
-    if (error.message === 'Email already exists') {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+
+    // Already archived
+    if (error instanceof EmployeeStateError) {
       return res.status(409).json({
         success: false,
-        error: 'Email already exists'
+        error: error.message
       });
     }
 
+    // Invalid termination date or reason
+    if (error instanceof ValidationError) {
+      return sendValidationError(res, error);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -174,35 +623,63 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * DELETE /api/employees/:id
- * Delete an employee by ID
- * Response: { success: true, message: "Employee deleted successfully" }
+ * POST /api/v1/employees/:id/restore
+ * Return an archived employee to the active list
+ * Response: { success: true, data: Employee }
  */
-router.delete('/:id', async (req, res) => {
-  // Check if employee exists
-  const existing = employeeStore.getById(req.params.id);
+router.post('/:id/restore', requirePermission(PERMISSIONS.EMPLOYEES_DELETE), async (req, res) => {
+  try {
+    const restored = await employeeStore.restore(req.params.id, { durable: true, actor: req.actor });
 
-  if (!existing) {
-    return res.status(404).json({
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    res.set('ETag', etag(restored)).json({
+      success: true,
+      data: restored
+    });
+  } catch (error) {
+    // Not archived
+    const status = error instanceof EmployeeStateError ? 409 : 500;
+    res.status(status).json({
       success: false,
-      error: 'Employee not found'
+      error: status === 409 ? error.message : 'Server error'
     });
   }
+});
+
+/**
+ * POST /api/v1/employees/:id/purge
+ * Permanently delete an archived employee once the retention period has passed
+ * Response: { success: true, message: "Employee purged successfully" }
+ */
+router.post('/:id/purge', requirePermission(PERMISSIONS.EMPLOYEES_PURGE), async (req, res) => {
+  try {
+    const purged = await employeeStore.purge(req.params.id, { durable: true, actor: req.actor });
 
-  // Delete employee from store
-  const deleted = await employeeStore.delete(req.params.id);
+    if (!purged) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
 
-  if (!deleted) {
-    return res.status(500).json({
+    res.json({
+      success: true,
+      message: 'Employee purged successfully'
+    });
+  } catch (error) {
+    // Not archived, or still within the retention period
+    const conflict = error instanceof EmployeeStateError;
+    res.status(conflict ? 409 : 500).json({
       success: false,
-      error: 'Failed to delete employee'
+      error: conflict ? error.message : 'Server error'
     });
   }
-
-  res.json({
-    success: true,
-    message: 'Employee deleted successfully'
-  });
 });
 
 module.exports = router;
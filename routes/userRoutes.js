@@ -1,43 +1,275 @@
 /**
  * userRoutes.js - User Authentication and Public Routes
  *
- * Handles user registration, login/logout, and the public employee directory.
- * Uses cookie-based sessions with bcrypt password hashing via userStore.
+ * Handles user registration, login/logout, account self-service (email and
+ * password change), the forgot/reset password flow, the public employee directory
+ * with a profile page per employee and, for managers, each employee's change history.
+ * Uses server-side sessions with bcrypt password hashing via userStore.
  */
 
 const express = require('express');
 const router = express.Router();
-const { isUser, isGuest } = require('../middleware/authMiddleware');
+const { isGuest, isUser, isManager, recordLogin, recordLogout, recordImpersonationEnd } = require('../middleware/authMiddleware');
+const { startSession, endSession } = require('../middleware/sessionMiddleware');
+const { throttleLogin, recordLoginFailure, recordLoginSuccess } = require('../middleware/loginThrottleMiddleware');
+const asyncRoute = require('../utils/asyncRoute');
 const employeeStore = require('../utils/employeeStore');
+const { historyValue } = require('../utils/employeeStore');
+const customFieldStore = require('../utils/customFieldStore');
+const historyStore = require('../utils/employeeHistoryStore');
 const userStore = require('../utils/userStore');
+const sessionStore = require('../utils/sessionStore');
+const passwordResetStore = require('../utils/passwordResetStore');
+const mailer = require('../utils/mailer');
+const { actorLabel } = require('../utils/auditStore');
+const { roleAtLeast } = require('../utils/roles');
+const { parseEmployeeQuery, parsePage, parseAsOf } = require('../utils/employeeQuery');
+
+// Employees shown per directory page
+const DIRECTORY_PAGE_SIZE = 20;
+
+// Filter fields offered as facets on the directory page
+const DIRECTORY_FACETS = ['department', 'location'];
+
+// History versions shown on a profile page (the rest are on the history page)
+const PROFILE_HISTORY_SIZE = 5;
 
 /**
  * PUBLIC ROUTES
  * Accessible to all users (authenticated or not)
  */
 
-// GET / - Display employee directory (public homepage)
+// GET / - Display employee directory (public homepage) with search, facets, sorting and pages
 router.get('/', (req, res) => {
-  const employees = employeeStore.getAll();
-  const userToken = req.cookies.userToken;
-  let user = null;
+  const user = req.account;  // Logged-in account (set by loadAccount), or null for guests
 
-  // Parse user token if present to show logout button
-  if (userToken) {
-    try {
-      user = JSON.parse(userToken);
-    } catch (e) {
-      user = null;  // Invalid token, treat as guest
-    }
+  // All state lives in the query string so results can be bookmarked and shared
+  let state;
+  let error = null;
+  try {
+    const { q, department, location, sort } = parseEmployeeQuery(req.query);
+    state = { q, department, location, sort, page: parsePage(req.query) };
+  } catch (err) {
+    // Show the unfiltered directory along with the problem
+    error = err.message;
+    state = { q: '', department: [], location: [], sort: [], page: 1 };
   }
 
-  res.render('user/directory', {
+  let { data, total } = employeeStore.find({
+    ...state,
+    limit: DIRECTORY_PAGE_SIZE,
+    offset: (state.page - 1) * DIRECTORY_PAGE_SIZE
+  });
+
+  // Past the last page (e.g. a stale link): show the last page instead
+  const totalPages = Math.max(1, Math.ceil(total / DIRECTORY_PAGE_SIZE));
+  if (state.page > totalPages) {
+    state.page = totalPages;
+    ({ data, total } = employeeStore.find({
+      ...state,
+      limit: DIRECTORY_PAGE_SIZE,
+      offset: (state.page - 1) * DIRECTORY_PAGE_SIZE
+    }));
+  }
+
+  const facets = {};
+  for (const field of DIRECTORY_FACETS) {
+    facets[field] = directoryFacet(employeeStore.facetCounts(field, state), state[field]);
+  }
+
+  res.status(error ? 400 : 200).render('user/directory', {
     title: 'Employee Directory',
-    employees: employees,
+    employees: data,
+    total: total,
+    teamSize: employeeStore.count(),
+    state: state,
+    facets: facets,
+    page: state.page,
+    totalPages: totalPages,
+    pages: pageNumbers(state.page, totalPages),
+    firstShown: total === 0 ? 0 : (state.page - 1) * DIRECTORY_PAGE_SIZE + 1,
+    lastShown: (state.page - 1) * DIRECTORY_PAGE_SIZE + data.length,
+    directoryUrl: (changes) => directoryUrl(state, changes),
+    error: error,
     user: user  // Pass user for conditional UI (show logout if logged in)
   });
 });
 
+// GET /org-chart - Reporting-line tree; ?root=<id> shows one employee's part of it
+router.get('/org-chart', (req, res) => {
+  let root = null;
+  let chain = [];
+  let error = null;
+
+  if (req.query.root !== undefined) {
+    root = employeeStore.getActiveById(req.query.root);
+    if (root) {
+      chain = employeeStore.getReportingChain(root.id).reverse();  // Most senior first
+    } else {
+      error = 'Employee not found';
+    }
+  }
+
+  res.status(error ? 404 : 200).render('user/orgChart', {
+    title: 'Org Chart',
+    tree: employeeStore.getOrgChart(root ? root.id : null),
+    root: root,
+    chain: chain,
+    error: error,
+    user: req.account
+  });
+});
+
+// GET /employees/:id - Employee profile; admins also see archived employees, admin-only fields and actions
+router.get('/employees/:id', (req, res, next) => {
+  const viewer = req.account;
+  const isAdmin = Boolean(viewer && roleAtLeast(viewer.role, 'admin'));
+
+  const employee = employeeStore.getById(req.params.id);
+  if (!employee || (employee.archivedAt && !isAdmin)) {
+    return next();  // 404 page
+  }
+
+  const manager = employee.managerId == null ? null : employeeStore.getById(employee.managerId);
+  const canSeeHistory = Boolean(viewer && roleAtLeast(viewer.role, 'manager'));
+
+  res.render('user/employeeProfile', {
+    title: employee.name,
+    employee: employee,
+    manager: manager,
+    reports: employeeStore.getDirectReports(employee.id),
+    tenure: tenure(employee),
+    history: canSeeHistory ? employeeStore.getHistory(employee.id).slice(0, PROFILE_HISTORY_SIZE) : null,
+    customFields: canSeeHistory ? customFieldStore.getAll() : [],  // May hold personal details
+    purgeableAt: isAdmin && employee.archivedAt ? employeeStore.purgeableAt(employee) : null,
+    isAdmin: isAdmin,
+    historyValue: historyValue,
+    actorLabel: actorLabel,
+    user: viewer
+  });
+});
+
+/**
+ * How long an employee has been with the company (up to their termination
+ * date if they have left), e.g. "3 years, 2 months".
+ * @param {Object} employee - Employee with joiningDate (YYYY-MM-DD)
+ * @param {string} today - Today's date, YYYY-MM-DD (UTC)
+ */
+function tenure(employee, today = new Date().toISOString().slice(0, 10)) {
+  const end = employee.terminationDate || today;
+  if (employee.joiningDate > end) {
+    return `Starts ${employee.joiningDate}`;
+  }
+
+  const [fromYear, fromMonth, fromDay] = employee.joiningDate.split('-').map(Number);
+  const [toYear, toMonth, toDay] = end.split('-').map(Number);
+  // Whole months: a month only counts once its day of the month is reached
+  const totalMonths = (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+  const years = Math.floor(totalMonths / 12);
+  const months = totalMonths % 12;
+
+  const parts = [];
+  if (years > 0) parts.push(`${years} year${years === 1 ? '' : 's'}`);
+  if (months > 0) parts.push(`${months} month${months === 1 ? '' : 's'}`);
+  return parts.join(', ') || 'Less than a month';
+}
+
+/**
+ * Build a directory URL from the current state with some values changed.
+ * Any change other than the page goes back to the first page.
+ */
+function directoryUrl(state, changes = {}) {
+  const next = { ...state, page: 1, ...changes };
+  const params = new URLSearchParams();
+
+  if (next.q) params.set('q', next.q);
+  for (const field of DIRECTORY_FACETS) {
+    next[field].forEach((value) => params.append(field, value));
+  }
+  const sort = next.sort.map(({ field, direction }) => (direction === 'desc' ? '-' : '') + field).join(',');
+  if (sort) params.set('sort', sort);
+  if (next.page > 1) params.set('page', next.page);
+
+  const query = params.toString();
+  return query ? `/?${query}` : '/';
+}
+
+/**
+ * Facet entries with a checked flag. Selected values that no longer match
+ * anything are kept (with a count of 0) so they can still be unticked.
+ */
+function directoryFacet(counts, selected) {
+  const chosen = new Set(selected.map((value) => value.toLowerCase()));
+  const entries = counts.map(({ value, count }) => ({ value, count, checked: chosen.has(String(value).toLowerCase()) }));
+
+  for (const value of selected) {
+    if (!entries.some((entry) => String(entry.value).toLowerCase() === value.toLowerCase())) {
+      entries.push({ value, count: 0, checked: true });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Page numbers to link to: the first, the last and two either side of the
+ * current page, with null marking a gap.
+ */
+function pageNumbers(page, totalPages) {
+  const pages = [];
+  for (let n = 1; n <= totalPages; n++) {
+    if (n === 1 || n === totalPages || Math.abs(n - page) <= 2) {
+      pages.push(n);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+}
+
+/**
+ * EMPLOYEE HISTORY ROUTES
+ * How one employee's record evolved, for managers and above
+ */
+
+// GET /employees/:id/history - Timeline of an employee's changes; ?asOf=<date> shows the record as it was then
+router.get('/employees/:id/history', isManager, (req, res, next) => {
+  const employee = employeeStore.getById(req.params.id);
+  if (!employee) {
+    return next();  // 404 page
+  }
+
+  let asOf = null;
+  let asOfVersion = null;
+  let error = null;
+  try {
+    asOf = parseAsOf(req.query);
+    if (asOf) {
+      asOfVersion = employeeStore.getAsOf(employee.id, asOf);
+      if (!asOfVersion) {
+        error = `${employee.name} had not been added yet on ${asOf.slice(0, 10)}`;
+      }
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  res.status(error ? 400 : 200).render('user/employeeHistory', {
+    title: `History - ${employee.name}`,
+    employee: employee,
+    history: employeeStore.getHistory(employee.id),
+    asOf: asOf,
+    asOfInput: typeof req.query.asOf === 'string' ? req.query.asOf : '',
+    asOfVersion: asOfVersion,
+    customFields: customFieldStore.getAll(),
+    historyValue: historyValue,
+    actorLabel: actorLabel,
+    error: error,
+    writeFailures: historyStore.writeFailures,
+    lastWriteError: historyStore.lastWriteError,
+    user: req.account
+  });
+});
+
 /**
  * USER REGISTRATION ROUTES
  * Signup flow with validation and password hashing
@@ -52,9 +284,9 @@ router.get('/signup', isGuest, (req, res) => {
 });
 
 // POST /signup - Process registration with validation
-router.post('/signup', isGuest, async (req, res) => {
+router.post('/signup', isGuest, asyncRoute(async (req, res) => {
   try {
-    const { username, password, confirmPassword } = req.body;
+    const { username, email, password, confirmPassword } = req.body;
 
     // Validation: Required fields
     if (!username || !password) {
@@ -88,14 +320,11 @@ router.post('/signup', isGuest, async (req, res) => {
       });
     }
 
-    // Create user (password hashed in userStore with bcrypt)
-    const user = await userStore.create(username, password);
+    // Create account with the default viewer role (password hashed in userStore with bcrypt)
+    const user = await userStore.create(username, password, { email, durable: true, reason: 'Self sign-up' });
 
-    // Set session cookie and redirect to directory
-    res.cookie('userToken', JSON.stringify({ id: user.id, username: user.username }), {
-      httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000  // 24 hours
-    });
+    // Rotate the session ID and store the logged-in user, then redirect to directory
+    startSession(req, res, { accountId: user.id });
 
     return res.redirect('/');
   } catch (error) {
@@ -105,7 +334,7 @@ router.post('/signup', isGuest, async (req, res) => {
       error: error.message
     });
   }
-});
+}));
 
 /**
  * USER LOGIN/LOGOUT ROUTES
@@ -116,12 +345,13 @@ router.post('/signup', isGuest, async (req, res) => {
 router.get('/login', isGuest, (req, res) => {
   res.render('user/login', {
     title: 'User Login',
-    error: null
+    error: null,
+    success: req.query.reset ? 'Your password has been reset. Sign in with your new password.' : null
   });
 });
 
 // POST /login - Authenticate user credentials
-router.post('/login', isGuest, async (req, res) => {
+router.post('/login', isGuest, throttleLogin('user/login', 'User Login'), asyncRoute(async (req, res) => {
   try {
     const { username, password } = req.body;
 
@@ -137,17 +367,19 @@ router.post('/login', isGuest, async (req, res) => {
     const user = await userStore.authenticate(username, password);
 
     if (!user) {
+      // Count the failure towards backoff/lockout
+      await recordLoginFailure(req, username);
       return res.render('user/login', {
         title: 'User Login',
         error: 'Invalid username or password'
       });
     }
 
-    // Set session cookie and redirect to directory
-    res.cookie('userToken', JSON.stringify({ id: user.id, username: user.username }), {
-      httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000  // 24 hours
-    });
+    await recordLoginSuccess(username);
+    await recordLogin(req, user, 'user');
+
+    // Rotate the session ID and store the logged-in user, then redirect to directory
+    startSession(req, res, { accountId: user.id });
 
     return res.redirect('/');
   } catch (error) {
@@ -156,12 +388,209 @@ router.post('/login', isGuest, async (req, res) => {
       error: 'An error occurred during login'
     });
   }
-});
+}));
+
+// GET /logout - Revoke session and redirect to directory
+router.get('/logout', asyncRoute(async (req, res) => {
+  // Logging out while impersonating also ends the impersonation
+  if (req.impersonation) {
+    await recordImpersonationEnd(req.impersonation, 'logout');
+  }
 
-// GET /logout - Clear session cookie and redirect to directory
-router.get('/logout', (req, res) => {
-  res.clearCookie('userToken');
+  await recordLogout(req, 'user');
+  endSession(req, res);
   return res.redirect('/');
+}));
+
+/**
+ * ACCOUNT ROUTES
+ * Logged-in accounts manage their own email address and password
+ */
+
+// Render the account page for the logged-in account
+function renderAccount(req, res, { error = null, success = null } = {}) {
+  res.render('user/account', {
+    title: 'My Account',
+    account: req.account,
+    error: error,
+    success: success
+  });
+}
+
+// GET /account - Display email and change-password forms
+router.get('/account', isUser, (req, res) => {
+  renderAccount(req, res);
+});
+
+// POST /account/email - Set or clear the account's email (used for password reset)
+router.post('/account/email', isUser, asyncRoute(async (req, res) => {
+  try {
+    req.account = await userStore.setEmail(req.account.id, req.body.email, { durable: true, actor: req.actor });
+    return renderAccount(req, res, { success: req.account.email ? 'Email address saved' : 'Email address removed' });
+  } catch (error) {
+    // Handle invalid format or an email used by another account
+    return renderAccount(req, res, { error: error.message });
+  }
+}));
+
+// POST /account/password - Change password after verifying the current one
+router.post('/account/password', isUser, asyncRoute(async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+
+  // An impersonating admin must not be able to take over the user's account
+  if (req.impersonation) {
+    return renderAccount(req, res, { error: 'Passwords cannot be changed while impersonating' });
+  }
+
+  if (newPassword !== confirmPassword) {
+    return renderAccount(req, res, { error: 'New passwords do not match' });
+  }
+
+  try {
+    await userStore.changePassword(req.account.id, currentPassword, newPassword, { durable: true, actor: req.actor });
+
+    // Sign the account out everywhere else; this session stays logged in
+    sessionStore.destroyWhere((data) => data.accountId === req.account.id, req.session.id);
+
+    return renderAccount(req, res, { success: 'Password changed. Other sessions have been signed out.' });
+  } catch (error) {
+    // Handle wrong current password or password policy errors
+    return renderAccount(req, res, { error: error.message });
+  }
+}));
+
+/**
+ * PASSWORD RESET ROUTES
+ * Forgot-password flow: a single-use, one-hour reset link is emailed to the account
+ */
+
+// GET /forgot-password - Display the request form
+router.get('/forgot-password', isGuest, (req, res) => {
+  res.render('user/forgotPassword', {
+    title: 'Forgot Password',
+    error: null,
+    sent: false
+  });
+});
+
+// POST /forgot-password - Email a reset link if the username or email matches an account
+router.post('/forgot-password', isGuest, asyncRoute(async (req, res) => {
+  const identifier = typeof req.body.identifier === 'string' ? req.body.identifier.trim() : '';
+
+  if (!identifier) {
+    return res.render('user/forgotPassword', {
+      title: 'Forgot Password',
+      error: 'Enter your username or email address',
+      sent: false
+    });
+  }
+
+  const match = userStore.getByEmail(identifier) || userStore.getByUsername(identifier);
+  const account = match ? userStore.getById(match.id) : null;
+
+  if (account && account.email && !account.disabled) {
+    try {
+      const { token } = await passwordResetStore.issue(account.id);
+      await mailer.send({
+        to: account.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${account.username},`,
+          '',
+          'Someone asked to reset the password for your Employee Management System account.',
+          'Open this link within one hour to choose a new password:',
+          '',
+          mailer.link(`/reset-password?token=${token}`),
+          '',
+          'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send password reset email:', error.message);
+    }
+  }
+
+  // Same response whether or not an account matched, so accounts can't be discovered
+  return res.render('user/forgotPassword', {
+    title: 'Forgot Password',
+    error: null,
+    sent: true
+  });
+}));
+
+// GET /reset-password - Display the new-password form for a valid reset link
+router.get('/reset-password', isGuest, (req, res) => {
+  const token = req.query.token || '';
+  const valid = Boolean(passwordResetStore.peek(token));
+
+  res.render('user/resetPassword', {
+    title: 'Reset Password',
+    token: token,
+    error: valid ? null : 'This reset link is invalid or has expired',
+    valid: valid
+  });
 });
 
+// POST /reset-password - Set the new password and use up the token
+router.post('/reset-password', isGuest, asyncRoute(async (req, res) => {
+  const { token, password, confirmPassword } = req.body;
+  const renderError = (error, valid = true) => res.render('user/resetPassword', {
+    title: 'Reset Password',
+    token: token,
+    error: error,
+    valid: valid
+  });
+
+  const userId = passwordResetStore.peek(token);
+  if (!userId) {
+    return renderError('This reset link is invalid or has expired', false);
+  }
+
+  // Check the new password before using up the token, so a typo doesn't burn the link
+  if (password !== confirmPassword) {
+    return renderError('Passwords do not match');
+  }
+  if (!password || password.length < 6) {
+    return renderError('Password must be at least 6 characters');
+  }
+
+  try {
+    if (!(await passwordResetStore.consume(token))) {
+      return renderError('This reset link is invalid or has expired', false);
+    }
+
+    const account = await userStore.resetPassword(userId, password, { durable: true, reason: 'Password reset link' });
+    if (!account) {
+      return renderError('This reset link is invalid or has expired', false);
+    }
+
+    // Sign out every existing session and lift any lockout on the username
+    sessionStore.destroyWhere((data) => data.accountId === userId);
+    await recordLoginSuccess(account.username);
+
+    return res.redirect('/login?reset=1');
+  } catch (error) {
+    return renderError(error.message);
+  }
+}));
+
+/**
+ * IMPERSONATION ROUTE
+ * Lets an impersonating admin return to their own account
+ */
+
+// POST /impersonation/stop - End impersonation and switch back to the admin account
+router.post('/impersonation/stop', asyncRoute(async (req, res) => {
+  if (!req.impersonation) {
+    return res.redirect('/');
+  }
+
+  const { adminId } = req.impersonation;
+  await recordImpersonationEnd(req.impersonation, 'stopped');
+
+  // New session ID for the admin's own identity
+  startSession(req, res, { accountId: adminId });
+  return res.redirect('/admin/accounts');
+}));
+
 module.exports = router;
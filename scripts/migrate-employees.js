@@ -0,0 +1,48 @@
+/**
+ * migrate-employees.js - Move Employee Data from JSON into SQLite
+ *
+ * Copies every record from data/employees.json into the SQLite database used by
+ * EMPLOYEE_STORAGE=sqlite, keeping IDs (IDs of deleted employees stay unused).
+ * The JSON file is left untouched as a backup.
+ * Refuses to run if the database already holds employees, so it can't duplicate data.
+ *
+ * Usage: npm run migrate:sqlite
+ *        (SQLITE_PATH chooses the database file, default data/employees.db)
+ */
+
+const { createAdapter } = require('../utils/storage');
+const { STORAGE_OPTIONS } = require('../utils/employeeStore');
+
+async function migrate() {
+  const source = createAdapter('json', STORAGE_OPTIONS);
+  await source.init();
+  const employees = source.query({ orderBy: [{ field: 'id', direction: 'asc' }] });
+
+  const target = createAdapter('sqlite', STORAGE_OPTIONS);
+  await target.init();
+
+  try {
+    const existing = target.count();
+    if (existing > 0) {
+      throw new Error(`${STORAGE_OPTIONS.sqlitePath} already contains ${existing} employees. Remove it to migrate again.`);
+    }
+
+    // One transaction: either every employee is copied or none are
+    target.insertMany(employees, source.highestId());
+
+    const copied = target.count();
+    if (copied !== employees.length) {
+      throw new Error(`Expected ${employees.length} employees in SQLite but found ${copied}`);
+    }
+
+    console.log(`Migrated ${copied} employees to ${STORAGE_OPTIONS.sqlitePath}`);
+    console.log('Start the server with EMPLOYEE_STORAGE=sqlite to use it.');
+  } finally {
+    target.close();
+  }
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,239 @@
+/**
+ * apiKeyStore.js - API Key Persistence Layer
+ *
+ * Manages API keys that authenticate callers of the REST API.
+ * Features:
+ * - Keys are random 160-bit secrets, shown once when issued
+ * - Only a SHA-256 hash of each key is stored (keys are high-entropy, so no salt is needed)
+ * - Map index on the key hash for O(1) authentication lookups
+ * - Each key carries a role (see utils/roles.js) and the user it was issued to
+ * - Revoked keys are kept for reference but can no longer authenticate
+ * - Issuing and revoking a key is audited; pass { actor } so the entry is
+ *   recorded under the right name
+ * - Debounced, atomic file writes (see jsonFile.js)
+ *
+ * Data File: data/apiKeys.json
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+const auditStore = require('./auditStore');
+const { diffFields } = require('./auditStore');
+const { isValidRole } = require('./roles');
+
+// Path to JSON data file
+const DATA_PATH = path.join(__dirname, '..', 'data', 'apiKeys.json');
+
+// Prefix that makes keys easy to recognise in logs and secret scanners
+const KEY_PREFIX = 'ems_';
+
+// How stale a key's recorded time of use may get before it is updated (and saved)
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a raw API key for storage and lookup.
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyStore {
+  constructor() {
+    this.keys = [];                   // In-memory array of API key records
+    this.indexByHash = new Map();     // Map<keyHash, arrayIndex> for O(1) lookups
+    this.indexById = new Map();       // Map<id, arrayIndex> for O(1) ID lookups
+    this.maxId = 0;                   // Track highest ID for auto-increment
+    this.initialized = false;         // Prevent double initialization
+    this.file = new JsonFile(DATA_PATH, () => this.keys);  // Atomic, debounced persistence
+  }
+
+  /**
+   * Initialize the store by loading data from JSON file.
+   * Creates empty file if it doesn't exist.
+   */
+  async init() {
+    if (this.initialized) return;
+
+    // read() recovers what it can from a truncated or corrupt file
+    const data = await this.file.read();
+    if (data === null) {
+      // File doesn't exist, start with empty array
+      this.keys = [];
+      this.initialized = true;
+      await this._persist();
+    } else {
+      this.keys = data;
+      this._buildIndexes();
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Rebuild hash and ID indexes from the keys array.
+   * Called after initialization.
+   */
+  _buildIndexes() {
+    this.indexByHash.clear();
+    this.indexById.clear();
+    this.maxId = 0;
+
+    for (let i = 0; i < this.keys.length; i++) {
+      const record = this.keys[i];
+      this.indexByHash.set(record.keyHash, i);
+      this.indexById.set(record.id, i);
+      if (record.id > this.maxId) {
+        this.maxId = record.id;
+      }
+    }
+  }
+
+  /**
+   * Schedule a debounced save operation.
+   * Prevents excessive disk writes during rapid operations.
+   * @returns {Promise} Resolves once the write is on disk
+   */
+  _debouncedSave() {
+    return this.file.schedule();
+  }
+
+  /**
+   * Write current keys array to JSON file (atomically).
+   */
+  async _persist() {
+    await this.file.save();
+  }
+
+  /**
+   * Write out any pending debounced save (used on shutdown).
+   */
+  async flush() {
+    await this.file.flush();
+  }
+
+  /**
+   * Strip the key hash from a record before handing it out.
+   */
+  _toPublic(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * Write an audit entry for an issued or revoked key.
+   * @param {string} action - 'apiKey.issue' or 'apiKey.revoke'
+   * @param {Object} record - Key record
+   * @param {Object|null} actor - Who issued or revoked it
+   */
+  async _audit(action, record, actor) {
+    await auditStore.record({
+      actor: actor,
+      action: action,
+      target: { type: 'apiKey', id: record.id, label: record.name },
+      changes: action === 'apiKey.issue' ? diffFields(null, record, ['role', 'username']) : null
+    });
+  }
+
+  /**
+   * Get all API keys (without hashes), newest first.
+   */
+  getAll() {
+    return this.keys.map((record) => this._toPublic(record)).reverse();
+  }
+
+  /**
+   * Issue a new API key.
+   * @param {Object} data - { name, role, userId, username }
+   * @param {Object} options - { actor } who issued the key
+   * @returns {Object} { key, record } - the raw key is only available here
+   * @throws {Error} If the name is missing or the role is unknown
+   */
+  async issue({ name, role, userId = null, username = null }, { actor = null } = {}) {
+    if (!name || !name.trim()) {
+      throw new Error('Key name is required');
+    }
+    if (!isValidRole(role)) {
+      throw new Error('Invalid role');
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(20).toString('hex');
+
+    // Auto-increment ID
+    this.maxId++;
+    const record = {
+      id: this.maxId,
+      name: name.trim(),
+      role: role,
+      userId: userId,
+      username: username,
+      keyPrefix: key.slice(0, KEY_PREFIX.length + 6),  // Shown in the admin panel to identify the key
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    // Add to array and update indexes
+    const newIndex = this.keys.length;
+    this.keys.push(record);
+    this.indexByHash.set(record.keyHash, newIndex);
+    this.indexById.set(record.id, newIndex);
+
+    this._debouncedSave();
+    await this._audit('apiKey.issue', record, actor);
+    return { key, record: this._toPublic(record) };
+  }
+
+  /**
+   * Authenticate a raw API key.
+   * Records the time of use on success, to the minute, so a busy key doesn't
+   * rewrite the file on every request.
+   * @param {string} key - Raw key from the request
+   * @returns {Object|null} Key record (without hash) or null if unknown/revoked
+   */
+  authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const index = this.indexByHash.get(hashKey(key));
+    if (index === undefined) return null;
+
+    const record = this.keys[index];
+    if (record.revokedAt) return null;
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      this._debouncedSave();
+    }
+    return this._toPublic(record);
+  }
+
+  /**
+   * Revoke an API key so it can no longer authenticate.
+   * @param {number} id - Key ID
+   * @param {Object} options - { actor } who revoked the key
+   * @returns {boolean} True if revoked, false if not found or already revoked
+   */
+  async revoke(id, { actor = null } = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined || this.keys[index].revokedAt) {
+      return false;
+    }
+
+    this.keys[index].revokedAt = new Date().toISOString();
+    this._debouncedSave();
+    await this._audit('apiKey.revoke', this.keys[index], actor);
+    return true;
+  }
+
+  /**
+   * Get total number of issued keys (including revoked).
+   */
+  count() {
+    return this.keys.length;
+  }
+}
+
+const store = new ApiKeyStore();
+
+module.exports = store;
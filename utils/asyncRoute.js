@@ -0,0 +1,22 @@
+/**
+ * asyncRoute.js - Error Forwarding for Async Route Handlers
+ *
+ * Express 4 ignores the promise an async handler returns, so an error thrown
+ * after an await becomes an unhandled rejection (which ends the process on
+ * Node 15 and later) instead of reaching the error handler. Wrapping the
+ * handler passes such errors to next(), where app.js answers with a 500 page.
+ *
+ * Usage:
+ *   router.post('/path', isAdmin, asyncRoute(async (req, res) => { ... }));
+ */
+
+/**
+ * Wrap an async route handler so a rejected promise is passed to next().
+ * @param {Function} handler - (req, res, next) => Promise
+ * @returns {Function} Express handler
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+module.exports = asyncRoute;
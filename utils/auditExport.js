@@ -0,0 +1,118 @@
+/**
+ * auditExport.js - Audit Trail Filters and Exports
+ *
+ * Parses the audit viewer's query string into auditStore.getAll() filters
+ * and writes the matching entries as a CSV or JSON download.
+ * Parameters:
+ * - action              Action or action prefix (e.g. 'employee' or 'employee.update')
+ * - actor               Part of the actor's username or API key name
+ * - targetType, targetId What the action applied to (e.g. 'employee', 12)
+ * - from, to            Inclusive YYYY-MM-DD date range (UTC)
+ * - format              Export file format: csv or json
+ */
+
+const auditStore = require('./auditStore');
+const { actorLabel } = require('./auditStore');
+const { BOM, formatCsvRow } = require('./csv');
+const { isValidDate } = require('./employeeSchema');
+
+// Supported export formats
+const AUDIT_EXPORT_FORMATS = ['csv', 'json'];
+
+// CSV header row
+const CSV_HEADERS = ['ID', 'Timestamp', 'Actor', 'Action', 'Target Type', 'Target ID', 'Target', 'Changes', 'Details'];
+
+/**
+ * Read a parameter as a single trimmed string ('' when missing).
+ */
+function readString(query, name) {
+  const value = query[name];
+  if (value === undefined) return '';
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid value for ${name}`);
+  }
+  return value.trim();
+}
+
+/**
+ * Parse audit filters from a query string.
+ * @returns {Object} { action, actor, targetType, targetId, from, to } ('' when not filtered)
+ * @throws {Error} If a parameter is malformed
+ */
+function parseAuditQuery(query) {
+  const filters = {};
+  for (const name of ['action', 'actor', 'targetType', 'targetId', 'from', 'to']) {
+    filters[name] = readString(query, name);
+  }
+
+  for (const name of ['from', 'to']) {
+    if (filters[name] && !isValidDate(filters[name])) {
+      throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  return filters;
+}
+
+/**
+ * Get the entries matching parsed filters, newest first.
+ */
+function findEntries(filters) {
+  return auditStore.getAll({
+    action: filters.action || null,
+    actor: filters.actor || null,
+    targetType: filters.targetType || null,
+    targetId: filters.targetId || null,
+    from: filters.from || null,
+    to: filters.to || null
+  });
+}
+
+/**
+ * Describe an entry's field changes, e.g. "department: Sales -> Marketing; location: (empty) -> Remote".
+ */
+function formatChanges(changes) {
+  if (!changes) return '';
+
+  const show = (value) => (value === null || value === '' ? '(empty)' : String(value));
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${show(from)} -> ${show(to)}`)
+    .join('; ');
+}
+
+/**
+ * Send entries as a file download.
+ * @param {Object} res - Express response
+ * @param {Object[]} entries - Entries from findEntries()
+ * @param {string} format - 'csv' or 'json'
+ */
+function sendAuditExport(res, entries, format) {
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'json') {
+    return res.type('application/json; charset=utf-8').send(JSON.stringify(entries));
+  }
+
+  const rows = entries.map((entry) => formatCsvRow([
+    entry.id,
+    entry.timestamp,
+    actorLabel(entry.actor),
+    entry.action,
+    entry.target ? entry.target.type : '',
+    entry.target ? entry.target.id : '',
+    entry.target ? entry.target.label : '',
+    formatChanges(entry.changes),
+    entry.details ? JSON.stringify(entry.details) : ''
+  ]));
+  return res.type('text/csv; charset=utf-8').send(BOM + formatCsvRow(CSV_HEADERS) + rows.join(''));
+}
+
+module.exports = {
+  AUDIT_EXPORT_FORMATS,
+  parseAuditQuery,
+  findEntries,
+  sendAuditExport
+};
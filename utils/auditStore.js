@@ -0,0 +1,222 @@
+/**
+ * auditStore.js - Append-Only Audit Trail
+ *
+ * Records who did what, to whom, and when: every employee and account change
+ * (with field-level before/after values), logins and logouts, impersonation
+ * and lockouts.
+ * Features:
+ * - Append-only: entries are never updated or removed
+ * - Actors are accounts ({ id, username }), optionally acting through an API
+ *   key ({ apiKey: { id, name } }) or while impersonated by an admin
+ * - One JSON object per line (JSON Lines), appended with fs.appendFile so
+ *   existing entries are never rewritten
+ * - Appends are queued, not awaited: the change being audited is already
+ *   saved, so a failed append is logged and reported on the audit page
+ *   (writeFailures) instead of failing the request
+ * - Entries kept in memory for listing and filtering, newest first
+ * - A partial line left by a crash mid-append is skipped on startup
+ *
+ * Data File: data/audit.jsonl
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Path to JSON Lines data file
+const DATA_PATH = path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+class AuditStore {
+  constructor() {
+    this.entries = [];                // In-memory array of audit entries (oldest first)
+    this.maxId = 0;                   // Track highest ID for auto-increment
+    this.initialized = false;         // Prevent double initialization
+    this.writeQueue = Promise.resolve();  // Serializes appends so lines never interleave
+    this.writeFailures = 0;           // Entries whose append failed since startup
+    this.lastWriteError = null;       // { message, timestamp } of the latest failed append
+  }
+
+  /**
+   * Initialize the store by loading entries from the JSON Lines file.
+   * A missing file simply means nothing has been recorded yet.
+   */
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      const data = await fs.readFile(DATA_PATH, 'utf8');
+      this.entries = [];
+      for (const line of data.split('\n').filter((l) => l.trim())) {
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-append can leave a partial last line; skip it
+          console.warn('Skipping unreadable audit entry in audit.jsonl');
+        }
+      }
+
+      // Terminate a partial last line so the next append starts on its own line
+      if (data && !data.endsWith('\n')) {
+        await fs.appendFile(DATA_PATH, '\n', 'utf8');
+      }
+      this.maxId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.entries = [];
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Append an entry to the audit trail.
+   * @param {Object} entry - { actor, action, target, changes, details }
+   *   actor:  { id, username, apiKey?, impersonatedBy? } performing the action (null for anonymous)
+   *   action: Dotted action name (e.g. 'impersonation.start')
+   *   target: { type, id, label } the action applies to (optional)
+   *   changes: { field: { from, to } } changed fields (optional, see diffFields)
+   *   details: Additional action-specific data (optional)
+   * @returns {Object} Recorded entry
+   */
+  async record(entry) {
+    const [recorded] = await this.recordMany([entry]);
+    return recorded;
+  }
+
+  /**
+   * Append several entries with a single write (e.g. for a batch of changes).
+   * The entries are listed at once; the write to disk is queued and not awaited.
+   * @param {Object[]} entries - Entries as for record()
+   * @returns {Object[]} Recorded entries
+   */
+  async recordMany(entries) {
+    const timestamp = new Date().toISOString();
+    const recorded = entries.map(({ actor, action, target = null, changes = null, details = null }) => {
+      this.maxId++;
+      return {
+        id: this.maxId,
+        timestamp: timestamp,
+        actor: normalizeActor(actor),
+        action: action,
+        target: target,
+        changes: changes,
+        details: details
+      };
+    });
+    if (recorded.length === 0) return [];
+
+    this.entries.push(...recorded);
+
+    // Chain appends so concurrent records land in order (a failed append doesn't block later ones)
+    const lines = recorded.map((entry) => JSON.stringify(entry) + '\n').join('');
+    this.writeQueue = this.writeQueue.then(() =>
+      fs.appendFile(DATA_PATH, lines, 'utf8')
+    ).catch((error) => {
+      this.writeFailures += recorded.length;
+      this.lastWriteError = { message: error.message, timestamp: new Date().toISOString() };
+      console.error(`Failed to write ${recorded.length} audit entries to audit.jsonl:`, error.message);
+    });
+
+    return recorded.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Wait for queued appends to finish (used on shutdown).
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Get audit entries, newest first.
+   * @param {Object} filters - All optional:
+   *   action:     Action or action prefix (e.g. 'employee' or 'employee.update')
+   *   actor:      Part of the actor's username or API key name (case-insensitive)
+   *   targetType, targetId: What the action applied to (e.g. 'employee', 12)
+   *   from, to:   Inclusive YYYY-MM-DD date range (UTC)
+   */
+  getAll({ action = null, actor = null, targetType = null, targetId = null, from = null, to = null } = {}) {
+    const actorText = actor ? actor.toLowerCase() : null;
+
+    return this.entries
+      .filter((entry) => !action || entry.action === action || entry.action.startsWith(`${action}.`))
+      .filter((entry) => !actorText || actorLabel(entry.actor).toLowerCase().includes(actorText))
+      .filter((entry) => !targetType || (entry.target && entry.target.type === targetType))
+      .filter((entry) => targetId === null || (entry.target && String(entry.target.id) === String(targetId)))
+      .filter((entry) => !from || entry.timestamp.slice(0, 10) >= from)
+      .filter((entry) => !to || entry.timestamp.slice(0, 10) <= to)
+      .reverse();
+  }
+
+  /**
+   * Get the distinct action names recorded so far, sorted.
+   */
+  getActions() {
+    return [...new Set(this.entries.map((entry) => entry.action))].sort();
+  }
+
+  /**
+   * Get total number of audit entries.
+   */
+  count() {
+    return this.entries.length;
+  }
+}
+
+/**
+ * Keep only the identifying fields of an actor.
+ * Also used by employeeHistoryStore for the author of each version.
+ */
+function normalizeActor(actor) {
+  if (!actor) return null;
+
+  const normalized = { id: actor.id ?? null, username: actor.username ?? null };
+  if (actor.apiKey) {
+    normalized.apiKey = { id: actor.apiKey.id, name: actor.apiKey.name };
+  }
+  if (actor.impersonatedBy) {
+    normalized.impersonatedBy = { id: actor.impersonatedBy.id, username: actor.impersonatedBy.username };
+  }
+  return normalized;
+}
+
+/**
+ * Describe an entry's actor for display and filtering,
+ * e.g. "admin", "hr1 (API key: Payroll sync)" or "API key: CI".
+ */
+function actorLabel(actor) {
+  if (!actor) return 'anonymous';
+
+  const parts = [];
+  if (actor.username) parts.push(actor.username);
+  if (actor.apiKey) parts.push(actor.username ? `(API key: ${actor.apiKey.name})` : `API key: ${actor.apiKey.name}`);
+  if (actor.impersonatedBy) parts.push(`(impersonated by ${actor.impersonatedBy.username})`);
+  return parts.join(' ') || 'unknown';
+}
+
+/**
+ * Field-level differences between two versions of a record.
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object|null} { field: { from, to } } for changed fields, or null if none changed
+ */
+function diffFields(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before ? (before[field] ?? null) : null;
+    const to = after ? (after[field] ?? null) : null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+const store = new AuditStore();
+
+module.exports = store;
+module.exports.actorLabel = actorLabel;
+module.exports.normalizeActor = normalizeActor;
+module.exports.diffFields = diffFields;
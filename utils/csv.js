@@ -0,0 +1,109 @@
+/**
+ * csv.js - CSV Parsing and Writing
+ *
+ * A small RFC 4180 parser for uploaded spreadsheets and a matching writer:
+ * - Comma-separated fields, optionally wrapped in double quotes
+ * - Quoted fields may contain commas, line breaks and doubled quotes ("")
+ * - LF or CRLF line endings, and a leading byte order mark (as written by Excel)
+ * - Written values that a spreadsheet would run as a formula are prefixed with ',
+ *   except in the columns named as phone numbers, where a value made only of a
+ *   leading sign, digits and separators (+1-555-0100) is left as it is
+ */
+
+const BOM = '\uFEFF';
+
+// Values a spreadsheet would treat as a formula
+const FORMULA_REGEX = /^[=+\-@\t\r]/;
+
+// Phone numbers that may keep a leading + or - (nothing but digits and separators follow)
+const PHONE_REGEX = /^[+-]?[0-9(][0-9 ().-]*$/;
+
+// Values that must be wrapped in quotes
+const QUOTE_REGEX = /[",\r\n]/;
+
+/**
+ * Parse CSV text into rows of string values.
+ * Blank lines are returned as rows with a single empty value, so row
+ * positions keep matching the lines a spreadsheet shows.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of values
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text) {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      value += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  // Last line without a trailing line break
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Format one row of values as a CSV line (with CRLF ending).
+ * null and undefined become empty fields.
+ * @param {Array} values - Row values
+ * @param {Object} options - { phoneColumns } indexes of the values that are phone numbers
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values, { phoneColumns = [] } = {}) {
+  return values.map((value, index) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    const phone = phoneColumns.includes(index) && PHONE_REGEX.test(text);
+    if (FORMULA_REGEX.test(text) && !phone) {
+      text = `'${text}`;
+    }
+    return QUOTE_REGEX.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  BOM,
+  parseCsv,
+  formatCsvRow
+};
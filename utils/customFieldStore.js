@@ -0,0 +1,343 @@
+/**
+ * customFieldStore.js - Admin-Defined Employee Fields
+ *
+ * Holds the definitions of the extra fields admins add to the employee record
+ * (employee number, employment type, T-shirt size...). Employees keep their
+ * values in a `customFields` object keyed by each definition's key; the values
+ * are validated against these definitions (see employeeSchema.js).
+ * Features:
+ * - Types: text, number, date, enum (one of a list of options) and boolean
+ * - Required or optional; a required field applies to employees added or
+ *   edited from then on (existing employees are not checked until edited)
+ * - Keys are fixed once created, as is the type, so stored values stay valid;
+ *   the label, required flag and enum options can be changed
+ * - Deleting a definition removes its value from every employee
+ * - Defining, changing and deleting a field is audited; pass { actor } so the
+ *   entry is recorded under the right name
+ * - Debounced, atomic file writes (see jsonFile.js); pass { durable: true } to
+ *   mutating methods to resolve only once the change is on disk
+ *
+ * Data File: data/customFields.json
+ */
+
+const path = require('path');
+const JsonFile = require('./jsonFile');
+const employeeStore = require('./employeeStore');
+const auditStore = require('./auditStore');
+const { diffFields } = require('./auditStore');
+const { EMPLOYEE_FIELDS } = require('./employeeSchema');
+
+// Path to JSON data file
+const DATA_PATH = path.join(__dirname, '..', 'data', 'customFields.json');
+
+// Value types a custom field can have
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean'];
+
+// Keys are short camelCase identifiers, e.g. "tshirtSize"
+const KEY_REGEX = /^[a-z][a-zA-Z0-9]*$/;
+
+// Longest accepted key, label and enum option; most options an enum may have
+const MAX_KEY_LENGTH = 40;
+const MAX_LABEL_LENGTH = 50;
+const MAX_OPTION_LENGTH = 50;
+const MAX_OPTIONS = 50;
+
+// Keys that would be confused with the built-in fields
+const RESERVED_KEYS = [...EMPLOYEE_FIELDS, 'id', 'customFields', 'archivedAt', 'terminationDate', 'terminationReason'];
+
+// Definition fields compared for audit entries
+const AUDITED_FIELDS = ['key', 'label', 'type', 'required', 'options'];
+
+class CustomFieldStore {
+  constructor() {
+    this.fields = [];                 // In-memory array of field definitions, in display order
+    this.indexById = new Map();       // Map<id, arrayIndex> for O(1) ID lookups
+    this.indexByKey = new Map();      // Map<lowercaseKey, arrayIndex> for uniqueness checks
+    this.maxId = 0;                   // Track highest ID for auto-increment
+    this.initialized = false;         // Prevent double initialization
+    this.file = new JsonFile(DATA_PATH, () => this.fields);  // Atomic, debounced persistence
+  }
+
+  /**
+   * Initialize the store by loading data from JSON file.
+   * Creates the file if it doesn't exist.
+   */
+  async init() {
+    if (this.initialized) return;
+
+    // read() recovers what it can from a truncated or corrupt file
+    const data = await this.file.read();
+    this.fields = data === null ? [] : data;
+    this._buildIndexes();
+    this.initialized = true;
+
+    if (data === null) {
+      await this.file.save();
+    }
+  }
+
+  /**
+   * Rebuild ID and key indexes from the fields array.
+   */
+  _buildIndexes() {
+    this.indexById.clear();
+    this.indexByKey.clear();
+    this.maxId = 0;
+
+    for (let i = 0; i < this.fields.length; i++) {
+      const field = this.fields[i];
+      this.indexById.set(field.id, i);
+      this.indexByKey.set(field.key.toLowerCase(), i);
+      if (field.id > this.maxId) {
+        this.maxId = field.id;
+      }
+    }
+  }
+
+  /**
+   * Save after a change, waiting for the write when durable is set.
+   * @param {Object} options - { durable } wait until the change is on disk before resolving
+   */
+  async _save({ durable = false } = {}) {
+    const saved = this.file.schedule();
+    if (durable) {
+      await saved;
+    }
+  }
+
+  /**
+   * Write out any pending debounced save (used on shutdown).
+   */
+  async flush() {
+    await this.file.flush();
+  }
+
+  /**
+   * Write an audit entry for a field definition change.
+   * @param {string} action - e.g. 'customField.create', 'customField.update'
+   * @param {Object|null} before - Definition before the change (null when created)
+   * @param {Object|null} after - Definition after the change (null when deleted)
+   * @param {Object} options - { actor } who made the change
+   */
+  async _audit(action, before, after, { actor = null } = {}) {
+    // Compare enum options as text, since arrays are never equal by reference
+    const asText = (field) => field && { ...field, options: field.options ? field.options.join(', ') : null };
+    const changes = diffFields(asText(before), asText(after), AUDITED_FIELDS);
+    if (action === 'customField.update' && !changes) return;
+
+    const field = after || before;
+    await auditStore.record({
+      actor: actor,
+      action: action,
+      target: { type: 'customField', id: field.id, label: field.label },
+      changes: changes
+    });
+  }
+
+  /**
+   * Validate a new field's key.
+   */
+  _validateKey(key) {
+    const trimmed = typeof key === 'string' ? key.trim() : '';
+    if (!trimmed) {
+      throw new Error('Field key is required');
+    }
+    if (trimmed.length > MAX_KEY_LENGTH || !KEY_REGEX.test(trimmed)) {
+      throw new Error(`Field key must be up to ${MAX_KEY_LENGTH} letters and digits, starting with a lowercase letter (e.g. tshirtSize)`);
+    }
+    if (RESERVED_KEYS.some((reserved) => reserved.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`Field key "${trimmed}" is used by a built-in field`);
+    }
+    // Keys are looked up on plain objects, so "constructor" and the like would always be set
+    if (trimmed in Object.prototype) {
+      throw new Error(`Field key "${trimmed}" is reserved`);
+    }
+    if (this.indexByKey.has(trimmed.toLowerCase())) {
+      throw new Error('Field key already exists');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validate and normalize a label.
+   */
+  _validateLabel(label) {
+    const trimmed = typeof label === 'string' ? label.trim() : '';
+    if (!trimmed) {
+      throw new Error('Field label is required');
+    }
+    if (trimmed.length > MAX_LABEL_LENGTH) {
+      throw new Error(`Field label must be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validate a new field's type.
+   */
+  _validateType(type) {
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      throw new Error(`Field type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+    return type;
+  }
+
+  /**
+   * Read the required flag from a form ('true' / 'on') or JSON (true).
+   */
+  _validateRequired(required) {
+    return required === true || required === 'true' || required === 'on';
+  }
+
+  /**
+   * Validate and normalize enum options: an array, or text with one option per line.
+   * Returns null for other types.
+   */
+  _validateOptions(type, options) {
+    if (type !== 'enum') return null;
+
+    const list = typeof options === 'string' ? options.split(/\r?\n/) : options;
+    if (!Array.isArray(list) || list.some((option) => typeof option !== 'string')) {
+      throw new Error('Options must be a list of text values');
+    }
+
+    const trimmed = [...new Set(list.map((option) => option.trim()).filter((option) => option !== ''))];
+    if (trimmed.length === 0) {
+      throw new Error('Options are required for an enum field');
+    }
+    if (trimmed.length > MAX_OPTIONS) {
+      throw new Error(`Options must be at most ${MAX_OPTIONS} values`);
+    }
+    if (trimmed.some((option) => option.length > MAX_OPTION_LENGTH)) {
+      throw new Error(`Options must be at most ${MAX_OPTION_LENGTH} characters each`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Get all field definitions in display order.
+   */
+  getAll() {
+    return this.fields.map(copyField);
+  }
+
+  /**
+   * Get field definition by ID.
+   * Returns a copy to prevent external mutation.
+   */
+  getById(id) {
+    const index = this.indexById.get(Number(id));
+    return index === undefined ? null : copyField(this.fields[index]);
+  }
+
+  /**
+   * Get field definition by key (case-insensitive).
+   */
+  getByKey(key) {
+    if (typeof key !== 'string') return null;
+    const index = this.indexByKey.get(key.trim().toLowerCase());
+    return index === undefined ? null : copyField(this.fields[index]);
+  }
+
+  /**
+   * Define a new custom field.
+   * @param {Object} data - { key, label, type, required, options }
+   *   options: enum values, as an array or one per line
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @throws {Error} If the key is malformed or taken, or the label, type or options are invalid
+   */
+  async create({ key, label, type, required = false, options = null }, { durable = false, actor = null } = {}) {
+    const fields = {
+      key: this._validateKey(key),
+      label: this._validateLabel(label),
+      type: this._validateType(type),
+      required: this._validateRequired(required)
+    };
+    fields.options = this._validateOptions(fields.type, options);
+
+    this.maxId++;
+    const field = { id: this.maxId, ...fields };
+    this.indexById.set(field.id, this.fields.length);
+    this.indexByKey.set(field.key.toLowerCase(), this.fields.length);
+    this.fields.push(field);
+
+    await this._save({ durable });
+    await this._audit('customField.create', null, field, { actor });
+    return copyField(field);
+  }
+
+  /**
+   * Update a field's label, required flag or enum options (key and type are fixed).
+   * Only provided fields are changed.
+   * @param {number} id - Field ID
+   * @param {Object} data - { label, required, options }
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @returns {Object|null} Updated field or null if not found
+   */
+  async update(id, { label, required, options } = {}, { durable = false, actor = null } = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    const field = this.fields[index];
+    const before = copyField(field);
+    const newLabel = label === undefined ? field.label : this._validateLabel(label);
+    const newRequired = required === undefined ? field.required : this._validateRequired(required);
+    const newOptions = options === undefined ? field.options : this._validateOptions(field.type, options);
+
+    field.label = newLabel;
+    field.required = newRequired;
+    field.options = newOptions;
+
+    await this._save({ durable });
+    await this._audit('customField.update', before, field, { actor });
+    return copyField(field);
+  }
+
+  /**
+   * Delete a field definition and remove its value from every employee.
+   * @param {number} id - Field ID
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @returns {Object|null} { field, cleared } deleted definition and number of employees that
+   *   had a value, or null if not found
+   */
+  async delete(id, options = {}) {
+    const field = this.getById(id);
+    if (!field) return null;
+
+    const cleared = await employeeStore.removeCustomField(field.key, {
+      ...options,
+      reason: `Custom field ${field.label} deleted`
+    });
+
+    const index = this.indexById.get(field.id);
+    this.fields = this.fields.filter((_, i) => i !== index);
+    this._buildIndexes();
+
+    await this._save(options);
+    await this._audit('customField.delete', field, null, options);
+    return { field, cleared };
+  }
+
+  /**
+   * Get total number of field definitions.
+   */
+  count() {
+    return this.fields.length;
+  }
+}
+
+/**
+ * Copy a definition so callers can't change the stored one.
+ */
+function copyField(field) {
+  return { ...field, options: field.options ? [...field.options] : null };
+}
+
+const store = new CustomFieldStore();
+
+// Employee custom field values are validated against this store (a hook
+// rather than a require, to avoid a require cycle)
+employeeStore.useCustomFields(store);
+
+module.exports = store;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
@@ -0,0 +1,388 @@
+/**
+ * departmentStore.js - Department Persistence Layer
+ *
+ * Manages the departments employees can belong to. Employees keep the
+ * department's name, so renames and merges are cascaded to them here.
+ * Features:
+ * - Case-insensitive, unique department names
+ * - Optional department head (an employee) and cost center
+ * - Renaming a department renames it on every employee in it
+ * - Merging moves every employee into another department and removes the old one
+ * - Deleting is refused while employees are still in the department
+ * - Departments used by employees but missing here are added at startup
+ * - Debounced, atomic file writes (see jsonFile.js); pass { durable: true } to
+ *   mutating methods to resolve only once the change is on disk
+ * - Creating, changing, merging and deleting a department is audited, as is
+ *   clearing its head when the head is archived; pass { actor } so the entry
+ *   (and the employee changes a rename or merge causes) is recorded under the
+ *   right name
+ *
+ * Data File: data/departments.json
+ */
+
+const path = require('path');
+const JsonFile = require('./jsonFile');
+const employeeStore = require('./employeeStore');
+const auditStore = require('./auditStore');
+const { diffFields } = require('./auditStore');
+
+// Path to JSON data file
+const DATA_PATH = path.join(__dirname, '..', 'data', 'departments.json');
+
+// Longest accepted department name and cost center
+const MAX_NAME_LENGTH = 50;
+const MAX_COST_CENTER_LENGTH = 20;
+
+// Cost centers are codes such as "CC-1040"
+const COST_CENTER_REGEX = /^[A-Za-z0-9-]+$/;
+
+// Department fields compared for audit entries
+const AUDITED_FIELDS = ['name', 'headId', 'costCenter'];
+
+class DepartmentStore {
+  constructor() {
+    this.departments = [];            // In-memory array of department records
+    this.indexById = new Map();       // Map<id, arrayIndex> for O(1) ID lookups
+    this.indexByName = new Map();     // Map<lowercaseName, arrayIndex> for uniqueness checks
+    this.maxId = 0;                   // Track highest ID for auto-increment
+    this.initialized = false;         // Prevent double initialization
+    this.file = new JsonFile(DATA_PATH, () => this.departments);  // Atomic, debounced persistence
+  }
+
+  /**
+   * Initialize the store by loading data from JSON file.
+   * Creates the file if it doesn't exist, then adds any department that
+   * employees already use, so every employee's department is a known one.
+   * Call after employeeStore.init().
+   */
+  async init() {
+    if (this.initialized) return;
+
+    // read() recovers what it can from a truncated or corrupt file
+    const data = await this.file.read();
+    this.departments = data === null ? [] : data;
+    this._buildIndexes();
+    this.initialized = true;
+
+    const missing = employeeStore.facetCounts('department', { status: 'all' })
+      .map(({ value }) => value)
+      .filter((name) => !this.getByName(name));
+    for (const name of missing) {
+      this._insert({ name: name, headId: null, costCenter: null });
+    }
+
+    if (data === null || missing.length > 0) {
+      await this._persist();
+    }
+  }
+
+  /**
+   * Rebuild ID and name indexes from the departments array.
+   */
+  _buildIndexes() {
+    this.indexById.clear();
+    this.indexByName.clear();
+    this.maxId = 0;
+
+    for (let i = 0; i < this.departments.length; i++) {
+      const department = this.departments[i];
+      this.indexById.set(department.id, i);
+      this.indexByName.set(department.name.toLowerCase(), i);
+      if (department.id > this.maxId) {
+        this.maxId = department.id;
+      }
+    }
+  }
+
+  /**
+   * Schedule a debounced save operation.
+   * @returns {Promise} Resolves once the write is on disk
+   */
+  _debouncedSave() {
+    return this.file.schedule();
+  }
+
+  /**
+   * Write current departments array to JSON file (atomically).
+   */
+  async _persist() {
+    await this.file.save();
+  }
+
+  /**
+   * Save after a change, waiting for the write when durable is set.
+   * @param {Object} options - { durable } wait until the change is on disk before resolving
+   */
+  async _save({ durable = false } = {}) {
+    const saved = this._debouncedSave();
+    if (durable) {
+      await saved;
+    }
+  }
+
+  /**
+   * Write out any pending debounced save (used on shutdown).
+   */
+  async flush() {
+    await this.file.flush();
+  }
+
+  /**
+   * Write an audit entry for a department change.
+   * @param {string} action - e.g. 'department.create', 'department.update'
+   * @param {Object|null} before - Department before the change (null when created)
+   * @param {Object|null} after - Department after the change (null when removed)
+   * @param {Object} options - { actor, reason } who made the change and why
+   */
+  async _audit(action, before, after, { actor = null, reason = null } = {}) {
+    const changes = diffFields(before, after, AUDITED_FIELDS);
+    if (action === 'department.update' && !changes) return;
+
+    const department = after || before;
+    await auditStore.record({
+      actor: actor,
+      action: action,
+      target: { type: 'department', id: department.id, label: department.name },
+      changes: changes,
+      details: reason ? { reason: reason } : null
+    });
+  }
+
+  /**
+   * Add a department record and index it.
+   */
+  _insert(fields) {
+    this.maxId++;
+    const department = { id: this.maxId, ...fields };
+
+    this.indexById.set(department.id, this.departments.length);
+    this.indexByName.set(department.name.toLowerCase(), this.departments.length);
+    this.departments.push(department);
+    return department;
+  }
+
+  /**
+   * Validate and normalize a department name.
+   * @param {number|null} ownId - Department being renamed (may keep its own name)
+   */
+  _validateName(name, ownId = null) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Department name is required');
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+      throw new Error(`Department name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const existing = this.getByName(trimmed);
+    if (existing && existing.id !== ownId) {
+      throw new Error('Department already exists');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validate and normalize an optional department head (an employee ID).
+   */
+  _validateHead(headId) {
+    if (headId === undefined || headId === null || headId === '') return null;
+
+    const id = Number(headId);
+    if (!Number.isInteger(id) || !employeeStore.getActiveById(id)) {
+      throw new Error('Department head not found');
+    }
+    return id;
+  }
+
+  /**
+   * Validate and normalize an optional cost center code.
+   */
+  _validateCostCenter(costCenter) {
+    const trimmed = typeof costCenter === 'string' ? costCenter.trim() : '';
+    if (!trimmed) return null;
+
+    if (trimmed.length > MAX_COST_CENTER_LENGTH || !COST_CENTER_REGEX.test(trimmed)) {
+      throw new Error(`Cost center must be up to ${MAX_COST_CENTER_LENGTH} letters, digits or dashes`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Get all departments sorted by name, each with its active employee count.
+   */
+  getAll() {
+    const counts = new Map(employeeStore.facetCounts('department')
+      .map(({ value, count }) => [value.toLowerCase(), count]));
+
+    return this.departments
+      .map((department) => ({ ...department, employeeCount: counts.get(department.name.toLowerCase()) || 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get department by ID.
+   * Returns a copy to prevent external mutation.
+   */
+  getById(id) {
+    const index = this.indexById.get(Number(id));
+    return index === undefined ? null : { ...this.departments[index] };
+  }
+
+  /**
+   * Get department by name (case-insensitive).
+   */
+  getByName(name) {
+    if (typeof name !== 'string') return null;
+    const index = this.indexByName.get(name.trim().toLowerCase());
+    return index === undefined ? null : { ...this.departments[index] };
+  }
+
+  /**
+   * Create a department.
+   * @param {Object} data - { name, headId, costCenter }
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @throws {Error} If the name is missing or taken, the head doesn't exist or the cost center is malformed
+   */
+  async create({ name, headId = null, costCenter = null }, options = {}) {
+    const department = this._insert({
+      name: this._validateName(name),
+      headId: this._validateHead(headId),
+      costCenter: this._validateCostCenter(costCenter)
+    });
+
+    await this._save(options);
+    await this._audit('department.create', null, department, options);
+    return { ...department };
+  }
+
+  /**
+   * Update a department. Only provided fields are changed; a new name is
+   * applied to every employee in the department.
+   * @param {number} id - Department ID
+   * @param {Object} data - { name, headId, costCenter } (null or '' clears head / cost center)
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @returns {Object|null} Updated department or null if not found
+   */
+  async update(id, { name, headId, costCenter } = {}, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    const department = this.departments[index];
+    const before = { ...department };
+    const newName = name === undefined ? department.name : this._validateName(name, department.id);
+    const newHeadId = headId === undefined ? department.headId : this._validateHead(headId);
+    const newCostCenter = costCenter === undefined ? department.costCenter : this._validateCostCenter(costCenter);
+
+    // Cascade a rename (including a change of case) to the department's employees
+    const oldName = department.name;
+    if (newName !== oldName) {
+      await employeeStore.reassignDepartment(oldName, newName, { ...options, reason: `Department ${oldName} renamed to ${newName}` });
+      this.indexByName.delete(oldName.toLowerCase());
+      this.indexByName.set(newName.toLowerCase(), index);
+    }
+
+    department.name = newName;
+    department.headId = newHeadId;
+    department.costCenter = newCostCenter;
+
+    await this._save(options);
+    await this._audit('department.update', before, department, options);
+    return { ...department };
+  }
+
+  /**
+   * Merge a department into another: its employees move to the target
+   * department and it is removed.
+   * @param {number} id - Department to merge away
+   * @param {number} intoId - Department that receives the employees
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @returns {Object|null} { department, moved } target department and number of employees moved, or null if either is not found
+   */
+  async merge(id, intoId, options = {}) {
+    const source = this.getById(id);
+    const target = this.getById(intoId);
+    if (!source || !target) return null;
+
+    if (source.id === target.id) {
+      throw new Error('Cannot merge a department into itself');
+    }
+
+    const moved = await employeeStore.reassignDepartment(source.name, target.name, {
+      ...options,
+      reason: `Department ${source.name} merged into ${target.name}`
+    });
+    this._remove(source.id);
+
+    await this._save(options);
+    await this._audit('department.merge', source, null, {
+      ...options,
+      reason: `Merged into ${target.name} (${moved} employees moved)`
+    });
+    return { department: target, moved: moved };
+  }
+
+  /**
+   * Delete an empty department.
+   * @param {number} id - Department ID
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @returns {boolean} True if deleted, false if not found
+   * @throws {Error} If employees (archived ones included) still belong to the department
+   */
+  async delete(id, options = {}) {
+    const department = this.getById(id);
+    if (!department) return false;
+
+    if (employeeStore.find({ department: department.name, status: 'all', limit: 1 }).total > 0) {
+      throw new Error('Department still has employees; merge it into another department instead');
+    }
+
+    this._remove(department.id);
+    await this._save(options);
+    await this._audit('department.delete', department, null, options);
+    return true;
+  }
+
+  /**
+   * Remove a department from the array and rebuild indexes.
+   */
+  _remove(id) {
+    const index = this.indexById.get(Number(id));
+    this.departments = this.departments.filter((_, i) => i !== index);
+    this._buildIndexes();
+  }
+
+  /**
+   * Clear the head of any department headed by an employee (called when the employee is archived).
+   * @param {number} employeeId - Archived employee's ID
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who archived them
+   */
+  async clearHead(employeeId, options = {}) {
+    const headed = this.departments.filter((department) => department.headId === Number(employeeId));
+    if (headed.length === 0) return;
+
+    const before = headed.map((department) => ({ ...department }));
+    headed.forEach((department) => { department.headId = null; });
+    await this._save(options);
+
+    const employee = employeeStore.getById(employeeId);
+    const reason = `Department head ${employee ? employee.name : `#${employeeId}`} was archived`;
+    for (let i = 0; i < headed.length; i++) {
+      await this._audit('department.update', before[i], headed[i], { ...options, reason: reason });
+    }
+  }
+
+  /**
+   * Get total number of departments.
+   */
+  count() {
+    return this.departments.length;
+  }
+}
+
+const store = new DepartmentStore();
+
+// Employees are validated against this store and deleting one clears any
+// department it heads (a hook rather than a require, to avoid a require cycle)
+employeeStore.useDepartments(store);
+
+module.exports = store;
@@ -0,0 +1,192 @@
+/**
+ * employeeExport.js - Employee Exports as CSV, JSON or XLSX
+ *
+ * Streams the employees matching a listing's search, filters and sort to an
+ * HTTP response as a file download. Employees are read and written a batch at
+ * a time (employeeStore.findInBatches) and CSV/JSON output waits for the
+ * client to catch up, so large exports never build the whole file in memory.
+ * Formats:
+ * - csv:  Header row of column labels, CRLF lines, UTF-8 with a byte order
+ *         mark so Excel reads accents correctly (re-importable via employeeImport.js)
+ * - json: Array of employee objects with the chosen fields
+ * - xlsx: One "Employees" worksheet, written with ExcelJS's streaming writer;
+ *         joining dates are real date cells
+ * Custom fields (see customFieldStore.js) are exported as extra columns named
+ * "customFields.<key>", headed by their label; JSON nests them in a customFields object.
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const employeeStore = require('./employeeStore');
+const customFieldStore = require('./customFieldStore');
+const { BOM, formatCsvRow } = require('./csv');
+
+// Supported export formats
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// Built-in employee fields that can be exported, in their default order
+const EXPORT_COLUMNS = ['id', 'name', 'designation', 'email', 'contact', 'department', 'joiningDate', 'location', 'managerId'];
+
+// Column headings for CSV and XLSX
+const COLUMN_LABELS = {
+  id: 'ID',
+  name: 'Name',
+  designation: 'Designation',
+  email: 'Email',
+  contact: 'Contact',
+  department: 'Department',
+  joiningDate: 'Joining Date',
+  location: 'Location',
+  managerId: 'Manager ID'
+};
+
+// Prefix of the columns holding a custom field
+const CUSTOM_COLUMN_PREFIX = 'customFields.';
+
+// Response Content-Type for each format
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Write a chunk, waiting for the response to drain when its buffer is full.
+ * Resolves early if the client disconnects.
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+}
+
+/**
+ * Every column that can be exported: the built-in fields, then each custom field.
+ */
+function exportColumns() {
+  return [...EXPORT_COLUMNS, ...customFieldStore.getAll().map((field) => CUSTOM_COLUMN_PREFIX + field.key)];
+}
+
+/**
+ * Column headings for CSV and XLSX, including the custom fields' labels.
+ */
+function columnLabels() {
+  const labels = { ...COLUMN_LABELS };
+  for (const field of customFieldStore.getAll()) {
+    labels[CUSTOM_COLUMN_PREFIX + field.key] = field.label;
+  }
+  return labels;
+}
+
+/**
+ * Get an employee's value for a column (missing values become null).
+ */
+function columnValue(employee, column) {
+  if (column.startsWith(CUSTOM_COLUMN_PREFIX)) {
+    return (employee.customFields || {})[column.slice(CUSTOM_COLUMN_PREFIX.length)] ?? null;
+  }
+  return employee[column] ?? null;
+}
+
+/**
+ * Pick the exported fields from an employee; custom fields go in a customFields object.
+ */
+function pick(employee, columns) {
+  const picked = {};
+  for (const column of columns) {
+    if (column.startsWith(CUSTOM_COLUMN_PREFIX)) {
+      picked.customFields = picked.customFields || {};
+      picked.customFields[column.slice(CUSTOM_COLUMN_PREFIX.length)] = columnValue(employee, column);
+    } else {
+      picked[column] = columnValue(employee, column);
+    }
+  }
+  return picked;
+}
+
+async function writeCsv(res, batches, columns) {
+  const labels = columnLabels();
+  await write(res, BOM + formatCsvRow(columns.map((column) => labels[column])));
+  // Contact numbers such as +1-555-0100 are written as they are, not escaped as formulas
+  const phoneColumns = columns.flatMap((column, index) => (column === 'contact' ? [index] : []));
+  for (const batch of batches) {
+    if (res.destroyed) return;
+    await write(res, batch.map((employee) => formatCsvRow(columns.map((column) => columnValue(employee, column)), { phoneColumns })).join(''));
+  }
+}
+
+async function writeJson(res, batches, columns) {
+  let first = true;
+  await write(res, '[');
+  for (const batch of batches) {
+    if (res.destroyed) return;
+    const items = batch.map((employee) => JSON.stringify(pick(employee, columns)));
+    await write(res, (first ? '' : ',') + items.join(','));
+    first = false;
+  }
+  await write(res, ']');
+}
+
+async function writeXlsx(res, batches, columns) {
+  const labels = columnLabels();
+  const dateColumns = ['joiningDate', ...customFieldStore.getAll()
+    .filter((field) => field.type === 'date')
+    .map((field) => CUSTOM_COLUMN_PREFIX + field.key)];
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Employees');
+  sheet.columns = columns.map((column) => ({
+    header: labels[column],
+    key: column,
+    width: column === 'id' || column === 'managerId' ? 12 : 24,
+    style: dateColumns.includes(column) ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const batch of batches) {
+    if (res.destroyed) return;
+    for (const employee of batch) {
+      const row = Object.fromEntries(columns.map((column) => [column, columnValue(employee, column)]));
+      for (const column of dateColumns) {
+        if (row[column]) {
+          row[column] = new Date(row[column]);
+        }
+      }
+      sheet.addRow(row).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+const WRITERS = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+/**
+ * Stream matching employees to a response as a file download.
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, columns, ...find() search, filter and sort options }
+ *   (see parseExportQuery in employeeQuery.js)
+ */
+async function streamExport(res, { format, columns, ...options }) {
+  const filename = `employees-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  await WRITERS[format](res, employeeStore.findInBatches(options), columns);
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  COLUMN_LABELS,
+  exportColumns,
+  columnLabels,
+  streamExport
+};
@@ -0,0 +1,231 @@
+/**
+ * employeeHistoryStore.js - Versioned Employee Snapshots
+ *
+ * Keeps every version of every employee record so one person's history can be
+ * shown as a timeline and the record reconstructed as it was at any moment.
+ * Written by employeeStore whenever it changes a record; the audit trail
+ * answers "who changed what", this store answers "what did it look like".
+ * Features:
+ * - One full snapshot per version, numbered 1, 2, 3... per employee
+ * - Employees that existed before history was kept get a baseline version
+ *   (timestamp null) holding the record as it was before their first change;
+ *   it stands for every earlier moment
+ * - One JSON object per line (JSON Lines), appended with fs.appendFile
+ * - Writes are queued, not awaited: the employee change is already saved, so a
+ *   failed write is logged and reported on the history page (writeFailures)
+ *   instead of failing the request
+ * - A purged employee's versions are removed along with the record
+ * - A partial line left by a crash mid-append is skipped on startup
+ *
+ * Data File: data/employeeHistory.jsonl
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeActor } = require('./auditStore');
+
+// Path to JSON Lines data file
+const DATA_PATH = path.join(__dirname, '..', 'data', 'employeeHistory.jsonl');
+
+class EmployeeHistoryStore {
+  constructor() {
+    this.versions = new Map();        // Employee ID -> versions (oldest first)
+    this.initialized = false;         // Prevent double initialization
+    this.writeQueue = Promise.resolve();  // Serializes writes so lines never interleave
+    this.writeFailures = 0;           // Writes that failed since startup
+    this.lastWriteError = null;       // { message, timestamp } of the latest failed write
+  }
+
+  /**
+   * Initialize the store by loading versions from the JSON Lines file.
+   * A missing file simply means nothing has been recorded yet.
+   */
+  async init() {
+    if (this.initialized) return;
+
+    this.versions = new Map();
+    try {
+      const data = await fs.readFile(DATA_PATH, 'utf8');
+      for (const line of data.split('\n').filter((l) => l.trim())) {
+        try {
+          this._add(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-append can leave a partial last line; skip it
+          console.warn('Skipping unreadable version in employeeHistory.jsonl');
+        }
+      }
+
+      // Terminate a partial last line so the next append starts on its own line
+      if (data && !data.endsWith('\n')) {
+        await fs.appendFile(DATA_PATH, '\n', 'utf8');
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Add a loaded or recorded version to the in-memory index.
+   */
+  _add(version) {
+    if (!this.versions.has(version.employeeId)) {
+      this.versions.set(version.employeeId, []);
+    }
+    this.versions.get(version.employeeId).push(version);
+  }
+
+  /**
+   * Record new versions of employees with a single write.
+   * The versions are listed at once; the write to disk is queued and not awaited.
+   * @param {Object[]} changes - { before, after, action, actor, reason }
+   *   before: Record before the change (null when created)
+   *   after:  Record after the change
+   *   action: What happened, e.g. 'create', 'update', 'archive' or 'restore'
+   *   actor:  Who made the change ({ id, username, apiKey? }, optional)
+   *   reason: Why, for changes made as a consequence of another one (optional)
+   * @returns {Object[]} Recorded versions
+   */
+  async recordMany(changes) {
+    const timestamp = new Date().toISOString();
+    const lines = [];
+    const recorded = [];
+
+    for (const { before, after, action, actor = null, reason = null } of changes) {
+      // First change since history was kept: remember what the record looked like before it
+      if (before && !this.versions.has(after.id)) {
+        const baseline = this._version(before, 1, null, 'baseline', null, null);
+        this._add(baseline);
+        lines.push(JSON.stringify(baseline) + '\n');
+      }
+
+      const previous = this.versions.get(after.id) || [];
+      const version = this._version(after, previous.length + 1, timestamp, action, actor, reason);
+      this._add(version);
+      lines.push(JSON.stringify(version) + '\n');
+      recorded.push(version);
+    }
+    if (lines.length === 0) return [];
+
+    // Chain writes so concurrent records land in order (a failed write doesn't block later ones)
+    this._queueWrite(`${lines.length} versions`, () => fs.appendFile(DATA_PATH, lines.join(''), 'utf8'));
+
+    return recorded.map(copyVersion);
+  }
+
+  /**
+   * Build a version entry.
+   */
+  _version(employee, number, timestamp, action, actor, reason) {
+    return {
+      employeeId: employee.id,
+      version: number,
+      timestamp: timestamp,
+      action: action,
+      actor: normalizeActor(actor),
+      reason: reason,
+      snapshot: { ...employee }
+    };
+  }
+
+  /**
+   * Get every recorded version of an employee, oldest first.
+   * @param {number} employeeId - Employee ID
+   * @returns {Object[]} Versions ([] if none were recorded)
+   */
+  getVersions(employeeId) {
+    return (this.versions.get(Number(employeeId)) || []).map(copyVersion);
+  }
+
+  /**
+   * Get the version of an employee that was current at a moment.
+   * @param {number} employeeId - Employee ID
+   * @param {string} time - ISO timestamp
+   * @returns {Object|null} Version, or null if the employee didn't exist yet
+   *   (or nothing was recorded for them)
+   */
+  getAsOf(employeeId, time) {
+    const versions = this.versions.get(Number(employeeId)) || [];
+
+    let current = null;
+    for (const version of versions) {
+      if (version.timestamp !== null && version.timestamp > time) break;
+      current = version;
+    }
+    return current ? copyVersion(current) : null;
+  }
+
+  /**
+   * Get the number of an employee's latest recorded version.
+   * @param {number} employeeId - Employee ID
+   * @returns {number} Version number (0 if none was recorded)
+   */
+  latestVersion(employeeId) {
+    const versions = this.versions.get(Number(employeeId)) || [];
+    return versions.length > 0 ? versions[versions.length - 1].version : 0;
+  }
+
+  /**
+   * Check whether any version of an employee was recorded.
+   */
+  has(employeeId) {
+    return this.versions.has(Number(employeeId));
+  }
+
+  /**
+   * Remove every version of an employee (when the record is purged).
+   * The file is rewritten without them (queued, not awaited): written to a temp
+   * file, then renamed over the real one so a crash leaves either the old or the new file.
+   * @param {number} employeeId - Employee ID
+   * @returns {boolean} True if there were versions to remove
+   */
+  async remove(employeeId) {
+    if (!this.versions.delete(Number(employeeId))) return false;
+
+    const lines = [...this.versions.values()]
+      .flat()
+      .map((version) => JSON.stringify(version) + '\n')
+      .join('');
+    const tempPath = `${DATA_PATH}.tmp`;
+
+    this._queueWrite(`the removal of employee ${employeeId}'s versions`, async () => {
+      await fs.writeFile(tempPath, lines, 'utf8');
+      await fs.rename(tempPath, DATA_PATH);
+    });
+    return true;
+  }
+
+  /**
+   * Queue a write after the ones already queued, logging and counting it if it fails.
+   * @param {string} description - What is being written, for the log
+   * @param {Function} write - Performs the write (async)
+   */
+  _queueWrite(description, write) {
+    this.writeQueue = this.writeQueue.then(write).catch((error) => {
+      this.writeFailures++;
+      this.lastWriteError = { message: error.message, timestamp: new Date().toISOString() };
+      console.error(`Failed to write ${description} to employeeHistory.jsonl:`, error.message);
+    });
+  }
+
+  /**
+   * Wait for queued writes to finish (used on shutdown).
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+/**
+ * Copy a version so callers can't change the stored snapshot.
+ */
+function copyVersion(version) {
+  return { ...version, snapshot: { ...version.snapshot } };
+}
+
+const store = new EmployeeHistoryStore();
+
+module.exports = store;
@@ -0,0 +1,248 @@
+/**
+ * employeeImport.js - Bulk Employee Import from CSV
+ *
+ * Imports many employees at once from a CSV file (one employee per row,
+ * column names in the first row) in two steps:
+ * 1. checkImport(): a dry run that maps columns to employee fields and
+ *    validates every row against the employee schema (utils/employeeSchema.js),
+ *    reporting per-row errors (missing or malformed fields, unknown department
+ *    or manager, and emails that already exist or appear twice in the file).
+ *    Nothing is stored.
+ * 2. commitImport(): every valid row of that report is added in one batch
+ *    with a single write (employeeStore.addMany). Invalid rows are skipped.
+ *
+ * Column mapping: { field: 'Column name' } picks the CSV column for a field
+ * (case-insensitive); '' leaves the field unmapped. Fields missing from the
+ * mapping use the column whose name matches the field, e.g. "Joining Date"
+ * or "Start Date" for joiningDate. Custom fields (see customFieldStore.js) are
+ * mapped by their key and matched by key or label.
+ */
+
+const employeeStore = require('./employeeStore');
+const departmentStore = require('./departmentStore');
+const { parseCsv } = require('./csv');
+const customFieldStore = require('./customFieldStore');
+const { EMPLOYEE_SCHEMA, EMPLOYEE_FIELDS, validateEmployee } = require('./employeeSchema');
+
+// Built-in employee fields a CSV column can be mapped to
+const IMPORT_FIELDS = EMPLOYEE_FIELDS;
+
+// Built-in fields every row must have (managerId is optional)
+const REQUIRED_FIELDS = IMPORT_FIELDS.filter((field) => EMPLOYEE_SCHEMA[field].required);
+
+// Most data rows accepted in one file
+const MAX_IMPORT_ROWS = 1000;
+
+// Other column names recognized for a field (compared after normalizeHeader)
+const FIELD_ALIASES = {
+  name: ['fullname', 'employeename', 'employee'],
+  designation: ['title', 'jobtitle', 'position', 'role'],
+  email: ['emailaddress', 'workemail'],
+  contact: ['phone', 'phonenumber', 'mobile', 'telephone'],
+  department: ['dept', 'team'],
+  joiningDate: ['joined', 'joindate', 'startdate', 'hiredate', 'datejoined'],
+  location: ['office', 'city'],
+  managerId: ['manager', 'reportsto']
+};
+
+/**
+ * Reduce a column name to lowercase letters and digits ("Joining Date" -> "joiningdate").
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Every field a CSV column can be mapped to: the built-in fields, then each custom field's key.
+ */
+function importFields() {
+  return [...IMPORT_FIELDS, ...customFieldStore.getAll().map((field) => field.key)];
+}
+
+/**
+ * Fields every row must have, including required custom fields.
+ */
+function requiredFields() {
+  return [...REQUIRED_FIELDS, ...customFieldStore.getAll().filter((field) => field.required).map((field) => field.key)];
+}
+
+/**
+ * Other column names recognized for a field (a custom field's label).
+ */
+function fieldAliases(field) {
+  if (FIELD_ALIASES[field]) return FIELD_ALIASES[field];
+
+  const custom = customFieldStore.getByKey(field);
+  return custom ? [normalizeHeader(custom.label)] : [];
+}
+
+/**
+ * Parse CSV text into its header row and non-blank data rows.
+ * @returns {Object} { headers: string[], rows: [{ row, values }] } where row is the spreadsheet row number
+ * @throws {Error} If the CSV is malformed, empty or too long
+ */
+function readCsv(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('CSV file is empty');
+  }
+
+  const [headerRow, ...dataRows] = parseCsv(text);
+  const headers = headerRow.map((header) => header.trim());
+
+  // Row 1 is the header, so data starts on row 2
+  const rows = dataRows
+    .map((values, i) => ({ row: i + 2, values: values }))
+    .filter(({ values }) => values.some((value) => value.trim() !== ''));
+
+  if (rows.length === 0) {
+    throw new Error('CSV has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`CSV has more than ${MAX_IMPORT_ROWS} data rows; split it into smaller files`);
+  }
+  return { headers, rows };
+}
+
+/**
+ * Work out which column each field is read from.
+ * @param {string[]} headers - CSV column names
+ * @param {Object} mapping - { field: 'Column name' } overrides ('' for none)
+ * @returns {Object} { field: columnIndex or -1 when unmapped }
+ * @throws {Error} If the mapping names an unknown field or column, or a required field has no column
+ */
+function resolveMapping(headers, mapping = {}) {
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object of field: column name');
+  }
+
+  const fields = importFields();
+  const unknown = Object.keys(mapping).find((field) => !fields.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}" in mapping`);
+  }
+
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const field of fields) {
+    const column = mapping[field];
+
+    if (column === undefined) {
+      // No explicit choice: use the column named after the field or one of its aliases
+      const names = [normalizeHeader(field), ...fieldAliases(field)];
+      columns[field] = normalized.findIndex((header) => names.includes(header));
+    } else if (column === '' || column === null) {
+      columns[field] = -1;
+    } else {
+      columns[field] = headers.findIndex((header) => header.toLowerCase() === String(column).trim().toLowerCase());
+      if (columns[field] === -1) {
+        throw new Error(`Column "${column}" not found in CSV`);
+      }
+    }
+  }
+
+  const missing = requiredFields().filter((field) => columns[field] === -1);
+  if (missing.length > 0) {
+    throw new Error(`No column mapped to ${missing.join(', ')}`);
+  }
+  return columns;
+}
+
+/**
+ * Validate one row's employee data.
+ * @param {Object} employee - Field values read from the row
+ * @param {Map} seenEmails - Lowercase email -> row number, for emails earlier in the file
+ * @returns {string[]} Error messages (empty when the row is valid)
+ */
+function validateRow(employee, seenEmails) {
+  const { values, errors: fieldErrors } = validateEmployee(employee, { customFields: customFieldStore.getAll() });
+  const errors = Object.values(fieldErrors);
+
+  // Checks against other records, for fields that are well-formed
+  if (values.email) {
+    const firstRow = seenEmails.get(values.email.toLowerCase());
+    if (employeeStore.emailExists(values.email)) {
+      errors.push('Email already exists');
+    } else if (firstRow !== undefined) {
+      errors.push(`Duplicate email (also on row ${firstRow})`);
+    }
+  }
+
+  if (values.department && !departmentStore.getByName(values.department)) {
+    errors.push('Department not found');
+  }
+
+  if (values.managerId && !employeeStore.getActiveById(values.managerId)) {
+    errors.push('Manager not found');
+  }
+
+  return errors;
+}
+
+/**
+ * Dry run: map and validate every row without storing anything.
+ * @param {string} text - CSV text
+ * @param {Object} mapping - { field: 'Column name' } (see resolveMapping)
+ * @returns {Object} Report: { headers, mapping, total, valid, invalid, rows: [{ row, employee, errors }] }
+ *   where mapping gives the column name used for each field (null if unmapped)
+ * @throws {Error} If the CSV or mapping is unusable as a whole
+ */
+function checkImport(text, mapping = {}) {
+  const { headers, rows } = readCsv(text);
+  const columns = resolveMapping(headers, mapping);
+  const seenEmails = new Map();
+
+  const results = rows.map(({ row, values }) => {
+    const employee = {};
+    for (const field of Object.keys(columns)) {
+      const value = columns[field] === -1 ? '' : (values[columns[field]] || '').trim();
+      if (!value) continue;
+
+      if (IMPORT_FIELDS.includes(field)) {
+        employee[field] = value;
+      } else {
+        employee.customFields = { ...employee.customFields, [field]: value };
+      }
+    }
+
+    const errors = validateRow(employee, seenEmails);
+    if (employee.email && !seenEmails.has(employee.email.toLowerCase())) {
+      seenEmails.set(employee.email.toLowerCase(), row);
+    }
+    return { row, employee, errors };
+  });
+
+  const valid = results.filter((result) => result.errors.length === 0).length;
+  return {
+    headers: headers,
+    mapping: Object.fromEntries(Object.keys(columns).map((field) => [field, columns[field] === -1 ? null : headers[columns[field]]])),
+    total: results.length,
+    valid: valid,
+    invalid: results.length - valid,
+    rows: results
+  };
+}
+
+/**
+ * Add every valid row of a checkImport() report in one batch.
+ * Call it straight after checkImport() so the checks still hold.
+ * @param {Object} report - Report from checkImport()
+ * @param {Object} options - { durable } resolve only once the batch is on disk
+ * @returns {Object[]} Created employees
+ */
+async function commitImport(report, options = {}) {
+  const valid = report.rows.filter((result) => result.errors.length === 0);
+  if (valid.length === 0) return [];
+
+  return employeeStore.addMany(valid.map((result) => result.employee), options);
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  MAX_IMPORT_ROWS,
+  importFields,
+  requiredFields,
+  checkImport,
+  commitImport
+};
@@ -0,0 +1,206 @@
+/**
+ * employeeQuery.js - Query String Parsing for Employee Listings
+ *
+ * Turns request query parameters into options for employeeStore.find(),
+ * rejecting anything malformed with an Error whose message is safe to show.
+ *
+ * Parameters:
+ * - q                                 Free-text search
+ * - department, location, designation Exact value; repeat the parameter for several
+ *                                     (values may contain commas, e.g. "New York, NY")
+ * - joinedFrom, joinedTo              Inclusive joining date range (YYYY-MM-DD)
+ * - status                            active (default), archived or all
+ * - sort                              Comma-separated fields, '-' prefix for descending
+ *                                     (e.g. sort=department,-joiningDate)
+ * - limit, offset                     Page size (1-100) and number of results to skip
+ * - page                              Page number for paged HTML listings (parsePage)
+ * - asOf                              Point in time for an employee's history (parseAsOf):
+ *                                     YYYY-MM-DD (end of that day, UTC) or an ISO timestamp
+ * - format, columns                   Export file format and comma-separated fields
+ *                                     (parseExportQuery, e.g. format=xlsx&columns=name,email)
+ */
+
+const { FILTER_FIELDS, SORT_FIELDS, STATUSES } = require('./employeeStore');
+const { EXPORT_FORMATS, exportColumns } = require('./employeeExport');
+const { isValidDate } = require('./employeeSchema');
+
+// Largest page a client may request
+const MAX_LIMIT = 100;
+
+// Longest accepted search text
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Read a parameter as a single trimmed string ('' when missing).
+ */
+function readString(query, name) {
+  const value = query[name];
+  if (value === undefined) return '';
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid value for ${name}`);
+  }
+  return value.trim();
+}
+
+/**
+ * Read a parameter that may be repeated as a list of values.
+ */
+function readList(query, name) {
+  const value = query[name];
+  if (value === undefined) return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some((item) => typeof item !== 'string')) {
+    throw new Error(`Invalid value for ${name}`);
+  }
+  return values
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+}
+
+/**
+ * Read an optional YYYY-MM-DD date.
+ */
+function readDate(query, name) {
+  const value = readString(query, name);
+  if (!value) return null;
+
+  if (!isValidDate(value)) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional whole number between min and max.
+ */
+function readInteger(query, name, min, max) {
+  const value = readString(query, name);
+  if (!value) return null;
+
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Parse a sort parameter such as "department,-joiningDate".
+ */
+function readSort(query) {
+  const sort = [];
+
+  const items = readList(query, 'sort').flatMap((item) => item.split(',')).map((item) => item.trim());
+  for (const item of items.filter((item) => item !== '')) {
+    const direction = item.startsWith('-') ? 'desc' : 'asc';
+    const field = item.replace(/^[-+]/, '');
+
+    if (!SORT_FIELDS.includes(field)) {
+      throw new Error(`Cannot sort by "${field}" (allowed: ${SORT_FIELDS.join(', ')})`);
+    }
+    if (sort.some((key) => key.field === field)) {
+      throw new Error(`Sort field "${field}" is listed more than once`);
+    }
+    sort.push({ field, direction });
+  }
+
+  return sort;
+}
+
+/**
+ * Parse listing query parameters into employeeStore.find() options.
+ * @param {Object} query - req.query
+ * @returns {Object} { q, department, location, designation, joinedFrom, joinedTo, status, sort, limit, offset }
+ * @throws {Error} If a parameter is malformed
+ */
+function parseEmployeeQuery(query) {
+  const q = readString(query, 'q');
+  if (q.length > MAX_SEARCH_LENGTH) {
+    throw new Error(`q must be at most ${MAX_SEARCH_LENGTH} characters`);
+  }
+
+  const options = { q };
+  for (const field of FILTER_FIELDS) {
+    options[field] = readList(query, field);
+  }
+
+  options.joinedFrom = readDate(query, 'joinedFrom');
+  options.joinedTo = readDate(query, 'joinedTo');
+  if (options.joinedFrom && options.joinedTo && options.joinedFrom > options.joinedTo) {
+    throw new Error('joinedFrom must not be after joinedTo');
+  }
+
+  options.status = readString(query, 'status').toLowerCase() || 'active';
+  if (!STATUSES.includes(options.status)) {
+    throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  options.sort = readSort(query);
+  options.limit = readInteger(query, 'limit', 1, MAX_LIMIT);
+  options.offset = readInteger(query, 'offset', 0, Number.MAX_SAFE_INTEGER) || 0;
+
+  return options;
+}
+
+/**
+ * Parse export query parameters: the listing's search, filters and sort
+ * (without pagination; every match is exported) plus format and columns.
+ * @param {Object} query - req.query
+ * @returns {Object} parseEmployeeQuery() options without limit/offset, plus { format, columns }
+ * @throws {Error} If a parameter is malformed
+ */
+function parseExportQuery(query) {
+  const { limit, offset, ...options } = parseEmployeeQuery(query);
+
+  const format = readString(query, 'format').toLowerCase() || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const columns = [...new Set(readList(query, 'columns').flatMap((item) => item.split(',')).map((item) => item.trim()))]
+    .filter((column) => column !== '');
+  const allowed = exportColumns();
+  const unknown = columns.find((column) => !allowed.includes(column));
+  if (unknown) {
+    throw new Error(`Cannot export column "${unknown}" (allowed: ${allowed.join(', ')})`);
+  }
+
+  return { ...options, format, columns: columns.length > 0 ? columns : allowed };
+}
+
+/**
+ * Parse the page number of a paged listing (1 when missing).
+ * @throws {Error} If page is not a positive whole number
+ */
+function parsePage(query) {
+  return readInteger(query, 'page', 1, Number.MAX_SAFE_INTEGER) || 1;
+}
+
+/**
+ * Parse the asOf moment of a point-in-time view. A bare date means the end
+ * of that day (UTC), so changes made during the day are included.
+ * @returns {string|null} ISO timestamp, or null when missing
+ * @throws {Error} If asOf is neither a date nor a timestamp
+ */
+function parseAsOf(query) {
+  const value = readString(query, 'asOf');
+  if (!value) return null;
+
+  if (isValidDate(value)) {
+    return `${value}T23:59:59.999Z`;
+  }
+  const time = /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : null;
+  if (!time || isNaN(time.getTime())) {
+    throw new Error('asOf must be a date (YYYY-MM-DD) or an ISO timestamp');
+  }
+  return time.toISOString();
+}
+
+module.exports = {
+  MAX_LIMIT,
+  parseEmployeeQuery,
+  parseExportQuery,
+  parsePage,
+  parseAsOf
+};
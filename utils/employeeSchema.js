@@ -0,0 +1,249 @@
+/**
+ * employeeSchema.js - Shared Employee Validation Schema
+ *
+ * One declarative description of the employee fields and their rules, used by
+ * every way an employee can be added or changed: employeeStore enforces it on
+ * add, addMany and update, so the admin forms, the REST API and the CSV import
+ * all accept and reject the same data. The import's dry run and the form views
+ * read it too (for per-row errors and the inputs' maxlength / max attributes).
+ *
+ * Errors are reported per field ({ field: message }), so a form can highlight
+ * each input and the API can return a structured `errors` object. Checks that
+ * need other records (email uniqueness, department and manager exist, no
+ * reporting cycles) stay in employeeStore, which reports them the same way.
+ *
+ * Admin-defined custom fields (see customFieldStore.js) are checked the same
+ * way when their definitions are passed in; their values live in the
+ * employee's `customFields` object and their errors are keyed
+ * "customFields.<key>".
+ */
+
+// Email validation regex pattern
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Phone numbers: digits with optional leading +, spaces, dots, dashes and parentheses
+const PHONE_REGEX = /^\+?[0-9(][0-9 ().-]*[0-9]$/;
+
+// Fewest and most digits a phone number may have
+const PHONE_DIGITS = { min: 7, max: 15 };
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest accepted value of a text custom field
+const MAX_CUSTOM_TEXT_LENGTH = 200;
+
+// Accepted spellings of a boolean custom field (forms and CSV send text)
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+/**
+ * Employee fields, in form order. Each rule:
+ *   type:      'text', 'email', 'phone', 'date' or 'id' (a positive whole number);
+ *              custom fields also use 'number', 'enum' and 'boolean'
+ *   required:  Must be present and non-empty
+ *   maxLength: Longest accepted value (text, email and phone)
+ *   past:      A date that may not be after today (UTC)
+ *   options:   Accepted values of an enum
+ *   label:     Name used in messages (defaults to the field name)
+ */
+const EMPLOYEE_SCHEMA = {
+  name: { type: 'text', required: true, maxLength: 100 },
+  designation: { type: 'text', required: true, maxLength: 100 },
+  email: { type: 'email', required: true, maxLength: 254 },
+  contact: { type: 'phone', required: true, maxLength: 30 },
+  department: { type: 'text', required: true, maxLength: 100 },
+  joiningDate: { type: 'date', required: true, past: true },
+  location: { type: 'text', required: true, maxLength: 100 },
+  managerId: { type: 'id', required: false }
+};
+
+// Field names in form order
+const EMPLOYEE_FIELDS = Object.keys(EMPLOYEE_SCHEMA);
+
+/**
+ * Thrown when employee data breaks the schema (or a store rule tied to a field).
+ * `errors` maps each invalid field to its message; `message` is the first one.
+ */
+class ValidationError extends Error {
+  constructor(errors) {
+    super(Object.values(errors)[0]);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check that a string is a real YYYY-MM-DD date.
+ */
+function isValidDate(value) {
+  // Round-trip through Date to reject impossible dates such as 2024-02-31
+  const date = new Date(value);
+  return DATE_REGEX.test(value) && !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Build the rule for a custom field definition (see customFieldStore.js).
+ */
+function customFieldRule(definition) {
+  const rule = { type: definition.type, required: definition.required, label: definition.label };
+  if (definition.type === 'text') rule.maxLength = MAX_CUSTOM_TEXT_LENGTH;
+  if (definition.type === 'enum') rule.options = definition.options;
+  return rule;
+}
+
+/**
+ * Check one present value against its rule.
+ * @returns {Object} { value } normalized, or { error } message
+ */
+function checkField(field, rule, value, today) {
+  const name = rule.label || field;
+  if (typeof value === 'string' && value.trim() === '') {
+    return rule.required ? { error: `${name} is required` } : { value: null };
+  }
+
+  if (rule.type === 'id') {
+    const id = Number(value);
+    if ((typeof value !== 'number' && typeof value !== 'string') || !Number.isInteger(id) || id < 1) {
+      return { error: 'Invalid manager ID' };
+    }
+    return { value: id };
+  }
+  if (rule.type === 'number') {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { error: `${name} must be a number` };
+    }
+    return { value: number };
+  }
+  if (rule.type === 'boolean') {
+    const key = String(value).trim().toLowerCase();
+    if ((typeof value !== 'boolean' && typeof value !== 'string') || !Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key)) {
+      return { error: `${name} must be true or false` };
+    }
+    return { value: BOOLEAN_VALUES[key] };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: `${name} must be text` };
+  }
+  const text = value.trim();
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return { error: `${name} must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.type === 'enum') {
+    // Stored with the option's own spelling
+    const option = rule.options.find((candidate) => candidate.toLowerCase() === text.toLowerCase());
+    return option === undefined ? { error: `${name} must be one of ${rule.options.join(', ')}` } : { value: option };
+  }
+
+  if (rule.type === 'email' && !EMAIL_REGEX.test(text)) {
+    return { error: 'Invalid email format' };
+  }
+  if (rule.type === 'phone') {
+    const digits = text.replace(/\D/g, '').length;
+    if (!PHONE_REGEX.test(text) || digits < PHONE_DIGITS.min || digits > PHONE_DIGITS.max) {
+      return { error: `${name} must be a phone number of ${PHONE_DIGITS.min}-${PHONE_DIGITS.max} digits, e.g. +1-555-555-0100` };
+    }
+  }
+  if (rule.type === 'date') {
+    if (!isValidDate(text)) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+    if (rule.past && text > today) {
+      return { error: `${name} cannot be in the future` };
+    }
+  }
+  return { value: text };
+}
+
+/**
+ * Check every field of a schema, adding normalized values and errors under
+ * the given key prefix.
+ */
+function checkFields(schema, data, { partial, today, prefix = '' }, values, errors) {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      // Left unchanged by a partial update (null still clears an optional field)
+      if (partial && (value === undefined || rule.required)) continue;
+      if (rule.required) {
+        errors[prefix + field] = `${rule.label || field} is required`;
+      } else if (!prefix || value === null) {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    const result = checkField(field, rule, value, today);
+    if (result.error) {
+      errors[prefix + field] = result.error;
+    } else {
+      values[field] = result.value;
+    }
+  }
+}
+
+/**
+ * Validate employee data against the schema.
+ * @param {Object} data - Submitted fields (unknown fields are ignored, except in customFields)
+ * @param {Object} options
+ *   partial:      Only check the fields that are present, as for an update: undefined
+ *                 (or null for a required field) means "leave unchanged"
+ *   today:        Today's date, YYYY-MM-DD (defaults to the current UTC date)
+ *   customFields: Custom field definitions to check data.customFields against
+ * @returns {Object} { values, errors } - values holds the normalized fields
+ *   (trimmed text, managerId as a number or null, and customFields when any
+ *   were submitted); errors is { field: message } and empty when the data is valid
+ */
+function validateEmployee(data, { partial = false, today = new Date().toISOString().slice(0, 10), customFields = [] } = {}) {
+  const values = {};
+  const errors = {};
+
+  checkFields(EMPLOYEE_SCHEMA, data, { partial, today }, values, errors);
+
+  const submitted = data.customFields ?? {};
+  if (typeof submitted !== 'object' || Array.isArray(submitted)) {
+    errors.customFields = 'customFields must be an object of key: value';
+    return { values, errors };
+  }
+
+  for (const key of Object.keys(submitted)) {
+    if (!customFields.some((definition) => definition.key === key)) {
+      errors[`customFields.${key}`] = `Unknown custom field ${key}`;
+    }
+  }
+
+  const schema = Object.fromEntries(customFields.map((definition) => [definition.key, customFieldRule(definition)]));
+  const custom = {};
+  checkFields(schema, submitted, { partial, today, prefix: 'customFields.' }, custom, errors);
+  if (Object.keys(custom).length > 0) {
+    values.customFields = custom;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate employee data, throwing if anything is wrong.
+ * @param {Object} data - Submitted fields
+ * @param {Object} options - { partial, today } (see validateEmployee)
+ * @returns {Object} Normalized values
+ * @throws {ValidationError} With every invalid field
+ */
+function assertValidEmployee(data, options = {}) {
+  const { values, errors } = validateEmployee(data, options);
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+  return values;
+}
+
+module.exports = {
+  EMPLOYEE_SCHEMA,
+  EMPLOYEE_FIELDS,
+  MAX_CUSTOM_TEXT_LENGTH,
+  ValidationError,
+  isValidDate,
+  validateEmployee,
+  assertValidEmployee
+};
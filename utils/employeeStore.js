@@ -1,142 +1,634 @@
 /**
  * employeeStore.js - Employee Data Persistence Layer
  *
- * Manages employee data storage using JSON file persistence with in-memory caching.
+ * Manages employee records and their rules; the records themselves live in a
+ * pluggable storage backend (see utils/storage), chosen with EMPLOYEE_STORAGE:
+ * - json (default): data/employees.json held in memory, with debounced, atomic writes
+ * - sqlite: an embedded SQLite database at SQLITE_PATH (default data/employees.db)
  * Features:
- * - In-memory array with Map indexes for O(1) lookups by ID and email
- * - Debounced file writes to prevent excessive disk I/O
+ * - Indexed lookups by ID, email, department, location, designation and joining date
+ * - find(): free-text search, filters, multi-field sort and pagination with totals
+ * - findInBatches(): the same matches in fixed-size batches, for streaming exports
+ * - facetCounts(): per-value counts of a filter field, for faceted navigation
+ * - addMany(): validated batch inserts with a single write (used by CSV import)
+ * - applyBatch(): a list of create, update and delete operations applied
+ *   all-or-nothing: each is checked against the ones before it on a staging
+ *   copy (see storage/stagingAdapter.js), then all are stored with one write
+ * - Reporting lines: managerId must name an active employee and may not form
+ *   a cycle; archiving a manager moves their reports up to the next manager
+ * - Soft delete: archive() marks an employee as left (archivedAt, terminationDate,
+ *   terminationReason); archived employees keep their email but drop out of
+ *   listings unless asked for (status option), can be restored, and can only be
+ *   purged for good RETENTION_DAYS after archiving
+ * - Departments must exist in departmentStore (once it is loaded, see useDepartments)
+ * - Custom fields: values of admin-defined fields are kept in a `customFields`
+ *   object and checked against customFieldStore's definitions (see useCustomFields);
+ *   updates merge them key by key (null removes a value)
+ * - Updates either merge into the record (update, as for PATCH) or replace its
+ *   fields (replace, as for PUT: optional fields left out are cleared)
+ * - Optimistic concurrency: every record carries a version number, raised by
+ *   each change that alters it (the same numbers as its history versions);
+ *   pass { expectedVersion } to update, replace or archive to refuse the write
+ *   with a VersionConflictError if someone else changed the record meanwhile
+ * - Validation: add, addMany, update and replace enforce the shared employee schema
+ *   (utils/employeeSchema.js) and throw a ValidationError whose `errors` maps
+ *   each invalid field to a message; duplicate emails and unknown departments
+ *   or managers are reported the same way
+ * - Pass { durable: true } to mutating methods to resolve only once the change is on disk
+ * - Every add, update, archive, restore and purge is written to the audit trail with field-level
+ *   before/after values; pass { actor } (and optionally { reason }) to say who and why
+ * - Versioned history: each change also stores a snapshot of the record in
+ *   employeeHistoryStore, so getHistory() can list how one employee evolved and
+ *   getAsOf() can show the record as it was at any moment
  * - Email uniqueness enforcement (case-insensitive)
  * - Auto-incrementing IDs
  *
- * Data File: data/employees.json
+ * Data File: data/employees.json or data/employees.db
+ * Move existing JSON data into SQLite with `npm run migrate:sqlite`.
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const { createAdapter } = require('./storage');
+const StagingAdapter = require('./storage/stagingAdapter');
+const auditStore = require('./auditStore');
+const { diffFields } = require('./auditStore');
+const historyStore = require('./employeeHistoryStore');
+const { ValidationError, assertValidEmployee, isValidDate } = require('./employeeSchema');
 
-// Path to JSON data file
+// Paths for the storage backends
 const DATA_PATH = path.join(__dirname, '..', 'data', 'employees.json');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'employees.db');
 
-class EmployeeStore {
+// Storage backend ('json' or 'sqlite')
+const BACKEND = process.env.EMPLOYEE_STORAGE || 'json';
+
+// Storage options shared by both backends
+const STORAGE_OPTIONS = {
+  jsonPath: DATA_PATH,
+  sqlitePath: SQLITE_PATH,
+  table: 'employees',
+  indexes: ['department', 'location', 'designation', 'joiningDate', 'managerId'],
+  unique: ['email']
+};
+
+// Fields matched by free-text search
+const SEARCH_FIELDS = ['name', 'designation', 'email', 'department', 'location'];
+
+// Fields that can be filtered on by exact value
+const FILTER_FIELDS = ['department', 'location', 'designation'];
+
+// Fields compared for audit trail diffs
+const AUDITED_FIELDS = [
+  'name', 'designation', 'email', 'contact', 'department', 'joiningDate', 'location', 'managerId',
+  'terminationDate', 'terminationReason'
+];
+
+// Which employees a listing includes: active (default), archived or all
+const STATUSES = ['active', 'archived', 'all'];
+
+// Days an archived employee is kept before an admin may purge the record
+const RETENTION_DAYS = Number(process.env.EMPLOYEE_RETENTION_DAYS || 365);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest accepted termination reason
+const MAX_REASON_LENGTH = 500;
+
+// Operations a batch may contain ('delete' archives, as the API's DELETE does)
+const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+
+// Most operations accepted in one batch
+const MAX_BATCH_OPERATIONS = 1000;
+
+// Fields that results can be sorted by
+const SORT_FIELDS = ['id', 'name', 'designation', 'email', 'department', 'joiningDate', 'location'];
+
+/**
+ * Thrown when a write was based on an older version of an employee than the
+ * stored one. `current` holds the record as it is now.
+ */
+class VersionConflictError extends Error {
+  constructor(current) {
+    super('Employee has been changed by someone else');
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * Thrown when an action doesn't fit the employee's archived state: editing or
+ * archiving an archived employee, restoring an active one, or purging one that
+ * is active or still within the retention period.
+ */
+class EmployeeStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmployeeStateError';
+  }
+}
+
+/**
+ * Thrown by a batch operation that names an employee who doesn't exist.
+ */
+class EmployeeNotFoundError extends Error {
   constructor() {
-    this.employees = [];              // In-memory array of employee objects
-    this.indexById = new Map();       // Map<id, arrayIndex> for O(1) ID lookups
-    this.indexByEmail = new Map();    // Map<email, arrayIndex> for O(1) email lookups
-    this.maxId = 0;                   // Track highest ID for auto-increment
+    super('Employee not found');
+    this.name = 'EmployeeNotFoundError';
+  }
+}
+
+class EmployeeStore {
+  /**
+   * @param {Object} adapter - Storage adapter (defaults to the configured backend)
+   */
+  constructor(adapter = createAdapter(BACKEND, STORAGE_OPTIONS)) {
+    this.adapter = adapter;           // Storage backend holding the records
+    this.backend = BACKEND;           // Name of the configured backend, for logging
+    this.departments = null;          // departmentStore, registered by useDepartments()
+    this.customFields = null;         // customFieldStore, registered by useCustomFields()
     this.initialized = false;         // Prevent double initialization
-    this.saveTimeout = null;          // Debounce timer reference
-    this.DEBOUNCE_MS = 100;           // Debounce delay in milliseconds
   }
 
   /**
-   * Initialize the store by loading data from JSON file.
-   * Creates empty file if it doesn't exist.
+   * Register the department store that employee departments are validated against.
+   * departmentStore calls this when it loads; it depends on this store for its
+   * cascades, so this store can't require it directly.
+   */
+  useDepartments(departments) {
+    this.departments = departments;
+  }
+
+  /**
+   * Register the store holding the custom field definitions that employee
+   * customFields are validated against (registered the same way as departments).
+   */
+  useCustomFields(customFields) {
+    this.customFields = customFields;
+  }
+
+  /**
+   * Validation options for the current custom field definitions.
+   */
+  _schemaOptions(options = {}) {
+    return { ...options, customFields: this.customFields ? this.customFields.getAll() : [] };
+  }
+
+  /**
+   * Initialize the store by opening the storage backend.
+   * The JSON backend creates an empty file if it doesn't exist.
    */
   async init() {
     if (this.initialized) return;
 
-    try {
-      const data = await fs.readFile(DATA_PATH, 'utf8');
-      this.employees = JSON.parse(data);
-      this._buildIndexes();
-      this.initialized = true;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, start with empty array
-        this.employees = [];
-        this.initialized = true;
-        await this._persist();
-      } else {
-        throw error;
-      }
-    }
+    await this.adapter.init();
+    this.initialized = true;
   }
 
   /**
-   * Rebuild all indexes from the employees array.
-   * Called after initialization and after deletions.
+   * Write out any pending save (used on shutdown).
    */
-  _buildIndexes() {
-    this.indexById.clear();
-    this.indexByEmail.clear();
-    this.maxId = 0;
+  async flush() {
+    await this.adapter.flush();
+  }
 
-    for (let i = 0; i < this.employees.length; i++) {
-      const emp = this.employees[i];
-      this.indexById.set(emp.id, i);
-      this.indexByEmail.set(emp.email.toLowerCase(), i);
-      if (emp.id > this.maxId) {
-        this.maxId = emp.id;
-      }
+  /**
+   * Write audit entries and history versions for employee changes (versions
+   * that differ in no audited field or custom field are skipped). A purge removes the
+   * employee's history instead of adding to it.
+   * @param {string} action - e.g. 'employee.create', 'employee.update', 'employee.archive' or 'employee.purge'
+   * @param {Array} versions - [before, after] pairs (before is null when created, after null when purged)
+   * @param {Object} options - { actor, reason } who made the change and, for knock-on changes, why
+   */
+  async _recordChanges(action, versions, { actor = null, reason = null } = {}) {
+    const changed = versions
+      .map(([before, after]) => ({ before, after, changes: employeeChanges(before, after) }))
+      .filter(({ changes }) => changes);
+
+    await auditStore.recordMany(changed.map(({ before, after, changes }) => {
+      const employee = after || before;
+      return {
+        actor: actor,
+        action: action,
+        target: { type: 'employee', id: employee.id, label: employee.name },
+        changes: changes,
+        details: reason ? { reason: reason } : null
+      };
+    }));
+
+    await historyStore.recordMany(changed
+      .filter(({ after }) => after)
+      .map(({ before, after }) => ({
+        before: before,
+        after: after,
+        action: action.replace(/^employee\./, ''),
+        actor: actor,
+        reason: reason
+      })));
+    for (const { before } of changed.filter(({ after }) => !after)) {
+      await historyStore.remove(before.id);
     }
   }
 
   /**
-   * Schedule a debounced save operation.
-   * Prevents excessive disk writes during rapid updates.
+   * Get all active employees, in ID order.
    */
-  _debouncedSave() {
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
+  getAll() {
+    return this.adapter.query({ where: { archivedAt: null }, orderBy: [{ field: 'id', direction: 'asc' }] });
+  }
+
+  /**
+   * Get most recently hired active employees sorted by joining date.
+   * @param {number} limit - Maximum number of employees to return
+   */
+  getRecentEmployees(limit = 4) {
+    return this.adapter.query({
+      where: { archivedAt: null },
+      orderBy: [{ field: 'joiningDate', direction: 'desc' }],
+      limit: limit
+    });
+  }
+
+  /**
+   * Find employees with free-text search, filters, sorting and pagination.
+   * @param {Object} options
+   *   q:                 Text matched (case-insensitive) against SEARCH_FIELDS
+   *   department, location, designation: Value or array of values (matches any)
+   *   joinedFrom, joinedTo: Inclusive joining date range (YYYY-MM-DD)
+   *   status:            'active' (default), 'archived' or 'all'
+   *   sort:              [{ field, direction }] from SORT_FIELDS; ties are broken by ID
+   *   limit, offset:     Page of results (every match when limit is null)
+   * @returns {{ data: Object[], total: number }} The page and the number of matches
+   */
+  find({ sort = [], limit = null, offset = 0, ...options } = {}) {
+    const { where, search } = this._criteria(options);
+    const orderBy = this._orderBy(sort);
+
+    return {
+      data: this.adapter.query({ where, search, orderBy, limit, offset }),
+      total: this.adapter.count({ where, search })
+    };
+  }
+
+  /**
+   * Iterate over every employee matching find() options, a batch at a time,
+   * so a large export never holds all matches at once.
+   * @param {Object} options - Search, filter and sort options as for find() (limit and offset are ignored)
+   * @param {number} batchSize - Employees per batch
+   * @yields {Object[]} The next batch of employees
+   */
+  *findInBatches({ sort = [], limit, offset, ...options } = {}, batchSize = 500) {
+    const { where, search } = this._criteria(options);
+    const orderBy = this._orderBy(sort);
+
+    for (let start = 0; ; start += batchSize) {
+      const batch = this.adapter.query({ where, search, orderBy, limit: batchSize, offset: start });
+      if (batch.length > 0) yield batch;
+      if (batch.length < batchSize) return;
     }
-    this.saveTimeout = setTimeout(() => this._persist(), this.DEBOUNCE_MS);
   }
 
   /**
-   * Write current employees array to JSON file.
+   * Build the adapter orderBy for a find() sort.
    */
-  async _persist() {
-    await fs.writeFile(DATA_PATH, JSON.stringify(this.employees, null, 2), 'utf8');
+  _orderBy(sort) {
+    // Sorting by ID last keeps pages stable when sort values tie
+    const orderBy = [...sort];
+    if (!orderBy.some(({ field }) => field === 'id')) {
+      orderBy.push({ field: 'id', direction: 'asc' });
+    }
+    return orderBy;
   }
 
   /**
-   * Get all employees.
-   * Returns a shallow copy to prevent external mutation.
+   * Count employees per value of a filter field, e.g. for department facets.
+   * The field's own filter is ignored so every value stays selectable, while
+   * the search and the other filters still apply.
+   * @param {string} field - One of FILTER_FIELDS
+   * @param {Object} options - Same search and filter options as find()
+   * @returns {Array<{ value: string, count: number }>} Most common first
    */
-  getAll() {
-    return [...this.employees];
+  facetCounts(field, options = {}) {
+    if (!FILTER_FIELDS.includes(field)) {
+      throw new Error(`Cannot count by "${field}"`);
+    }
+    const { where, search } = this._criteria({ ...options, [field]: null });
+    return this.adapter.countBy(field, { where, search });
   }
 
   /**
-   * Get most recently hired employees sorted by joining date.
-   * @param {number} limit - Maximum number of employees to return
+   * Build the adapter where object and text search for find() options.
    */
-  getRecentEmployees(limit = 4) {
-    return [...this.employees]
-      .sort((a, b) => new Date(b.joiningDate) - new Date(a.joiningDate))
-      .slice(0, limit);
+  _criteria({ q = '', joinedFrom = null, joinedTo = null, status = 'active', ...filters }) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown employee status "${status}"`);
+    }
+
+    const where = {};
+    if (status === 'active') {
+      where.archivedAt = null;
+    } else if (status === 'archived') {
+      where.archivedAt = {};  // Any archive time
+    }
+    for (const field of FILTER_FIELDS) {
+      const value = filters[field];
+      if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+        where[field] = value;
+      }
+    }
+    if (joinedFrom || joinedTo) {
+      where.joiningDate = { gte: joinedFrom, lte: joinedTo };
+    }
+
+    const search = q ? { text: q, fields: SEARCH_FIELDS } : null;
+    return { where, search };
   }
 
   /**
-   * Get employee by ID using index for O(1) lookup.
+   * Get employee by ID.
    * Returns a copy to prevent external mutation.
    */
   getById(id) {
-    const numId = Number(id);
-    const index = this.indexById.get(numId);
-    if (index === undefined) return null;
-    return { ...this.employees[index] };
+    return this.adapter.get(id);
   }
 
   /**
-   * Get employee by email using index for O(1) lookup.
+   * Get an employee by ID only if they are active (not archived), e.g. to
+   * validate a manager or department head.
+   */
+  getActiveById(id) {
+    const employee = this.adapter.get(id);
+    return employee && !employee.archivedAt ? employee : null;
+  }
+
+  /**
+   * Get employee by email using the email index.
    * Email comparison is case-insensitive.
    */
   getByEmail(email) {
-    const index = this.indexByEmail.get(email.toLowerCase());
-    if (index === undefined) return null;
-    return { ...this.employees[index] };
+    const [employee] = this.adapter.query({ where: { email: email }, limit: 1 });
+    return employee || null;
+  }
+
+  /**
+   * Get the active employees reporting directly to a manager, sorted by name.
+   * @param {number} id - Manager's employee ID
+   */
+  getDirectReports(id) {
+    return this.adapter.query({
+      where: { managerId: Number(id), archivedAt: null },
+      orderBy: [{ field: 'name', direction: 'asc' }, { field: 'id', direction: 'asc' }]
+    });
+  }
+
+  /**
+   * Get an employee's reporting chain: their manager, that manager's manager
+   * and so on up to the top.
+   * @param {number} id - Employee ID
+   * @returns {Array|null} Managers from nearest to most senior, or null if the employee doesn't exist
+   */
+  getReportingChain(id) {
+    const employee = this.adapter.get(id);
+    if (!employee) return null;
+
+    const chain = [];
+    const seen = new Set([employee.id]);
+    let managerId = employee.managerId ?? null;
+
+    // The seen set stops the walk if stored data somehow contains a cycle
+    while (managerId !== null && !seen.has(managerId)) {
+      const manager = this.adapter.get(managerId);
+      if (!manager) break;
+      chain.push(manager);
+      seen.add(manager.id);
+      managerId = manager.managerId ?? null;
+    }
+    return chain;
+  }
+
+  /**
+   * Build the org chart of active employees as a tree, each with a `reports` array.
+   * @param {number|null} rootId - Start from this employee instead of the top of the organization
+   * @returns {Array} Top-level employees (or just the root), sorted by name
+   */
+  getOrgChart(rootId = null) {
+    const employees = this.adapter.query({
+      where: { archivedAt: null },
+      orderBy: [{ field: 'name', direction: 'asc' }, { field: 'id', direction: 'asc' }]
+    });
+    const nodes = new Map(employees.map((employee) => [employee.id, { ...employee, reports: [] }]));
+
+    const tops = [];
+    for (const node of nodes.values()) {
+      const manager = node.managerId == null ? null : nodes.get(node.managerId);
+      if (manager) {
+        manager.reports.push(node);
+      } else {
+        tops.push(node);
+      }
+    }
+
+    if (rootId !== null) {
+      const root = nodes.get(Number(rootId));
+      return root ? [root] : [];
+    }
+    return tops;
+  }
+
+  /**
+   * Get how an employee's record evolved: every version, newest first, each
+   * with the fields it changed from the version before (null for the first).
+   * An employee unchanged since before history was kept has one baseline
+   * version holding the current record.
+   * @param {number} id - Employee ID
+   * @returns {Array|null} Versions ({ version, timestamp, action, actor, reason, snapshot, changes }),
+   *   or null if the employee doesn't exist
+   */
+  getHistory(id) {
+    const employee = this.adapter.get(id);
+    if (!employee) return null;
+
+    const versions = historyStore.getVersions(employee.id);
+    if (versions.length === 0) {
+      versions.push(baselineVersion(employee));
+    }
+    return versions
+      .map((version, index) => ({
+        ...version,
+        changes: index === 0 ? null : employeeChanges(versions[index - 1].snapshot, version.snapshot)
+      }))
+      .reverse();
+  }
+
+  /**
+   * Reconstruct an employee's record as it was at a moment.
+   * @param {number} id - Employee ID
+   * @param {string} time - ISO timestamp
+   * @returns {Object|null} The version current at that time ({ version, timestamp, ..., snapshot }),
+   *   or null if the employee doesn't exist or hadn't been added yet
+   */
+  getAsOf(id, time) {
+    const employee = this.adapter.get(id);
+    if (!employee) return null;
+
+    if (!historyStore.has(employee.id)) {
+      return baselineVersion(employee);
+    }
+    return historyStore.getAsOf(employee.id, time);
+  }
+
+  /**
+   * Get an employee's current version number (sent as the API's ETag).
+   * Records stored before versions were kept count from their history.
+   * @param {Object} employee - Employee record
+   */
+  versionOf(employee) {
+    return employee.version ?? (historyStore.latestVersion(employee.id) || 1);
+  }
+
+  /**
+   * Get the fields changed on an employee since an earlier version, e.g. the
+   * one an edit form was loaded with.
+   * @param {number} id - Employee ID
+   * @param {number} version - Earlier version number
+   * @returns {Object|null} { field: { from, to } } as in the history, or null if
+   *   nothing changed or that version isn't in the history
+   */
+  changesSince(id, version) {
+    const employee = this.adapter.get(id);
+    if (!employee) return null;
+
+    const earlier = historyStore.getVersions(employee.id).find((entry) => entry.version === Number(version));
+    return earlier ? employeeChanges(earlier.snapshot, employee) : null;
+  }
+
+  /**
+   * Refuse a write based on an older version of the employee.
+   * @param {Object} employee - Stored record
+   * @param {number|null} expectedVersion - Version the write was based on (null to skip the check)
+   * @throws {VersionConflictError} If the record is at another version
+   */
+  _checkVersion(employee, expectedVersion) {
+    if (expectedVersion !== null && expectedVersion !== undefined && expectedVersion !== this.versionOf(employee)) {
+      throw new VersionConflictError(employee);
+    }
+  }
+
+  /**
+   * Store a changed employee record, raising its version when the change
+   * alters a tracked field.
+   * @param {Object} before - Record before the change
+   * @param {Object} after - Record after the change
+   * @param {Object} options - { durable } (see add())
+   * @returns {Object} Stored record
+   */
+  async _write(before, after, options = {}) {
+    const version = this.versionOf(before);
+    return this.adapter.update(before.id, {
+      ...after,
+      version: employeeChanges(before, after) ? version + 1 : version
+    }, options);
+  }
+
+  /**
+   * Validate a manager assignment and return the manager ID to store.
+   * @param {number|null|undefined} managerId - Validated managerId (null for none, undefined to leave unchanged)
+   * @param {number|null} employeeId - Employee being updated (null when adding)
+   * @returns {number|null|undefined} Manager ID, null for none, undefined if not submitted
+   * @throws {ValidationError} If the manager is missing, the employee themselves or would create a cycle
+   */
+  _resolveManagerId(managerId, employeeId = null) {
+    if (managerId === undefined || managerId === null) return managerId;
+
+    if (managerId === employeeId) {
+      throw new ValidationError({ managerId: 'An employee cannot be their own manager' });
+    }
+    if (!this.getActiveById(managerId)) {
+      throw new ValidationError({ managerId: 'Manager not found' });
+    }
+
+    // Walk up from the new manager; meeting the employee means a cycle
+    if (employeeId !== null) {
+      const chain = this.getReportingChain(managerId);
+      if (chain.some((manager) => manager.id === employeeId)) {
+        throw new ValidationError({ managerId: 'Manager assignment would create a reporting cycle' });
+      }
+    }
+
+    return managerId;
+  }
+
+  /**
+   * Validate a department name and return it as the department spells it.
+   * Any name is accepted when no department store is registered.
+   * @throws {ValidationError} If the department doesn't exist
+   */
+  _resolveDepartment(name) {
+    if (!this.departments) return name;
+
+    const department = this.departments.getByName(name);
+    if (!department) {
+      throw new ValidationError({ department: 'Department not found' });
+    }
+    return department.name;
+  }
+
+  /**
+   * Move every employee in one department, archived ones included, to another
+   * (used when a department is renamed or merged).
+   * @param {string} from - Current department name (case-insensitive)
+   * @param {string} to - New department name
+   * @param {Object} options - { durable, actor, reason } (see add())
+   * @returns {number} Number of employees moved
+   */
+  async reassignDepartment(from, to, options = {}) {
+    const employees = this.adapter.query({ where: { department: from } });
+    const versions = [];
+    for (const employee of employees) {
+      versions.push([employee, await this._write(employee, { ...employee, department: to })]);
+    }
+
+    // One write for the whole batch instead of waiting on each update
+    if (options.durable) {
+      await this.adapter.flush();
+    }
+    await this._recordChanges('employee.update', versions, options);
+    return employees.length;
+  }
+
+  /**
+   * Remove a custom field's value from every employee (archived ones included),
+   * when its definition is deleted.
+   * @param {string} key - Custom field key
+   * @param {Object} options - { durable, actor, reason } (see add())
+   * @returns {number} Number of employees that had a value
+   */
+  async removeCustomField(key, options = {}) {
+    const employees = this.adapter.query({})
+      .filter((employee) => employee.customFields && employee.customFields[key] !== undefined);
+    const versions = [];
+    for (const employee of employees) {
+      const { [key]: removed, ...customFields } = employee.customFields;
+      versions.push([employee, await this._write(employee, { ...employee, customFields })]);
+    }
+
+    // One write for the whole batch instead of waiting on each update
+    if (options.durable) {
+      await this.adapter.flush();
+    }
+    await this._recordChanges('employee.update', versions, options);
+    return employees.length;
   }
 
   /**
    * Check if email already exists in the store.
+   * Archived employees keep their email, so it can't be reused until they are purged.
    * @param {string} email - Email to check
    * @param {number|null} excludeId - Exclude this employee ID from check (for updates)
    */
   emailExists(email, excludeId = null) {
-    const index = this.indexByEmail.get(email.toLowerCase());
-    if (index === undefined) return false;
-    if (excludeId !== null && this.employees[index].id === Number(excludeId)) {
+    const employee = this.getByEmail(email);
+    if (!employee) return false;
+    if (excludeId !== null && employee.id === Number(excludeId)) {
       return false;  // Same employee, not a conflict
     }
     return true;
@@ -144,120 +636,481 @@ class EmployeeStore {
 
   /**
    * Add a new employee to the store.
-   * Throws error if email already exists.
-   * @param {Object} employeeData - Employee data object
+   * @param {Object} employeeData - Employee data object (see employeeSchema)
+   * @param {Object} options - { durable, actor, reason }
+   *   durable: resolve only once the change is on disk
+   *   actor:   who made the change, for the audit trail ({ id, username, apiKey? })
+   *   reason:  why, for changes made as a consequence of another one
    * @returns {Object} Created employee with assigned ID
+   * @throws {ValidationError} If a field is invalid or the email already exists
    */
-  async add(employeeData) {
-    const email = employeeData.email.toLowerCase();
+  async add(employeeData, options = {}) {
+    // Backend assigns the next ID
+    const employee = await this.adapter.add(this._newRecord(employeeData), options);
+    await this._recordChanges('employee.create', [[null, employee]], options);
+    return employee;
+  }
+
+  /**
+   * Add several employees in one batch with a single write.
+   * Every employee is checked before anything is stored, so either all of
+   * them are added or none is.
+   * @param {Object[]} employeeDataList - Employee data objects
+   * @param {Object} options - { durable, actor, reason } (see add())
+   * @returns {Object[]} Created employees with assigned IDs
+   * @throws {ValidationError} If an employee is invalid or an email already exists (in the store or earlier in the batch)
+   */
+  async addMany(employeeDataList, options = {}) {
+    const emails = new Set();
+    const records = employeeDataList.map((employeeData) => {
+      const record = this._newRecord(employeeData);
+      const email = record.email.toLowerCase();
+      if (emails.has(email)) {
+        throw new ValidationError({ email: 'Email already exists' });
+      }
+      emails.add(email);
+      return record;
+    });
+
+    const employees = await this.adapter.addMany(records, options);
+    await this._recordChanges('employee.create', employees.map((employee) => [null, employee]), options);
+    return employees;
+  }
+
+  /**
+   * Validate new employee data and build the record to store (without ID).
+   * @throws {ValidationError} If a field is invalid, the email already exists,
+   *   the manager is invalid or the department is unknown
+   */
+  _newRecord(employeeData) {
+    const values = assertValidEmployee(employeeData, this._schemaOptions());
 
     // Enforce email uniqueness
-    if (this.indexByEmail.has(email)) {
-      throw new Error('Email already exists');
-    }
-
-    // Auto-increment ID
-    this.maxId++;
-    const newEmployee = {
-      id: this.maxId,
-      name: employeeData.name,
-      designation: employeeData.designation,
-      email: employeeData.email,
-      contact: employeeData.contact,
-      department: employeeData.department,
-      joiningDate: employeeData.joiningDate,
-      location: employeeData.location
-    };
+    if (this.emailExists(values.email)) {
+      throw new ValidationError({ email: 'Email already exists' });
+    }
 
-    // Add to array and update indexes
-    const newIndex = this.employees.length;
-    this.employees.push(newEmployee);
-    this.indexById.set(newEmployee.id, newIndex);
-    this.indexByEmail.set(email, newIndex);
+    const managerId = this._resolveManagerId(values.managerId);
+    const department = this._resolveDepartment(values.department);
 
-    this._debouncedSave();
-    return { ...newEmployee };
+    return {
+      name: values.name,
+      designation: values.designation,
+      email: values.email,
+      contact: values.contact,
+      department: department,
+      joiningDate: values.joiningDate,
+      location: values.location,
+      managerId: managerId,
+      customFields: withoutEmpty(values.customFields || {}),
+      version: 1
+    };
   }
 
   /**
-   * Update an existing employee.
-   * Supports partial updates - only provided fields are changed.
-   * Throws error if new email conflicts with another employee.
+   * Update an existing employee (merge, as for PATCH).
+   * Only provided fields are changed, and customFields only changes the keys it names.
    * @param {number} id - Employee ID to update
    * @param {Object} updateData - Fields to update
+   * @param {Object} options - { durable, actor, reason, expectedVersion } (see add())
+   *   expectedVersion: version the change is based on; if the record has changed
+   *                    since, nothing is written (null to skip the check)
+   * @returns {Object|null} Updated employee or null if not found
+   * @throws {ValidationError} If a field is invalid or the new email belongs to another employee
+   * @throws {VersionConflictError} If the record is no longer at expectedVersion
+   * @throws {EmployeeStateError} If the employee is archived (restore them first)
+   */
+  async update(id, updateData, options = {}) {
+    return this._edit(id, updateData, true, options);
+  }
+
+  /**
+   * Replace an existing employee's fields (as for PUT).
+   * Every required field must be given; managerId and custom fields left out are cleared.
+   * @param {number} id - Employee ID to replace
+   * @param {Object} employeeData - Employee data object (see employeeSchema)
+   * @param {Object} options - { durable, actor, reason, expectedVersion } (see update())
    * @returns {Object|null} Updated employee or null if not found
+   * @throws {ValidationError} If a field is invalid or the email belongs to another employee
+   * @throws {VersionConflictError} If the record is no longer at expectedVersion
+   * @throws {EmployeeStateError} If the employee is archived (restore them first)
    */
-  async update(id, updateData) {
-    const numId = Number(id);
-    const index = this.indexById.get(numId);
+  async replace(id, employeeData, options = {}) {
+    return this._edit(id, employeeData, false, options);
+  }
 
-    if (index === undefined) {
+  /**
+   * Apply an update (partial) or replacement to an employee.
+   */
+  async _edit(id, data, partial, { expectedVersion = null, ...options } = {}) {
+    const employee = this.adapter.get(id);
+
+    if (!employee) {
       return null;
     }
+    if (employee.archivedAt) {
+      throw new EmployeeStateError('Employee is archived');
+    }
+    this._checkVersion(employee, expectedVersion);
 
-    const employee = this.employees[index];
+    const values = assertValidEmployee(data, this._schemaOptions({ partial }));
 
-    // Handle email change - check for conflicts and update index
-    if (updateData.email && updateData.email.toLowerCase() !== employee.email.toLowerCase()) {
-      if (this.indexByEmail.has(updateData.email.toLowerCase())) {
-        throw new Error('Email already exists');
-      }
-      // Update email index
-      this.indexByEmail.delete(employee.email.toLowerCase());
-      this.indexByEmail.set(updateData.email.toLowerCase(), index);
+    // Handle email change - check for conflicts with other employees
+    if (values.email && this.emailExists(values.email, employee.id)) {
+      throw new ValidationError({ email: 'Email already exists' });
     }
 
-    // Merge update data with existing employee (nullish coalescing for partial updates)
+    const managerId = this._resolveManagerId(values.managerId, employee.id);
+    const department = values.department ? this._resolveDepartment(values.department) : employee.department;
+
+    // Merge update data with existing employee (nullish coalescing for partial updates;
+    // a replacement has every required field and managerId is null when left out)
     const updatedEmployee = {
       ...employee,
-      name: updateData.name ?? employee.name,
-      designation: updateData.designation ?? employee.designation,
-      email: updateData.email ?? employee.email,
-      contact: updateData.contact ?? employee.contact,
-      department: updateData.department ?? employee.department,
-      joiningDate: updateData.joiningDate ?? employee.joiningDate,
-      location: updateData.location ?? employee.location
+      name: values.name ?? employee.name,
+      designation: values.designation ?? employee.designation,
+      email: values.email ?? employee.email,
+      contact: values.contact ?? employee.contact,
+      department: department,
+      joiningDate: values.joiningDate ?? employee.joiningDate,
+      location: values.location ?? employee.location,
+      managerId: managerId === undefined ? (employee.managerId ?? null) : managerId
     };
+    if (!partial) {
+      updatedEmployee.customFields = withoutEmpty(values.customFields || {});
+    } else if (values.customFields) {
+      updatedEmployee.customFields = withoutEmpty({ ...employee.customFields, ...values.customFields });
+    }
 
-    this.employees[index] = updatedEmployee;
-    this._debouncedSave();
-    return { ...updatedEmployee };
+    const updated = await this._write(employee, updatedEmployee, options);
+    await this._recordChanges('employee.update', [[employee, updated]], options);
+    return updated;
   }
 
   /**
-   * Delete an employee by ID.
-   * Rebuilds indexes after deletion to maintain consistency.
-   * @param {number} id - Employee ID to delete
-   * @returns {boolean} True if deleted, false if not found
+   * Archive (soft delete) an employee who has left.
+   * The record and its email are kept, but the employee drops out of listings.
+   * Their direct reports are moved to the archived employee's own manager
+   * (or to no manager), and any department they headed is left without a head.
+   * @param {number} id - Employee ID to archive
+   * @param {Object} termination - { terminationDate, reason }
+   *   terminationDate: Last working day, YYYY-MM-DD (defaults to today)
+   *   reason:          Why they left (optional)
+   * @param {Object} options - { durable, actor, reason, expectedVersion } (see update())
+   * @returns {Object|null} Archived employee or null if not found
+   * @throws {VersionConflictError} If the record is no longer at expectedVersion
+   * @throws {ValidationError} If the termination date or reason is invalid
+   * @throws {EmployeeStateError} If the employee is already archived
    */
-  async delete(id) {
-    const numId = Number(id);
-    const index = this.indexById.get(numId);
+  async archive(id, { terminationDate = null, reason = null } = {}, { expectedVersion = null, ...options } = {}) {
+    const employee = this.adapter.get(id);
+    if (!employee) return null;
+    if (employee.archivedAt) {
+      throw new EmployeeStateError('Employee is already archived');
+    }
+    this._checkVersion(employee, expectedVersion);
 
-    if (index === undefined) {
-      return false;
+    const date = terminationDate || new Date().toISOString().slice(0, 10);
+    if (typeof date !== 'string' || !isValidDate(date)) {
+      throw new ValidationError({ terminationDate: 'terminationDate must be a date in YYYY-MM-DD format' });
+    }
+    if (reason !== null && reason !== undefined && typeof reason !== 'string') {
+      throw new ValidationError({ reason: 'reason must be text' });
+    }
+    const terminationReason = reason ? reason.trim() : '';
+    if (terminationReason.length > MAX_REASON_LENGTH) {
+      throw new ValidationError({ reason: `reason must be at most ${MAX_REASON_LENGTH} characters` });
     }
 
-    const employee = this.employees[index];
-    this.indexById.delete(numId);
-    this.indexByEmail.delete(employee.email.toLowerCase());
+    // Not durable individually: the durable update below writes these changes too
+    const reassigned = [];
+    for (const report of this.getDirectReports(employee.id)) {
+      reassigned.push([report, await this._write(report, { ...report, managerId: employee.managerId ?? null })]);
+    }
 
-    // Remove from array and rebuild indexes (array indexes shift after removal)
-    this.employees = this.employees.filter((_, i) => i !== index);
-    this._buildIndexes();
+    // Written before the department heads are cleared: that save is awaited, and a change
+    // landing meanwhile would be overwritten by this snapshot of the employee
+    const archived = await this._write(employee, {
+      ...employee,
+      archivedAt: new Date().toISOString(),
+      terminationDate: date,
+      terminationReason: terminationReason || null
+    }, options);
 
-    this._debouncedSave();
-    return true;
+    await this._recordChanges('employee.archive', [[employee, archived]], options);
+    await this._recordChanges('employee.update', reassigned, { ...options, reason: `Manager ${employee.name} was archived` });
+
+    if (this.departments) {
+      await this.departments.clearHead(employee.id, options);
+    }
+    return archived;
   }
 
   /**
-   * Get total number of employees.
+   * Restore an archived employee to the active list.
+   * Reports moved away when they were archived stay with their new managers;
+   * if the employee's own manager has left meanwhile, they get no manager.
+   * @param {number} id - Employee ID to restore
+   * @param {Object} options - { durable, actor, reason } (see add())
+   * @returns {Object|null} Restored employee or null if not found
+   * @throws {EmployeeStateError} If the employee is not archived
    */
-  count() {
-    return this.employees.length;
+  async restore(id, options = {}) {
+    const employee = this.adapter.get(id);
+    if (!employee) return null;
+    if (!employee.archivedAt) {
+      throw new EmployeeStateError('Employee is not archived');
+    }
+
+    const managerId = employee.managerId != null && this.getActiveById(employee.managerId) ? employee.managerId : null;
+    const restored = await this._write(employee, {
+      ...employee,
+      managerId: managerId,
+      archivedAt: null,
+      terminationDate: null,
+      terminationReason: null
+    }, options);
+
+    await this._recordChanges('employee.restore', [[employee, restored]], options);
+    return restored;
+  }
+
+  /**
+   * Apply a batch of operations all-or-nothing. Each operation is checked
+   * against the store as the earlier ones leave it (so a batch can update an
+   * employee it creates), and every operation is checked even after one fails,
+   * so the results report every problem. Only if all succeed are the changes
+   * stored, with a single write, and added to the audit trail and history.
+   * @param {Object[]} operations - { op, id, data, version }
+   *   op:      'create', 'update' (merge, as for update()) or 'delete' (archive)
+   *   id:      Employee ID (update and delete)
+   *   data:    Employee fields (create and update), or { terminationDate, reason } (delete)
+   *   version: Version the change is based on (optional, as expectedVersion)
+   * @param {Object} options - { durable, actor, reason } (see add())
+   * @returns {{ applied: boolean, results: Object[] }} Whether the batch was stored,
+   *   and per operation, in order: { index, op, id, employee } or { index, op, id, error }
+   * @throws {Error} If operations is not a list of 1 to MAX_BATCH_OPERATIONS operations
+   */
+  async applyBatch(operations, options = {}) {
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+      throw new Error(`operations must be a list of 1 to ${MAX_BATCH_OPERATIONS} operations`);
+    }
+
+    const staged = new StagedEmployeeStore(this);
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+      const { op = null, id = null } = isObject(operation) ? operation : {};
+      try {
+        const employee = await staged._applyOperation(operation);
+        results.push({ index, op, id: employee.id, employee });
+      } catch (error) {
+        results.push({ index, op, id, error });
+      }
+    }
+
+    if (results.some((result) => result.error)) {
+      return { applied: false, results };
+    }
+
+    await staged.adapter.commit(options);
+    for (const { action, versions, reason } of staged.changes) {
+      await this._recordChanges(action, versions, { ...options, reason: reason || options.reason || null });
+    }
+    if (this.departments) {
+      for (const employeeId of staged.clearedHeads) {
+        await this.departments.clearHead(employeeId, options);
+      }
+    }
+    return { applied: true, results };
+  }
+
+  /**
+   * When an archived employee may be purged (RETENTION_DAYS after archiving).
+   * @param {Object} employee - Archived employee
+   * @returns {string} ISO timestamp
+   */
+  purgeableAt(employee) {
+    return new Date(new Date(employee.archivedAt).getTime() + RETENTION_DAYS * DAY_MS).toISOString();
+  }
+
+  /**
+   * Permanently remove an archived employee whose retention period has passed,
+   * freeing their email for reuse.
+   * @param {number} id - Employee ID to purge
+   * @param {Object} options - { durable, actor, reason } (see add())
+   * @returns {boolean} True if purged, false if not found
+   * @throws {EmployeeStateError} If the employee is not archived or still within the retention period
+   */
+  async purge(id, options = {}) {
+    const employee = this.adapter.get(id);
+    if (!employee) return false;
+    if (!employee.archivedAt) {
+      throw new EmployeeStateError('Only archived employees can be purged');
+    }
+
+    const purgeableAt = this.purgeableAt(employee);
+    if (new Date(purgeableAt).getTime() > Date.now()) {
+      throw new EmployeeStateError(`Employee can be purged from ${purgeableAt.slice(0, 10)}`);
+    }
+
+    const purged = await this.adapter.delete(employee.id, options);
+    if (purged) {
+      await this._recordChanges('employee.purge', [[employee, null]], options);
+    }
+    return purged;
+  }
+
+  /**
+   * Get number of employees.
+   * @param {Object} options - { status } 'active' (default), 'archived' or 'all'
+   */
+  count({ status = 'active' } = {}) {
+    const { where } = this._criteria({ status });
+    return this.adapter.count({ where });
+  }
+}
+
+/**
+ * An employee store over a StagingAdapter, used by applyBatch(): its writes
+ * are only staged, and the audit entries, history versions and department
+ * head changes they cause are collected to be made once the batch is committed.
+ */
+class StagedEmployeeStore extends EmployeeStore {
+  /**
+   * @param {EmployeeStore} store - Store whose records and rules the batch applies to
+   */
+  constructor(store) {
+    super(new StagingAdapter(store.adapter));
+    this.changes = [];                // [{ action, versions, reason }] to record on commit
+    this.clearedHeads = [];           // IDs of archived employees whose departments lose their head
+    this.customFields = store.customFields;
+    this.departments = store.departments && {
+      getByName: (name) => store.departments.getByName(name),
+      clearHead: async (employeeId) => { this.clearedHeads.push(employeeId); }
+    };
+  }
+
+  async _recordChanges(action, versions, { reason = null } = {}) {
+    this.changes.push({ action, versions, reason });
+  }
+
+  /**
+   * Apply one batch operation.
+   * @returns {Object} The created, updated or archived employee
+   * @throws {ValidationError} If the operation is malformed or its data invalid
+   * @throws {EmployeeNotFoundError} If the employee doesn't exist
+   * @throws Any error the matching store method throws
+   */
+  async _applyOperation(operation) {
+    if (!isObject(operation)) {
+      throw new ValidationError({ op: 'Each operation must be an object' });
+    }
+    const { op, id, data = {}, version = null } = operation;
+    if (!BATCH_OPERATIONS.includes(op)) {
+      throw new ValidationError({ op: `op must be one of ${BATCH_OPERATIONS.join(', ')}` });
+    }
+    if (op !== 'create' && !(Number.isInteger(id) && id > 0)) {
+      throw new ValidationError({ id: 'id must be an employee ID' });
+    }
+    if (!isObject(data)) {
+      throw new ValidationError({ data: 'data must be an object' });
+    }
+    if (version !== null && !(Number.isInteger(version) && version > 0)) {
+      throw new ValidationError({ version: 'version must be a version number' });
+    }
+
+    let employee;
+    if (op === 'create') {
+      employee = await this.add(data);
+    } else if (op === 'update') {
+      employee = await this.update(id, data, { expectedVersion: version });
+    } else {
+      const { terminationDate = null, reason = null } = data;
+      employee = await this.archive(id, { terminationDate, reason }, { expectedVersion: version });
+    }
+
+    if (!employee) {
+      throw new EmployeeNotFoundError();
+    }
+    return employee;
   }
 }
 
+/**
+ * Check for a plain object (not null or an array).
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level differences between two versions of an employee: the audited
+ * fields plus each custom field, keyed "customFields.<key>".
+ * @returns {Object|null} { field: { from, to } }, or null if nothing changed
+ */
+function employeeChanges(before, after) {
+  const beforeCustom = (before && before.customFields) || {};
+  const afterCustom = (after && after.customFields) || {};
+  const keys = [...new Set([...Object.keys(beforeCustom), ...Object.keys(afterCustom)])];
+
+  const custom = diffFields(before && beforeCustom, after && afterCustom, keys) || {};
+  const changes = {
+    ...diffFields(before, after, AUDITED_FIELDS),
+    ...Object.fromEntries(Object.entries(custom).map(([key, change]) => [`customFields.${key}`, change]))
+  };
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Copy custom field values without the ones that are unset (null).
+ */
+function withoutEmpty(customFields) {
+  return Object.fromEntries(Object.entries(customFields).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * The baseline version of an employee with no recorded history: the record
+ * hasn't changed since before history was kept.
+ */
+function baselineVersion(employee) {
+  return {
+    employeeId: employee.id,
+    version: 1,
+    timestamp: null,
+    action: 'baseline',
+    actor: null,
+    reason: null,
+    snapshot: employee
+  };
+}
+
 const store = new EmployeeStore();
 
+/**
+ * Display a field value from an employee's history; manager IDs are shown as
+ * names and yes/no custom fields as Yes or No.
+ */
+function historyValue(field, value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'managerId') {
+    const manager = store.getById(value);
+    return manager ? manager.name : `Employee #${value}`;
+  }
+  return value;
+}
+
 module.exports = store;
+module.exports.EmployeeStore = EmployeeStore;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.EmployeeStateError = EmployeeStateError;
+module.exports.EmployeeNotFoundError = EmployeeNotFoundError;
+module.exports.historyValue = historyValue;
+module.exports.STORAGE_OPTIONS = STORAGE_OPTIONS;
+module.exports.SEARCH_FIELDS = SEARCH_FIELDS;
+module.exports.FILTER_FIELDS = FILTER_FIELDS;
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.STATUSES = STATUSES;
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
+module.exports.BATCH_OPERATIONS = BATCH_OPERATIONS;
+module.exports.MAX_BATCH_OPERATIONS = MAX_BATCH_OPERATIONS;
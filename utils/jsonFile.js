@@ -0,0 +1,207 @@
+/**
+ * jsonFile.js - Crash-Safe JSON File Persistence
+ *
+ * Shared by the stores that keep a JSON array on disk (employees, users, API keys,
+ * password reset tokens).
+ * Features:
+ * - Atomic writes: data goes to a temp file, is fsynced, then renamed over the
+ *   real file, so a crash mid-write leaves either the old or the new version
+ * - Debounced saves: rapid changes are coalesced into one write; the returned
+ *   promise resolves once that write is on disk (used for durable mutations)
+ * - Writes are serialized, so an older snapshot never lands after a newer one
+ * - flushAll() writes out every pending save (called on SIGINT/SIGTERM)
+ * - Recovery: a truncated or corrupt file is set aside as <file>.corrupt-<time>
+ *   and every complete record that can still be read from it is kept
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Every JsonFile created, so pending saves can be flushed on shutdown
+const files = new Set();
+
+/**
+ * Pull every complete top-level object out of a damaged JSON array.
+ * A file cut off mid-write loses only the record that was being written.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Records that parsed cleanly
+ */
+function salvageArray(text) {
+  const records = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let start = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (char === '{' && depth === 1) start = i;
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (char === '}' && depth === 1 && start !== -1) {
+        try {
+          records.push(JSON.parse(text.slice(start, i + 1)));
+        } catch (error) {
+          // Skip a record that is itself damaged
+        }
+        start = -1;
+      }
+    }
+  }
+
+  return records;
+}
+
+class JsonFile {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Function} getData - Returns the current data to write
+   * @param {Object} options - { debounceMs } delay before a scheduled save (default 100)
+   */
+  constructor(filePath, getData, { debounceMs = 100 } = {}) {
+    this.filePath = filePath;
+    this.getData = getData;
+    this.debounceMs = debounceMs;
+    this.timer = null;                // Debounce timer reference
+    this.pending = null;              // { promise, resolve, reject } for the scheduled save
+    this.queue = Promise.resolve();   // Serializes writes
+    files.add(this);
+  }
+
+  /**
+   * Read and parse the file.
+   * @returns {Array|null} Parsed data, or null if the file doesn't exist
+   */
+  async read() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return this._recover(text);
+    }
+  }
+
+  /**
+   * Keep the damaged file for inspection and continue with what can be salvaged.
+   */
+  async _recover(text) {
+    const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+    const records = salvageArray(text);
+
+    await fs.rename(this.filePath, corruptPath);
+    console.warn(`${path.basename(this.filePath)} was damaged; recovered ${records.length} records (original kept as ${path.basename(corruptPath)}).`);
+
+    await this._write(records);
+    return records;
+  }
+
+  /**
+   * Atomically replace the file: write a temp file, fsync it, rename it into place.
+   */
+  async _write(data) {
+    const tempPath = `${this.filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, this.filePath);
+
+    // Persist the rename itself (not supported on every platform)
+    try {
+      const dir = await fs.open(path.dirname(this.filePath), 'r');
+      try {
+        await dir.sync();
+      } finally {
+        await dir.close();
+      }
+    } catch (error) {
+      // Best effort
+    }
+  }
+
+  /**
+   * Write the current data now, after any writes already queued.
+   * @returns {Promise} Resolves once the data is on disk
+   */
+  save() {
+    this.queue = this.queue.catch(() => {}).then(() => this._write(this.getData()));
+    return this.queue;
+  }
+
+  /**
+   * Schedule a debounced save.
+   * @returns {Promise} Resolves once a write including the current data is on disk
+   */
+  schedule() {
+    if (!this.pending) {
+      const pending = {};
+      pending.promise = new Promise((resolve, reject) => {
+        pending.resolve = resolve;
+        pending.reject = reject;
+      });
+      // Callers that don't wait for durability must not cause unhandled rejections
+      pending.promise.catch((error) => console.error(`Failed to save ${path.basename(this.filePath)}:`, error.message));
+      this.pending = pending;
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this._runPending(), this.debounceMs);
+    return this.pending.promise;
+  }
+
+  /**
+   * Start the scheduled save immediately.
+   */
+  _runPending() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const { resolve, reject } = this.pending;
+    this.pending = null;
+    return this.save().then(resolve, reject);
+  }
+
+  /**
+   * Write out a scheduled save without waiting for the debounce delay.
+   */
+  async flush() {
+    if (this.pending) {
+      await this._runPending();
+    }
+    await this.queue.catch(() => {});
+  }
+}
+
+/**
+ * Flush every JsonFile's pending save (used on shutdown).
+ */
+async function flushAll() {
+  await Promise.all([...files].map((file) => file.flush()));
+}
+
+module.exports = JsonFile;
+module.exports.flushAll = flushAll;
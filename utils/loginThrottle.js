@@ -0,0 +1,204 @@
+/**
+ * loginThrottle.js - Brute-Force Protection for Login Forms
+ *
+ * Tracks failed login attempts per client IP and per username and slows
+ * attackers down in two stages:
+ * - Exponential backoff: after a few free attempts, each further failure blocks
+ *   the next attempt for baseDelay * 2^n (capped at maxDelay)
+ * - Lockout: after maxFailures failures the key is locked for lockoutMs
+ * Counters are forgotten once a key has had no failures for windowMs.
+ * A successful login clears the username's counter (but not the IP's).
+ *
+ * Counters live in a ThrottleStore. MemoryThrottleStore keeps them in process;
+ * any object with the same async get/set/delete/entries methods (e.g. one backed
+ * by Redis) can be passed to LoginThrottle to share counters between servers.
+ */
+
+// Per-username limits: a single account should never see many failures
+const USERNAME_LIMITS = {
+  freeAttempts: 3,                  // Failures allowed before backoff starts
+  maxFailures: 5,                   // Failures before the username is locked
+  baseDelayMs: 1000,                // First backoff delay (doubles each failure)
+  maxDelayMs: 60 * 1000,            // Longest backoff delay
+  lockoutMs: 15 * 60 * 1000,        // How long a lockout lasts (15 minutes)
+  windowMs: 15 * 60 * 1000          // Forget counters after this long without failures
+};
+
+// Per-IP limits: higher, since many users can share one address (offices, NAT)
+const IP_LIMITS = {
+  freeAttempts: 20,
+  maxFailures: 50,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  windowMs: 15 * 60 * 1000
+};
+
+/**
+ * MemoryThrottleStore - In-process counter storage
+ * Async methods so a shared backend can implement the same interface.
+ */
+class MemoryThrottleStore {
+  constructor() {
+    this.records = new Map();         // Map<key, { failures, lastFailureAt, blockedUntil, lockedUntil }>
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    return record ? { ...record } : null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, { ...record });
+  }
+
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  async entries() {
+    return [...this.records].map(([key, record]) => [key, { ...record }]);
+  }
+}
+
+class LoginThrottle {
+  /**
+   * @param {Object} store - ThrottleStore implementation (defaults to in-memory)
+   */
+  constructor(store = new MemoryThrottleStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Build the store keys for an attempt.
+   * Usernames are case-insensitive, like the account store.
+   */
+  _keys(ip, username) {
+    const keys = [{ key: `ip:${ip}`, limits: IP_LIMITS }];
+    if (username) {
+      keys.push({ key: `user:${String(username).toLowerCase()}`, limits: USERNAME_LIMITS });
+    }
+    return keys;
+  }
+
+  /**
+   * Load a record, dropping it if its failure window has passed.
+   */
+  async _load(key, limits, now) {
+    const record = await this.store.get(key);
+    if (!record) return null;
+
+    const stillLocked = record.lockedUntil && record.lockedUntil > now;
+    if (!stillLocked && now - record.lastFailureAt >= limits.windowMs) {
+      await this.store.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Check whether a login attempt may proceed.
+   * @param {string} ip - Client IP address
+   * @param {string} username - Submitted username (may be empty)
+   * @returns {Object} { allowed, retryAfterMs, locked }
+   */
+  async check(ip, username) {
+    const now = Date.now();
+    let retryAfterMs = 0;
+    let locked = false;
+
+    for (const { key, limits } of this._keys(ip, username)) {
+      const record = await this._load(key, limits, now);
+      if (!record) continue;
+
+      const until = Math.max(record.lockedUntil || 0, record.blockedUntil || 0);
+      if (until > now) {
+        retryAfterMs = Math.max(retryAfterMs, until - now);
+        locked = locked || Boolean(record.lockedUntil && record.lockedUntil > now);
+      }
+    }
+
+    return { allowed: retryAfterMs === 0, retryAfterMs, locked };
+  }
+
+  /**
+   * Record a failed login attempt against the IP and username.
+   * @returns {Array<string>} Keys that became locked by this failure
+   */
+  async recordFailure(ip, username) {
+    const now = Date.now();
+    const newlyLocked = [];
+
+    for (const { key, limits } of this._keys(ip, username)) {
+      const record = (await this._load(key, limits, now)) || { failures: 0, blockedUntil: null, lockedUntil: null };
+
+      record.failures++;
+      record.lastFailureAt = now;
+
+      if (record.failures >= limits.maxFailures) {
+        if (!record.lockedUntil || record.lockedUntil <= now) {
+          newlyLocked.push(key);
+        }
+        record.lockedUntil = now + limits.lockoutMs;
+      } else if (record.failures >= limits.freeAttempts) {
+        const delay = limits.baseDelayMs * 2 ** (record.failures - limits.freeAttempts);
+        record.blockedUntil = now + Math.min(delay, limits.maxDelayMs);
+      }
+
+      await this.store.set(key, record);
+    }
+
+    return newlyLocked;
+  }
+
+  /**
+   * Clear the username's counter after a successful login.
+   * The IP counter is kept so a valid login can't reset an attacker's budget.
+   */
+  async recordSuccess(username) {
+    if (username) {
+      await this.store.delete(`user:${String(username).toLowerCase()}`);
+    }
+  }
+
+  /**
+   * List keys that are currently locked out or in backoff, for the admin panel.
+   * @returns {Array<Object>} [{ key, type, identifier, failures, lockedUntil, blockedUntil }]
+   */
+  async getBlocked() {
+    const now = Date.now();
+    const blocked = [];
+
+    for (const [key, record] of await this.store.entries()) {
+      const isLocked = record.lockedUntil && record.lockedUntil > now;
+      const isBackedOff = record.blockedUntil && record.blockedUntil > now;
+      if (!isLocked && !isBackedOff) continue;
+
+      const separator = key.indexOf(':');
+      blocked.push({
+        key: key,
+        type: key.slice(0, separator) === 'ip' ? 'IP address' : 'Username',
+        identifier: key.slice(separator + 1),
+        failures: record.failures,
+        lockedUntil: isLocked ? record.lockedUntil : null,
+        blockedUntil: isBackedOff ? record.blockedUntil : null
+      });
+    }
+
+    return blocked.sort((a, b) => b.failures - a.failures);
+  }
+
+  /**
+   * Clear a key's counter (admin unlock).
+   * @returns {boolean} True if a counter was removed
+   */
+  async clear(key) {
+    return this.store.delete(key);
+  }
+}
+
+const throttle = new LoginThrottle();
+
+module.exports = throttle;
+module.exports.LoginThrottle = LoginThrottle;
+module.exports.MemoryThrottleStore = MemoryThrottleStore;
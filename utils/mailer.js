@@ -0,0 +1,136 @@
+/**
+ * mailer.js - Outgoing Email
+ *
+ * Sends application email (currently password reset links) through a pluggable
+ * transport. A transport is any object with an async send(message) method, where
+ * message is { from, to, subject, text }.
+ *
+ * Built-in transports for local use:
+ * - ConsoleTransport: Prints each message to the server log
+ * - FileTransport: Writes each message to a .txt file in a directory
+ *
+ * The transport is chosen with MAIL_TRANSPORT ('console' or 'file', default
+ * 'console'); MAIL_DIR sets the FileTransport directory (default data/mail) and
+ * MAIL_FROM the sender address. Production setups can plug in an SMTP or API
+ * based transport with mailer.setTransport().
+ *
+ * Links in emails are built from APP_URL, never from the request's Host header,
+ * which whoever sends the request controls (a reset requested with a forged Host
+ * would otherwise mail the victim a link to the attacker's site). Outside
+ * production APP_URL defaults to this server on localhost; in production it is
+ * required.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Default directory for FileTransport
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', 'data', 'mail');
+
+// Default sender address
+const DEFAULT_FROM = 'Employee Management System <no-reply@localhost>';
+
+/**
+ * Render a message as plain text with simple headers.
+ */
+function formatMessage(message) {
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    message.text
+  ].join('\n');
+}
+
+/**
+ * ConsoleTransport - Print messages to the server log
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log(`----- Email -----\n${formatMessage(message)}\n-----------------`);
+  }
+}
+
+/**
+ * FileTransport - Write each message to its own file
+ */
+class FileTransport {
+  /**
+   * @param {string} dir - Directory the message files are written to
+   */
+  constructor(dir = DEFAULT_MAIL_DIR) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const file = path.join(this.dir, `${Date.now()}-${safeTo}.txt`);
+    await fs.writeFile(file, formatMessage(message), 'utf8');
+  }
+}
+
+/**
+ * Read the base URL for links in emails from the environment.
+ * @throws {Error} If APP_URL is not a URL, or is missing in production
+ */
+function resolveAppUrl(env = process.env) {
+  if (env.APP_URL) {
+    const url = new URL(env.APP_URL);  // Throws on a malformed value
+    return url.href.replace(/\/+$/, '');
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('Set APP_URL to the address users reach the site at (e.g. https://ems.example.com); it is used for links in emails.');
+  }
+  return `http://localhost:${env.PORT || 3000}`;
+}
+
+/**
+ * Build the transport selected by the environment.
+ */
+function createTransport(env = process.env) {
+  const name = env.MAIL_TRANSPORT || 'console';
+  if (name === 'console') return new ConsoleTransport();
+  if (name === 'file') return new FileTransport(env.MAIL_DIR || DEFAULT_MAIL_DIR);
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected "console" or "file")`);
+}
+
+class Mailer {
+  constructor() {
+    this.transport = createTransport();
+    this.from = process.env.MAIL_FROM || DEFAULT_FROM;
+    this.appUrl = resolveAppUrl();
+  }
+
+  /**
+   * Absolute URL of a path on this site, for links in emails.
+   * @param {string} pathAndQuery - e.g. '/reset-password?token=...'
+   */
+  link(pathAndQuery) {
+    return `${this.appUrl}${pathAndQuery}`;
+  }
+
+  /**
+   * Replace the transport (e.g. with an SMTP transport, or a fake in tests).
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email through the current transport.
+   * @param {Object} message - { to, subject, text }
+   */
+  async send({ to, subject, text }) {
+    await this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+const mailer = new Mailer();
+
+module.exports = mailer;
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
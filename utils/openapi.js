@@ -0,0 +1,801 @@
+/**
+ * openapi.js - OpenAPI Description of the REST API
+ *
+ * Builds the OpenAPI 3.1 document for /api/v1, served at /api/v1/openapi.json
+ * and rendered at /api/v1/docs. The same document drives validation (see
+ * middleware/openapiMiddleware.js): requests that don't match it are refused
+ * with 400 before they reach a route, and responses are checked against it,
+ * so the published contract can't drift from employeeRoutes.js and friends.
+ *
+ * The document is generated from the code it describes: the employee fields
+ * come from the shared employee schema, the custom fields from their current
+ * definitions, and limits, sort fields, statuses, export formats and
+ * permissions from the modules that enforce them.
+ *
+ * Requests are checked for their shape (parameter and field types, enums,
+ * structure); the value rules of employee and department fields (required,
+ * lengths, formats, uniqueness) are enforced by the stores, which report every
+ * invalid field at once, and are spelled out in each field's description.
+ */
+
+const { EMPLOYEE_SCHEMA } = require('./employeeSchema');
+const { FILTER_FIELDS, SORT_FIELDS, STATUSES, BATCH_OPERATIONS, MAX_BATCH_OPERATIONS, RETENTION_DAYS } = require('./employeeStore');
+const { MAX_LIMIT } = require('./employeeQuery');
+const { EXPORT_FORMATS } = require('./employeeExport');
+const { MAX_IMPORT_ROWS } = require('./employeeImport');
+const customFieldStore = require('./customFieldStore');
+const { CUSTOM_FIELD_TYPES } = require('./customFieldStore');
+const { PERMISSIONS } = require('./roles');
+const { version } = require('../package.json');
+
+// Where the current version of the API is mounted
+const API_BASE = '/api/v1';
+
+// Longest accepted search text (see employeeQuery.js)
+const MAX_SEARCH_LENGTH = 100;
+
+// MIME types of the export formats
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// JSON type of each employee schema field type in requests (managerId may be sent as text)
+const REQUEST_TYPES = {
+  text: 'string',
+  email: 'string',
+  phone: 'string',
+  date: 'string',
+  id: ['integer', 'string', 'null']
+};
+
+/**
+ * Reference a component schema.
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * A JSON response with a schema.
+ */
+function jsonResponse(description, schema, headers = null) {
+  const response = { description, content: { 'application/json': { schema } } };
+  if (headers) response.headers = headers;
+  return response;
+}
+
+/**
+ * A JSON request body.
+ */
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+/**
+ * A successful response envelope: { success: true, ...properties }.
+ */
+function success(properties, required = Object.keys(properties)) {
+  return {
+    type: 'object',
+    required: ['success', ...required],
+    properties: { success: { const: true }, ...properties }
+  };
+}
+
+/**
+ * A list response envelope: { success: true, count, data: [...] }.
+ */
+function list(itemSchema, extra = {}) {
+  return success({ count: { type: 'integer' }, ...extra, data: { type: 'array', items: itemSchema } });
+}
+
+/**
+ * Standard error responses, by status.
+ */
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map((status) => [status, { $ref: `#/components/responses/${status}` }]));
+}
+
+/**
+ * Describe an employee schema field's rules for humans.
+ */
+function describeRule(rule) {
+  const parts = [rule.required ? 'Required.' : 'Optional.'];
+  if (rule.type === 'email') parts.push('An email address, unique among employees (case-insensitive).');
+  if (rule.type === 'phone') parts.push('A phone number of 7-15 digits, e.g. +1-555-555-0100.');
+  if (rule.type === 'date') parts.push(`YYYY-MM-DD${rule.past ? ', not in the future' : ''}.`);
+  if (rule.type === 'id') parts.push('Employee ID of their manager: an active employee, without creating a reporting cycle (null for none).');
+  if (rule.maxLength) parts.push(`At most ${rule.maxLength} characters.`);
+  return parts.join(' ');
+}
+
+/**
+ * Schema of a custom field's value: as stored (response) or as accepted (request,
+ * where forms and CSV send numbers and yes/no values as text).
+ */
+function customFieldSchema(definition, request) {
+  const schema = { description: `${definition.label} (${definition.type}${definition.required ? ', required' : ''})` };
+  if (definition.type === 'number') {
+    schema.type = request ? ['number', 'string', 'null'] : 'number';
+  } else if (definition.type === 'boolean') {
+    schema.type = request ? ['boolean', 'string', 'null'] : 'boolean';
+  } else {
+    schema.type = request ? ['string', 'null'] : 'string';
+  }
+  if (definition.type === 'enum') schema.description += `: one of ${definition.options.join(', ')}`;
+  if (definition.type === 'date') schema.description += ', YYYY-MM-DD';
+  return schema;
+}
+
+/**
+ * Component schemas.
+ */
+function schemas(customFields) {
+  const employeeFields = Object.fromEntries(Object.entries(EMPLOYEE_SCHEMA).map(([field, rule]) => [
+    field,
+    { type: rule.type === 'id' ? ['integer', 'null'] : 'string' }
+  ]));
+  const inputFields = Object.fromEntries(Object.entries(EMPLOYEE_SCHEMA).map(([field, rule]) => [
+    field,
+    { type: REQUEST_TYPES[rule.type], description: describeRule(rule) }
+  ]));
+
+  return {
+    Employee: {
+      type: 'object',
+      required: ['id', ...Object.keys(EMPLOYEE_SCHEMA).filter((field) => EMPLOYEE_SCHEMA[field].required)],
+      properties: {
+        id: { type: 'integer' },
+        ...employeeFields,
+        customFields: ref('CustomFieldValues'),
+        version: { type: 'integer', description: 'Raised by every change; sent as the ETag' },
+        archivedAt: { type: ['string', 'null'], description: 'When the employee was archived (null or absent while active)' },
+        terminationDate: { type: ['string', 'null'] },
+        terminationReason: { type: ['string', 'null'] }
+      }
+    },
+    CustomFieldValues: {
+      type: 'object',
+      description: 'Values of the custom fields defined by admins, keyed by field key',
+      properties: Object.fromEntries(customFields.map((definition) => [definition.key, customFieldSchema(definition, false)]))
+    },
+    EmployeeInput: {
+      type: 'object',
+      description: 'Employee fields. A create or PUT needs every required field; a PATCH only the fields it changes. ' +
+        'Each field is checked by the shared employee schema and every invalid one is listed in the 400 response\'s errors.',
+      properties: {
+        ...inputFields,
+        customFields: {
+          type: 'object',
+          description: 'Custom field values by key (see GET /custom-fields); null removes a value. Unknown keys are refused.',
+          properties: Object.fromEntries(customFields.map((definition) => [definition.key, customFieldSchema(definition, true)]))
+        }
+      }
+    },
+    Termination: {
+      type: 'object',
+      properties: {
+        terminationDate: { type: 'string', format: 'date', description: 'Last working day (default today)' },
+        reason: { type: ['string', 'null'], description: 'Why they left, at most 500 characters' }
+      }
+    },
+    HistoryVersion: {
+      type: 'object',
+      required: ['employeeId', 'version', 'action', 'snapshot'],
+      properties: {
+        employeeId: { type: 'integer' },
+        version: { type: 'integer' },
+        timestamp: { type: ['string', 'null'] },
+        action: { type: 'string', description: 'baseline, create, update, archive or restore' },
+        actor: { type: ['object', 'null'] },
+        reason: { type: ['string', 'null'] },
+        changes: { type: ['object', 'null'], description: '{ field: { from, to } } compared with the version before' },
+        snapshot: ref('Employee')
+      }
+    },
+    BatchRequest: {
+      type: 'object',
+      required: ['operations'],
+      properties: {
+        operations: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_BATCH_OPERATIONS,
+          items: {
+            type: 'object',
+            required: ['op'],
+            properties: {
+              op: { enum: BATCH_OPERATIONS, description: 'create, update (merged, as PATCH) or delete (archive)' },
+              id: { type: 'integer', minimum: 1, description: 'Employee to update or delete (may be created earlier in the batch)' },
+              data: { type: 'object', description: 'EmployeeInput for create and update, Termination for delete' },
+              version: { type: 'integer', minimum: 1, description: 'Version the change is based on, as If-Match' }
+            }
+          }
+        }
+      }
+    },
+    BatchResult: {
+      type: 'object',
+      required: ['index', 'op', 'status'],
+      properties: {
+        index: { type: 'integer' },
+        op: {},
+        id: {},
+        status: { type: 'integer', description: 'As the single-employee endpoint would answer; 424 if not applied because another operation failed' },
+        etag: { type: 'string' },
+        data: ref('Employee'),
+        error: { type: 'string' },
+        errors: { type: 'object' }
+      }
+    },
+    ImportReport: success({
+      dryRun: { type: 'boolean' },
+      total: { type: 'integer' },
+      valid: { type: 'integer' },
+      invalid: { type: 'integer' },
+      imported: { type: 'integer' },
+      mapping: { type: 'object' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { row: { type: 'integer' }, email: { type: ['string', 'null'] }, errors: { type: 'array', items: { type: 'string' } } }
+        }
+      },
+      data: { type: 'array', items: ref('Employee') }
+    }),
+    Department: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        headId: { type: ['integer', 'null'] },
+        costCenter: { type: ['string', 'null'] },
+        employeeCount: { type: 'integer', description: 'Active employees (list and single GET only)' }
+      }
+    },
+    DepartmentInput: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Required on create. At most 50 characters, unique (case-insensitive).' },
+        headId: { type: ['integer', 'string', 'null'], description: 'Employee ID of the head (null for none)' },
+        costCenter: { type: ['string', 'null'], description: 'Up to 20 letters, digits or dashes (null for none)' }
+      }
+    },
+    CustomField: {
+      type: 'object',
+      required: ['id', 'key', 'label', 'type', 'required'],
+      properties: {
+        id: { type: 'integer' },
+        key: { type: 'string' },
+        label: { type: 'string' },
+        type: { enum: CUSTOM_FIELD_TYPES },
+        required: { type: 'boolean' },
+        options: { type: ['array', 'null'], items: { type: 'string' }, description: 'Values of an enum field' }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { const: false },
+        error: { type: 'string', description: 'What went wrong (the first message when several fields are invalid)' },
+        errors: { type: 'object', description: '{ field: message } for every invalid field' }
+      }
+    },
+    BatchFailure: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { const: false },
+        applied: { const: false },
+        error: { type: 'string' },
+        errors: { type: 'object' },
+        results: { type: 'array', items: ref('BatchResult') }
+      }
+    },
+    VersionConflict: {
+      type: 'object',
+      required: ['success', 'error', 'data'],
+      properties: {
+        success: { const: false },
+        error: { type: 'string' },
+        data: ref('Employee')
+      }
+    }
+  };
+}
+
+/**
+ * Reusable parameters.
+ */
+function parameters() {
+  const filters = Object.fromEntries(FILTER_FIELDS.map((field) => [field, {
+    name: field,
+    in: 'query',
+    description: `Exact ${field} (case-insensitive); repeat the parameter to match any of several`,
+    schema: { type: 'array', items: { type: 'string' } },
+    style: 'form',
+    explode: true
+  }]));
+
+  return {
+    id: { name: 'id', in: 'path', required: true, description: 'Employee ID', schema: { type: 'integer', minimum: 1 } },
+    departmentId: { name: 'id', in: 'path', required: true, description: 'Department ID', schema: { type: 'integer', minimum: 1 } },
+    customFieldId: { name: 'id', in: 'path', required: true, description: 'Custom field ID', schema: { type: 'integer', minimum: 1 } },
+    q: {
+      name: 'q',
+      in: 'query',
+      description: 'Text searched (case-insensitive) in name, designation, email, department and location',
+      schema: { type: 'string', maxLength: MAX_SEARCH_LENGTH }
+    },
+    ...filters,
+    joinedFrom: { name: 'joinedFrom', in: 'query', description: 'Earliest joining date', schema: { type: 'string', format: 'date' } },
+    joinedTo: { name: 'joinedTo', in: 'query', description: 'Latest joining date', schema: { type: 'string', format: 'date' } },
+    status: { name: 'status', in: 'query', description: 'Which employees to list (default active)', schema: { enum: STATUSES } },
+    sort: {
+      name: 'sort',
+      in: 'query',
+      description: `Comma-separated fields, '-' prefix for descending, e.g. department,-joiningDate (fields: ${SORT_FIELDS.join(', ')})`,
+      schema: { type: 'string' }
+    },
+    limit: { name: 'limit', in: 'query', description: 'Page size (default: every match)', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT } },
+    offset: { name: 'offset', in: 'query', description: 'Matches to skip', schema: { type: 'integer', minimum: 0 } },
+    ifMatch: {
+      name: 'If-Match',
+      in: 'header',
+      description: 'ETag the change is based on; the write is refused with 412 if the employee has changed since',
+      schema: { type: 'string' }
+    }
+  };
+}
+
+/**
+ * Reusable responses.
+ */
+function responses() {
+  return {
+    400: jsonResponse('Bad request: invalid parameters or fields (errors lists each one)', ref('Error')),
+    401: jsonResponse('Missing, invalid or revoked API key', ref('Error')),
+    403: jsonResponse('The API key\'s role lacks the permission', ref('Error')),
+    404: jsonResponse('Not found', ref('Error')),
+    409: jsonResponse('Conflict with the current data', ref('Error')),
+    412: jsonResponse('If-Match names an old version; data is the current record', ref('VersionConflict'), {
+      ETag: { description: 'Current version', schema: { type: 'string' } }
+    }),
+    500: jsonResponse('Server error', ref('Error'))
+  };
+}
+
+// ETag header of responses about one employee
+const ETAG_HEADER = { ETag: { description: 'The employee\'s version, quoted, e.g. "3"', schema: { type: 'string' } } };
+
+/**
+ * Reference a reusable parameter.
+ */
+function param(name) {
+  return { $ref: `#/components/parameters/${name}` };
+}
+
+/**
+ * Operation paths.
+ */
+function paths() {
+  const employee = success({ data: ref('Employee') });
+  const listParameters = ['q', ...FILTER_FIELDS, 'joinedFrom', 'joinedTo', 'status', 'sort'].map(param);
+
+  return {
+    '/employees': {
+      get: {
+        tags: ['Employees'],
+        operationId: 'listEmployees',
+        summary: 'List employees',
+        description: 'Search, filter, sort and paginate employees.',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        parameters: [...listParameters, param('limit'), param('offset')],
+        responses: {
+          200: jsonResponse('Matching employees', list(ref('Employee'), {
+            total: { type: 'integer' },
+            limit: { type: ['integer', 'null'] },
+            offset: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+          })),
+          ...errors(400, 401, 403)
+        }
+      },
+      post: {
+        tags: ['Employees'],
+        operationId: 'createEmployee',
+        summary: 'Create an employee',
+        'x-permission': PERMISSIONS.EMPLOYEES_WRITE,
+        requestBody: jsonBody(ref('EmployeeInput')),
+        responses: {
+          201: jsonResponse('Created', employee, ETAG_HEADER),
+          ...errors(400, 401, 403),
+          409: jsonResponse('Email already exists', ref('Error')),
+          ...errors(500)
+        }
+      }
+    },
+    '/employees/export': {
+      get: {
+        tags: ['Employees'],
+        operationId: 'exportEmployees',
+        summary: 'Download employees as a file',
+        description: 'Streams every match (no pagination) as CSV, JSON or XLSX.',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        parameters: [
+          ...listParameters,
+          { name: 'format', in: 'query', description: 'File format (default csv)', schema: { enum: EXPORT_FORMATS } },
+          { name: 'columns', in: 'query', description: 'Comma-separated fields to include (default all); custom fields as custom.<key>', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'The file, as an attachment',
+            content: Object.fromEntries(EXPORT_FORMATS.map((format) => [EXPORT_TYPES[format], {}]))
+          },
+          ...errors(400, 401, 403, 500)
+        }
+      }
+    },
+    '/employees/import': {
+      post: {
+        tags: ['Employees'],
+        operationId: 'importEmployees',
+        summary: 'Import employees from CSV',
+        description: `Checks every row (up to ${MAX_IMPORT_ROWS}), then adds all valid rows in one batch unless dryRun is set. ` +
+          'The raw CSV can also be posted as text/csv, with ?dryRun=true for a dry run.',
+        'x-permission': PERMISSIONS.EMPLOYEES_WRITE,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  csv: { type: 'string', description: 'The file; the first row holds column names' },
+                  mapping: { type: 'object', description: '{ field: "CSV column name" } for columns not named after the field ("" for none)' },
+                  dryRun: { type: 'boolean' }
+                }
+              }
+            },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: jsonResponse('Dry run, or nothing was valid', ref('ImportReport')),
+          201: jsonResponse('Valid rows were added', ref('ImportReport')),
+          ...errors(400, 401, 403, 500)
+        }
+      }
+    },
+    '/employees/batch': {
+      post: {
+        tags: ['Employees'],
+        operationId: 'batchEmployees',
+        summary: 'Apply create, update and delete operations all-or-nothing',
+        description: 'Operations are applied in order, each seeing the ones before it, and stored with a single write ' +
+          'only if all succeed. Otherwise nothing is stored and the response has the status of the first failure. ' +
+          `Delete operations need ${PERMISSIONS.EMPLOYEES_DELETE}.`,
+        'x-permission': PERMISSIONS.EMPLOYEES_WRITE,
+        requestBody: jsonBody(ref('BatchRequest')),
+        responses: {
+          200: jsonResponse('Every operation was applied', success({
+            applied: { const: true },
+            count: { type: 'integer' },
+            results: { type: 'array', items: ref('BatchResult') }
+          })),
+          400: jsonResponse('Invalid request or operation; nothing was stored', ref('BatchFailure')),
+          ...errors(401, 403),
+          404: jsonResponse('An operation names an unknown employee; nothing was stored', ref('BatchFailure')),
+          409: jsonResponse('An operation conflicts with the data; nothing was stored', ref('BatchFailure')),
+          412: jsonResponse('An operation\'s version is stale; nothing was stored', ref('BatchFailure')),
+          500: jsonResponse('Server error', ref('BatchFailure'))
+        }
+      }
+    },
+    '/employees/{id}': {
+      parameters: [param('id')],
+      get: {
+        tags: ['Employees'],
+        operationId: 'getEmployee',
+        summary: 'Get an employee',
+        description: 'Archived employees are included, with archivedAt set. Send If-None-Match with the ETag to get 304 when unchanged.',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        parameters: [{
+          name: 'asOf',
+          in: 'query',
+          description: 'YYYY-MM-DD (end of that day, UTC) or an ISO timestamp: return the record as it was then',
+          schema: { type: 'string' }
+        }],
+        responses: {
+          200: jsonResponse('The employee (with asOf and version for a point-in-time view)', success({
+            asOf: { type: 'string' },
+            version: { type: 'integer' },
+            data: ref('Employee')
+          }, ['data']), ETAG_HEADER),
+          304: { description: 'Not modified since the ETag in If-None-Match' },
+          ...errors(400, 401, 403, 404)
+        }
+      },
+      put: {
+        tags: ['Employees'],
+        operationId: 'replaceEmployee',
+        summary: 'Replace an employee\'s fields',
+        description: 'Every required field must be sent; managerId and custom fields left out are cleared.',
+        'x-permission': PERMISSIONS.EMPLOYEES_WRITE,
+        parameters: [param('ifMatch')],
+        requestBody: jsonBody(ref('EmployeeInput')),
+        responses: {
+          200: jsonResponse('Replaced', employee, ETAG_HEADER),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Email already exists, or the employee is archived', ref('Error')),
+          ...errors(412, 500)
+        }
+      },
+      patch: {
+        tags: ['Employees'],
+        operationId: 'updateEmployee',
+        summary: 'Update some of an employee\'s fields',
+        description: 'Only the fields sent are changed; customFields only changes the keys it names.',
+        'x-permission': PERMISSIONS.EMPLOYEES_WRITE,
+        parameters: [param('ifMatch')],
+        requestBody: jsonBody(ref('EmployeeInput')),
+        responses: {
+          200: jsonResponse('Updated', employee, ETAG_HEADER),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Email already exists, or the employee is archived', ref('Error')),
+          ...errors(412, 500)
+        }
+      },
+      delete: {
+        tags: ['Employees'],
+        operationId: 'archiveEmployee',
+        summary: 'Archive (soft delete) an employee',
+        description: 'The record is kept but drops out of listings; their reports move to their manager.',
+        'x-permission': PERMISSIONS.EMPLOYEES_DELETE,
+        parameters: [param('ifMatch')],
+        requestBody: jsonBody(ref('Termination'), false),
+        responses: {
+          200: jsonResponse('Archived', success({ message: { type: 'string' }, data: ref('Employee') }), ETAG_HEADER),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Already archived', ref('Error')),
+          ...errors(412, 500)
+        }
+      }
+    },
+    '/employees/{id}/history': {
+      parameters: [param('id')],
+      get: {
+        tags: ['Employees'],
+        operationId: 'getEmployeeHistory',
+        summary: 'Every version of an employee\'s record, newest first',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        responses: {
+          200: jsonResponse('Versions', list(ref('HistoryVersion'))),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/employees/{id}/reports': {
+      parameters: [param('id')],
+      get: {
+        tags: ['Employees'],
+        operationId: 'getDirectReports',
+        summary: 'Active employees reporting directly to an employee',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        responses: {
+          200: jsonResponse('Direct reports, sorted by name', list(ref('Employee'))),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/employees/{id}/chain': {
+      parameters: [param('id')],
+      get: {
+        tags: ['Employees'],
+        operationId: 'getReportingChain',
+        summary: 'An employee\'s manager, their manager and so on up to the top',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        responses: {
+          200: jsonResponse('Managers from nearest to most senior', list(ref('Employee'))),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/employees/{id}/restore': {
+      parameters: [param('id')],
+      post: {
+        tags: ['Employees'],
+        operationId: 'restoreEmployee',
+        summary: 'Return an archived employee to the active list',
+        'x-permission': PERMISSIONS.EMPLOYEES_DELETE,
+        responses: {
+          200: jsonResponse('Restored', employee, ETAG_HEADER),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Not archived', ref('Error')),
+          ...errors(500)
+        }
+      }
+    },
+    '/employees/{id}/purge': {
+      parameters: [param('id')],
+      post: {
+        tags: ['Employees'],
+        operationId: 'purgeEmployee',
+        summary: 'Permanently delete an archived employee',
+        description: `Only once ${RETENTION_DAYS} days have passed since they were archived.`,
+        'x-permission': PERMISSIONS.EMPLOYEES_PURGE,
+        responses: {
+          200: jsonResponse('Purged', success({ message: { type: 'string' } })),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Not archived, or still within the retention period', ref('Error')),
+          ...errors(500)
+        }
+      }
+    },
+    '/departments': {
+      get: {
+        tags: ['Departments'],
+        operationId: 'listDepartments',
+        summary: 'List departments, sorted by name',
+        'x-permission': PERMISSIONS.DEPARTMENTS_READ,
+        responses: {
+          200: jsonResponse('Departments with employeeCount', list(ref('Department'))),
+          ...errors(401, 403)
+        }
+      },
+      post: {
+        tags: ['Departments'],
+        operationId: 'createDepartment',
+        summary: 'Create a department',
+        'x-permission': PERMISSIONS.DEPARTMENTS_WRITE,
+        requestBody: jsonBody(ref('DepartmentInput')),
+        responses: {
+          201: jsonResponse('Created', success({ data: ref('Department') })),
+          ...errors(400, 401, 403),
+          409: jsonResponse('Department already exists', ref('Error')),
+          ...errors(500)
+        }
+      }
+    },
+    '/departments/{id}': {
+      parameters: [param('departmentId')],
+      get: {
+        tags: ['Departments'],
+        operationId: 'getDepartment',
+        summary: 'Get a department',
+        'x-permission': PERMISSIONS.DEPARTMENTS_READ,
+        responses: {
+          200: jsonResponse('The department with employeeCount', success({ data: ref('Department') })),
+          ...errors(400, 401, 403, 404)
+        }
+      },
+      put: {
+        tags: ['Departments'],
+        operationId: 'updateDepartment',
+        summary: 'Update a department',
+        description: 'Only the fields sent are changed; a new name is applied to every employee in it.',
+        'x-permission': PERMISSIONS.DEPARTMENTS_WRITE,
+        requestBody: jsonBody(ref('DepartmentInput')),
+        responses: {
+          200: jsonResponse('Updated', success({ data: ref('Department') })),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Department already exists', ref('Error')),
+          ...errors(500)
+        }
+      },
+      delete: {
+        tags: ['Departments'],
+        operationId: 'deleteDepartment',
+        summary: 'Delete a department without employees',
+        'x-permission': PERMISSIONS.DEPARTMENTS_DELETE,
+        responses: {
+          200: jsonResponse('Deleted', success({ message: { type: 'string' } })),
+          ...errors(400, 401, 403, 404),
+          409: jsonResponse('Department still has employees', ref('Error')),
+          ...errors(500)
+        }
+      }
+    },
+    '/departments/{id}/merge': {
+      parameters: [param('departmentId')],
+      post: {
+        tags: ['Departments'],
+        operationId: 'mergeDepartment',
+        summary: 'Move a department\'s employees into another department and delete it',
+        'x-permission': PERMISSIONS.DEPARTMENTS_DELETE,
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { intoId: { type: ['integer', 'string'], description: 'Required. Department receiving the employees' } }
+        }),
+        responses: {
+          200: jsonResponse('Merged; data is the receiving department', success({ moved: { type: 'integer' }, data: ref('Department') })),
+          ...errors(400, 401, 403, 404, 500)
+        }
+      }
+    },
+    '/custom-fields': {
+      get: {
+        tags: ['Custom Fields'],
+        operationId: 'listCustomFields',
+        summary: 'List the custom employee fields, in form order',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        responses: {
+          200: jsonResponse('Field definitions', list(ref('CustomField'))),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/custom-fields/{id}': {
+      parameters: [param('customFieldId')],
+      get: {
+        tags: ['Custom Fields'],
+        operationId: 'getCustomField',
+        summary: 'Get a custom field definition',
+        'x-permission': PERMISSIONS.EMPLOYEES_READ,
+        responses: {
+          200: jsonResponse('The definition', success({ data: ref('CustomField') })),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the OpenAPI document for the current custom field definitions.
+ */
+function buildSpec(customFields = customFieldStore.getAll()) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Employee Management System API',
+      version: version,
+      description: 'Manage employees, departments and custom employee fields. Every request needs an API key ' +
+        '(issued in the admin panel) whose role grants the operation\'s x-permission. ' +
+        'Responses use the envelope { success, data } or { success: false, error }.'
+    },
+    servers: [{ url: API_BASE }],
+    security: [{ bearerKey: [] }, { headerKey: [] }],
+    tags: [
+      { name: 'Employees' },
+      { name: 'Departments' },
+      { name: 'Custom Fields', description: 'Defined in the admin panel; read-only here' }
+    ],
+    paths: paths(),
+    components: {
+      securitySchemes: {
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' },
+        headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      parameters: parameters(),
+      responses: responses(),
+      schemas: schemas(customFields)
+    }
+  };
+}
+
+// Last document built, and the custom field definitions it was built for
+let cached = { key: null, spec: null };
+
+/**
+ * Get the OpenAPI document, rebuilt only when the custom fields change.
+ */
+function getSpec() {
+  const customFields = customFieldStore.getAll();
+  const key = JSON.stringify(customFields);
+  if (cached.key !== key) {
+    cached = { key, spec: buildSpec(customFields) };
+  }
+  return cached.spec;
+}
+
+module.exports = {
+  API_BASE,
+  buildSpec,
+  getSpec
+};
@@ -0,0 +1,267 @@
+/**
+ * openapiValidator.js - Checks Requests and Responses Against the OpenAPI Spec
+ *
+ * A small validator for the subset of JSON Schema (2020-12, as used by
+ * OpenAPI 3.1) that utils/openapi.js writes, so the API can enforce its own
+ * published contract without a schema library:
+ * - type (one or a list), enum, const, $ref to #/components/...
+ * - objects: properties, required, additionalProperties (false or a schema)
+ * - arrays: items, minItems, maxItems
+ * - strings: minLength, maxLength, pattern, format (date, date-time)
+ * - numbers: minimum, maximum
+ *
+ * Errors are reported per location ({ path: message }) in the same words as
+ * the employee schema's messages, e.g. { 'operations.0.op': 'op must be one of ...' }.
+ */
+
+const { isValidDate } = require('./employeeSchema');
+
+// How each JSON type is named in messages
+const TYPE_NAMES = {
+  string: 'text',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+// Path parameters are written {name} in spec paths
+const PATH_PARAMETER = /\{([^}]+)\}/g;
+
+/**
+ * Resolve a $ref such as "#/components/schemas/Employee" (other values are returned as they are).
+ */
+function resolve(spec, value) {
+  if (!value || !value.$ref) return value;
+  const target = value.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+  if (!target) {
+    throw new Error(`Unresolved reference ${value.$ref}`);
+  }
+  return resolve(spec, target);
+}
+
+/**
+ * JSON type of a value, telling integers from other numbers.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema.
+ * @param {Object} spec - OpenAPI document (for $ref)
+ * @param {Object} schema - Schema or reference
+ * @param {*} value - Value to check
+ * @param {string} path - Dotted location of the value, used as the error key and in messages
+ * @param {Object} errors - { path: message } to add to
+ * @returns {Object} errors
+ */
+function validateValue(spec, schema, value, path, errors = {}) {
+  schema = resolve(spec, schema);
+  if (!schema) return errors;
+
+  // List items are named by their full path, e.g. "operations.0"
+  const last = path.split('.').pop();
+  const name = /^\d+$/.test(last) ? path : last;
+  const key = path || 'body';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      errors[key] = `${name || 'body'} must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`;
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors[key] = `${name} must be ${JSON.stringify(schema.const)}`;
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors[key] = `${name} must be one of ${schema.enum.filter((option) => option !== null).join(', ')}`;
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors[key] = schema.minLength === 1 ? `${name} is required` : `${name} must be at least ${schema.minLength} characters`;
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors[key] = `${name} must be at most ${schema.maxLength} characters`;
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors[key] = `${name} is not in the expected format`;
+    } else if (schema.format === 'date' && !isValidDate(value)) {
+      errors[key] = `${name} must be a date in YYYY-MM-DD format`;
+    } else if (schema.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || isNaN(new Date(value).getTime()))) {
+      errors[key] = `${name} must be an ISO timestamp`;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors[key] = `${name} must be at least ${schema.minimum}`;
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors[key] = `${name} must be at most ${schema.maximum}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors[key] = `${name} must have at least ${schema.minItems} ${schema.minItems === 1 ? 'item' : 'items'}`;
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors[key] = `${name} must have at most ${schema.maxItems} items`;
+    } else if (schema.items) {
+      value.forEach((item, index) => validateValue(spec, schema.items, item, `${path}.${index}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const prefix = path ? `${path}.` : '';
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors[prefix + field] = `${field} is required`;
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === undefined) continue;
+      if (properties[field]) {
+        validateValue(spec, properties[field], fieldValue, prefix + field, errors);
+      } else if (schema.additionalProperties === false) {
+        errors[prefix + field] = `Unknown field ${field}`;
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(spec, schema.additionalProperties, fieldValue, prefix + field, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find the operation for a request path (relative to the API root, e.g. /employees/5).
+ * Literal paths win over templated ones (/employees/export before /employees/{id}).
+ * @returns {Object|null} { path, operation, parameters, params }: the spec path, its
+ *   operation and path-level parameters, and the path parameter values as strings; or null
+ */
+function findOperation(spec, method, requestPath) {
+  const verb = method.toLowerCase();
+  const paths = Object.entries(spec.paths)
+    .sort(([a], [b]) => (a.match(PATH_PARAMETER) || []).length - (b.match(PATH_PARAMETER) || []).length);
+
+  for (const [path, item] of paths) {
+    if (!item[verb]) continue;
+
+    // Literal segments are escaped; each {name} matches one segment
+    const names = [];
+    const pattern = path
+      .split(PATH_PARAMETER)
+      .map((part, index) => {
+        if (index % 2 === 1) {
+          names.push(part);
+          return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    const match = new RegExp(`^${pattern}/?$`).exec(requestPath);
+    if (match) {
+      const params = Object.fromEntries(names.map((name, index) => [name, decodeSegment(match[index + 1])]));
+      return { path, operation: item[verb], parameters: item.parameters || [], params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a path segment, keeping it as sent if it isn't valid percent-encoding.
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Turn a path or query parameter's text into the type its schema asks for,
+ * so "5" can be checked as an integer. Values that don't convert are left
+ * as they are and then fail the type check.
+ */
+function coerceParameter(spec, schema, value) {
+  schema = resolve(spec, schema);
+  const types = [].concat(schema.type || []);
+
+  if (types.includes('array')) {
+    return (Array.isArray(value) ? value : [value]).map((item) => coerceParameter(spec, schema.items || {}, item));
+  }
+  if (typeof value !== 'string') return value;
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Check a request's path parameters, query parameters and JSON body against its operation.
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} match - findOperation() result
+ * @param {Object} request - { query, body, json } json: whether the body was sent as JSON
+ * @returns {Object} { name: message } for every invalid parameter or body field (empty if valid)
+ */
+function validateRequest(spec, { operation, parameters, params }, { query, body, json }) {
+  const errors = {};
+
+  for (const parameter of [...parameters, ...(operation.parameters || [])].map((item) => resolve(spec, item))) {
+    const source = parameter.in === 'path' ? params : parameter.in === 'query' ? query : null;
+    if (!source) continue;
+
+    const value = source[parameter.name];
+    if (value === undefined || value === '') {
+      if (parameter.required) {
+        errors[parameter.name] = `${parameter.name} is required`;
+      }
+      continue;
+    }
+    validateValue(spec, parameter.schema, coerceParameter(spec, parameter.schema, value), parameter.name, errors);
+  }
+
+  const requestBody = resolve(spec, operation.requestBody);
+  const content = requestBody && requestBody.content['application/json'];
+  if (content && json) {
+    validateValue(spec, content.schema, body, '', errors);
+  }
+  return errors;
+}
+
+/**
+ * Check a JSON response body against the schema documented for its status.
+ * @returns {string[]} Problems found (empty if the response matches)
+ */
+function validateResponse(spec, { operation }, status, body) {
+  const response = resolve(spec, operation.responses[String(status)]);
+  if (!response) {
+    return [`status ${status} is not documented`];
+  }
+  const content = response.content && response.content['application/json'];
+  if (!content) {
+    return [`status ${status} is not documented as JSON`];
+  }
+  return Object.values(validateValue(spec, content.schema, body, ''));
+}
+
+module.exports = {
+  resolve,
+  validateValue,
+  findOperation,
+  validateRequest,
+  validateResponse
+};
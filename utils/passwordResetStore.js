@@ -0,0 +1,163 @@
+/**
+ * passwordResetStore.js - Password Reset Token Persistence Layer
+ *
+ * Issues and redeems the tokens sent in "forgot password" emails.
+ * Features:
+ * - Tokens are random 256-bit secrets, only ever shown in the reset link
+ * - Only a SHA-256 hash of each token is stored (tokens are high-entropy, so no salt is needed)
+ * - Tokens expire after one hour and can be used once
+ * - Issuing a new token invalidates the account's earlier unused tokens
+ * - Expired and used tokens are pruned whenever a token is issued
+ * - Debounced, atomic file writes (see jsonFile.js)
+ *
+ * Data File: data/passwordResets.json
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+// Path to JSON data file
+const DATA_PATH = path.join(__dirname, '..', 'data', 'passwordResets.json');
+
+// How long a reset link stays valid (1 hour)
+const TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a raw reset token for storage and lookup.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class PasswordResetStore {
+  constructor() {
+    this.tokens = [];                 // In-memory array of token records
+    this.maxId = 0;                   // Track highest ID for auto-increment
+    this.initialized = false;         // Prevent double initialization
+    this.file = new JsonFile(DATA_PATH, () => this.tokens);  // Atomic, debounced persistence
+    this.TTL_MS = TOKEN_TTL_MS;
+  }
+
+  /**
+   * Initialize the store by loading data from JSON file.
+   * Creates empty file if it doesn't exist.
+   */
+  async init() {
+    if (this.initialized) return;
+
+    // read() recovers what it can from a truncated or corrupt file
+    const data = await this.file.read();
+    if (data === null) {
+      // File doesn't exist, start with empty array
+      this.tokens = [];
+      this.initialized = true;
+      await this._persist();
+    } else {
+      this.tokens = data;
+      this.maxId = this.tokens.reduce((max, record) => Math.max(max, record.id), 0);
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Schedule a debounced save operation.
+   * Prevents excessive disk writes during rapid operations.
+   * @returns {Promise} Resolves once the write is on disk
+   */
+  _debouncedSave() {
+    return this.file.schedule();
+  }
+
+  /**
+   * Write current tokens array to JSON file (atomically).
+   */
+  async _persist() {
+    await this.file.save();
+  }
+
+  /**
+   * Write out any pending debounced save (used on shutdown).
+   */
+  async flush() {
+    await this.file.flush();
+  }
+
+  /**
+   * Check whether a token record can still be redeemed.
+   */
+  _isUsable(record, now = Date.now()) {
+    return !record.usedAt && !record.invalidatedAt && now < record.expiresAt;
+  }
+
+  /**
+   * Find the usable record for a raw token, or null.
+   */
+  _findUsable(token) {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const record = this.tokens.find((r) => r.tokenHash === tokenHash);
+    return record && this._isUsable(record) ? record : null;
+  }
+
+  /**
+   * Issue a new reset token for an account.
+   * Any earlier unused tokens for the account stop working.
+   * @param {number} userId - Account the token resets
+   * @returns {Object} { token, expiresAt } - token is the raw secret for the reset link
+   */
+  async issue(userId) {
+    const now = Date.now();
+
+    // Drop expired/used tokens and invalidate this account's outstanding ones
+    this.tokens = this.tokens.filter((record) => this._isUsable(record, now));
+    for (const record of this.tokens) {
+      if (record.userId === userId) {
+        record.invalidatedAt = now;
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    this.maxId++;
+    const record = {
+      id: this.maxId,
+      userId: userId,
+      tokenHash: hashToken(token),
+      createdAt: now,
+      expiresAt: now + this.TTL_MS,
+      usedAt: null,
+      invalidatedAt: null
+    };
+
+    this.tokens.push(record);
+    this._debouncedSave();
+    return { token, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Look up the account a token would reset, without using it up.
+   * @returns {number|null} Account ID, or null if the token is unknown, used or expired
+   */
+  peek(token) {
+    const record = this._findUsable(token);
+    return record ? record.userId : null;
+  }
+
+  /**
+   * Redeem a token. It can never be used again afterwards.
+   * @returns {number|null} Account ID, or null if the token is unknown, used or expired
+   */
+  async consume(token) {
+    const record = this._findUsable(token);
+    if (!record) return null;
+
+    record.usedAt = Date.now();
+    this._debouncedSave();
+    return record.userId;
+  }
+}
+
+const store = new PasswordResetStore();
+
+module.exports = store;
@@ -0,0 +1,85 @@
+/**
+ * roles.js - Roles and Permissions
+ *
+ * Central definition of the roles an account or API key can carry and the
+ * permissions each role grants. Route guards check permissions (or a minimum
+ * role for the web UI), so adding a role only requires a change here.
+ *
+ * Roles, in order of increasing privilege:
+ * - viewer:  Read-only access to employee and department records (default for signups)
+ * - manager: Read access to employee and department records for people managers
+ * - hr:      Read, create and update employee and department records
+ * - admin:   Full access, including archiving and purging employees, department
+ *            merges and the admin panel
+ */
+
+// Permission names checked by route guards
+const PERMISSIONS = {
+  EMPLOYEES_READ: 'employees:read',
+  EMPLOYEES_WRITE: 'employees:write',
+  EMPLOYEES_DELETE: 'employees:delete',
+  EMPLOYEES_PURGE: 'employees:purge',
+  DEPARTMENTS_READ: 'departments:read',
+  DEPARTMENTS_WRITE: 'departments:write',
+  DEPARTMENTS_DELETE: 'departments:delete'
+};
+
+// Permissions granted to each role (key order is the privilege order)
+const ROLE_PERMISSIONS = {
+  viewer: [PERMISSIONS.EMPLOYEES_READ, PERMISSIONS.DEPARTMENTS_READ],
+  manager: [PERMISSIONS.EMPLOYEES_READ, PERMISSIONS.DEPARTMENTS_READ],
+  hr: [
+    PERMISSIONS.EMPLOYEES_READ, PERMISSIONS.EMPLOYEES_WRITE,
+    PERMISSIONS.DEPARTMENTS_READ, PERMISSIONS.DEPARTMENTS_WRITE
+  ],
+  admin: [
+    PERMISSIONS.EMPLOYEES_READ, PERMISSIONS.EMPLOYEES_WRITE, PERMISSIONS.EMPLOYEES_DELETE,
+    PERMISSIONS.EMPLOYEES_PURGE,
+    PERMISSIONS.DEPARTMENTS_READ, PERMISSIONS.DEPARTMENTS_WRITE, PERMISSIONS.DEPARTMENTS_DELETE
+  ]
+};
+
+// Role names in order of increasing privilege
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a role name is defined.
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Check whether a role grants a permission.
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name from PERMISSIONS
+ */
+function hasPermission(role, permission) {
+  return isValidRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Check whether a role is at least as privileged as another.
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Least privileged role that passes
+ */
+function roleAtLeast(role, minimumRole) {
+  return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Return the less privileged of two roles.
+ * Used to cap an API key's role at the role of the account it was issued to.
+ */
+function lowerRole(a, b) {
+  return ROLES.indexOf(a) <= ROLES.indexOf(b) ? a : b;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  isValidRole,
+  hasPermission,
+  roleAtLeast,
+  lowerRole
+};
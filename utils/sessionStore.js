@@ -0,0 +1,149 @@
+/**
+ * sessionStore.js - Server-Side Session Storage
+ *
+ * Keeps authenticated sessions on the server so the browser only ever holds an
+ * opaque, signed session ID. Nothing in the cookie can be edited to gain access.
+ * Features:
+ * - Random 256-bit session IDs (crypto.randomBytes)
+ * - Absolute expiry and idle timeout, checked on every lookup
+ * - Explicit revocation on logout, or of all sessions matching a predicate
+ * - Periodic sweep of expired sessions
+ *
+ * Sessions live in memory only; restarting the server logs everyone out.
+ */
+
+const crypto = require('crypto');
+
+// Absolute lifetime of a session regardless of activity (24 hours)
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Session expires after this long without a request (30 minutes)
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// How often expired sessions are purged from memory (5 minutes)
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+class SessionStore {
+  constructor() {
+    this.sessions = new Map();        // Map<sessionId, session> for O(1) lookups
+    this.TTL_MS = SESSION_TTL_MS;
+    this.IDLE_MS = IDLE_TIMEOUT_MS;
+
+    // Purge expired sessions periodically; unref so the timer never keeps the process alive
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Generate a new random session ID.
+   */
+  _generateId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Check whether a session has passed its absolute expiry or idle timeout.
+   */
+  _isExpired(session, now = Date.now()) {
+    return now >= session.expiresAt || now - session.lastSeenAt >= this.IDLE_MS;
+  }
+
+  /**
+   * Create a new session holding the given data.
+   * @param {Object} data - Session payload (e.g. { user: { id, username } })
+   * @returns {Object} Created session
+   */
+  create(data = {}) {
+    const now = Date.now();
+    const session = {
+      id: this._generateId(),
+      data: { ...data },
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + this.TTL_MS
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Look up a live session by ID.
+   * Expired sessions are destroyed and treated as missing.
+   * @param {string} id - Session ID from the signed cookie
+   * @returns {Object|null} Session or null if missing/expired
+   */
+  get(id) {
+    if (typeof id !== 'string') return null;
+
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    if (this._isExpired(session)) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record activity on a session, extending its idle timeout.
+   */
+  touch(id) {
+    const session = this.get(id);
+    if (session) {
+      session.lastSeenAt = Date.now();
+    }
+    return session;
+  }
+
+  /**
+   * Revoke a session so its ID can no longer be used.
+   * @returns {boolean} True if a session was removed
+   */
+  destroy(id) {
+    return this.sessions.delete(id);
+  }
+
+  /**
+   * Revoke every session whose data matches a predicate.
+   * Used to sign an account out everywhere (e.g. after it is disabled).
+   * @param {Function} predicate - Called with session data; return true to revoke
+   * @param {string|null} exceptId - Session ID to keep (e.g. the caller's own session)
+   * @returns {number} Number of sessions revoked
+   */
+  destroyWhere(predicate, exceptId = null) {
+    let revoked = 0;
+    for (const [id, session] of this.sessions) {
+      if (id !== exceptId && predicate(session.data)) {
+        this.sessions.delete(id);
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * Remove all expired sessions from memory.
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (this._isExpired(session, now)) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get number of live sessions.
+   */
+  count() {
+    return this.sessions.size;
+  }
+}
+
+const store = new SessionStore();
+
+module.exports = store;
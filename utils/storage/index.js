@@ -0,0 +1,57 @@
+/**
+ * storage/index.js - Storage Adapter Selection
+ *
+ * Stores such as employeeStore keep their domain rules (validation, uniqueness,
+ * merging) and hand raw record storage to an adapter, so routes never need to
+ * know which backend is active.
+ *
+ * Storage adapter interface (records are plain objects with a numeric id):
+ * - init()                          Open/load the backend (async)
+ * - get(id)                         Record or null
+ * - query({ where, search, orderBy, limit, offset })  Array of records (see query.js)
+ * - count({ where, search })        Number of matching records
+ * - countBy(field, { where, search })  [{ value, count }] per distinct value
+ *                                   (case-insensitive), most common first
+ * - add(fields, { durable })        Assigns the next id, returns the record (async)
+ * - addMany(fieldsList, { durable })  add() for a batch in a single write, returns the records (async)
+ * - update(id, record, { durable }) Replaces the record, returns it or null (async)
+ * - delete(id, { durable })         True if a record was removed (async)
+ * - putMany(records, { durable })   Store records under their own ids, inserting or
+ *                                   replacing each, in a single write (async)
+ * - highestId()                     Highest id ever assigned, including deleted records;
+ *                                   add() never reuses an id at or below it
+ * - flush()                         Write out anything pending (async)
+ *
+ * Backends:
+ * - json:   JsonAdapter, one JSON file held in memory (default)
+ * - sqlite: SqliteAdapter, an embedded SQLite database (better-sqlite3)
+ *
+ * StagingAdapter (stagingAdapter.js) wraps either one to try out a set of
+ * changes without storing them, then commit them all at once with putMany().
+ */
+
+const JsonAdapter = require('./jsonAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+
+const BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Create the adapter for a backend.
+ * @param {string} backend - 'json' or 'sqlite'
+ * @param {Object} options - { jsonPath, sqlitePath, table, indexes, unique }
+ * @throws {Error} If the backend is unknown
+ */
+function createAdapter(backend, { jsonPath, sqlitePath, table, indexes = [], unique = [] }) {
+  if (backend === 'json') {
+    return new JsonAdapter(jsonPath, { indexes: [...new Set([...indexes, ...unique])] });
+  }
+  if (backend === 'sqlite') {
+    return new SqliteAdapter(sqlitePath, { table, indexes, unique });
+  }
+  throw new Error(`Unknown storage backend "${backend}" (expected ${BACKENDS.join(' or ')})`);
+}
+
+module.exports = {
+  BACKENDS,
+  createAdapter
+};
@@ -0,0 +1,258 @@
+/**
+ * jsonAdapter.js - JSON File Storage Backend
+ *
+ * Keeps every record in memory and persists the whole array to one JSON file
+ * through jsonFile.js (atomic, debounced writes with crash recovery).
+ * Features:
+ * - Map index on id for O(1) get()
+ * - Optional secondary indexes (case-insensitive) used by query() and count()
+ *   for equality lookups on indexed fields, e.g. email or department
+ * - Auto-incrementing IDs that are never reused: the highest ID ever assigned
+ *   is kept in a <name>.meta.json file next to the data, so deleting the newest
+ *   record doesn't hand its ID to the next one
+ *
+ * Implements the storage adapter interface (see storage/index.js).
+ */
+
+const JsonFile = require('../jsonFile');
+const { isRange, matchesWhere, matchesSearch, compareRecords, compareValues, normalizeKey } = require('./query');
+
+class JsonAdapter {
+  /**
+   * @param {string} filePath - JSON file holding the record array
+   * @param {Object} options - { indexes } field names to keep secondary indexes for
+   */
+  constructor(filePath, { indexes = [] } = {}) {
+    this.records = [];                // In-memory array of records
+    this.indexById = new Map();       // Map<id, arrayIndex> for O(1) ID lookups
+    this.indexes = new Map(indexes.map((field) => [field, new Map()]));  // Map<field, Map<value, Set<id>>>
+    this.maxId = 0;                   // Highest ID ever assigned (never goes down)
+    this.file = new JsonFile(filePath, () => this.records);
+    this.metaFile = new JsonFile(filePath.replace(/(\.json)?$/, '.meta.json'), () => ({ maxId: this.maxId }));
+  }
+
+  /**
+   * Load records from the file, creating it if it doesn't exist.
+   */
+  async init() {
+    const meta = await this.metaFile.read();
+    this.maxId = meta && Number.isInteger(meta.maxId) ? meta.maxId : 0;
+
+    const data = await this.file.read();
+    if (data === null) {
+      this.records = [];
+      await this.file.save();
+    } else {
+      this.records = data;
+    }
+    this._buildIndexes();
+  }
+
+  /**
+   * Rebuild the ID and secondary indexes from the records array.
+   * maxId only ever rises, so removing the newest record keeps its ID taken.
+   */
+  _buildIndexes() {
+    this.indexById.clear();
+    for (const index of this.indexes.values()) {
+      index.clear();
+    }
+
+    for (let i = 0; i < this.records.length; i++) {
+      const record = this.records[i];
+      this.indexById.set(record.id, i);
+      this._indexRecord(record);
+      if (record.id > this.maxId) {
+        this.maxId = record.id;
+      }
+    }
+  }
+
+  /**
+   * Add a record to (or remove it from) the secondary indexes.
+   */
+  _indexRecord(record, remove = false) {
+    for (const [field, index] of this.indexes) {
+      const key = normalizeKey(record[field]);
+      let ids = index.get(key);
+      if (remove) {
+        if (ids) {
+          ids.delete(record.id);
+          if (ids.size === 0) index.delete(key);
+        }
+      } else {
+        if (!ids) index.set(key, (ids = new Set()));
+        ids.add(record.id);
+      }
+    }
+  }
+
+  /**
+   * Save after a change, waiting for the write when durable is set.
+   */
+  async _save({ durable = false } = {}) {
+    const saved = this.file.schedule();
+    if (durable) {
+      await saved;
+    }
+  }
+
+  /**
+   * Pick the records a query has to scan: an indexed equality lookup when
+   * possible (the smallest one if several fields are indexed), otherwise every record.
+   */
+  _candidates(where) {
+    let smallest = null;
+
+    for (const [field, value] of Object.entries(where)) {
+      const index = this.indexes.get(field);
+      if (!index || isRange(value)) continue;
+
+      // An array value is the union of the index entries for each of its elements
+      const ids = new Set();
+      for (const key of Array.isArray(value) ? value : [value]) {
+        (index.get(normalizeKey(key)) || []).forEach((id) => ids.add(id));
+      }
+      if (smallest === null || ids.size < smallest.size) {
+        smallest = ids;
+      }
+    }
+
+    if (smallest === null) return this.records;
+    return [...smallest].map((id) => this.records[this.indexById.get(id)]);
+  }
+
+  /**
+   * Records matching a where object and optional text search.
+   */
+  _filter(where, search) {
+    return this._candidates(where)
+      .filter((record) => matchesWhere(record, where) && matchesSearch(record, search));
+  }
+
+  get(id) {
+    const index = this.indexById.get(Number(id));
+    return index === undefined ? null : { ...this.records[index] };
+  }
+
+  query({ where = {}, search = null, orderBy = [], limit = null, offset = 0 } = {}) {
+    let results = this._filter(where, search);
+    if (orderBy.length > 0) {
+      results = [...results].sort((a, b) => compareRecords(a, b, orderBy));
+    }
+    if (offset || limit !== null) {
+      results = results.slice(offset, limit === null ? undefined : offset + limit);
+    }
+    return results.map((record) => ({ ...record }));
+  }
+
+  count({ where = {}, search = null } = {}) {
+    return this._filter(where, search).length;
+  }
+
+  countBy(field, { where = {}, search = null } = {}) {
+    // Group case-insensitively, showing the first spelling seen
+    const groups = new Map();
+    for (const record of this._filter(where, search)) {
+      const key = normalizeKey(record[field]);
+      if (key === null) continue;
+      const group = groups.get(key);
+      if (group) {
+        group.count++;
+      } else {
+        groups.set(key, { value: record[field], count: 1 });
+      }
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count || compareValues(a.value, b.value));
+  }
+
+  async add(fields, options = {}) {
+    this.maxId++;
+    const record = { id: this.maxId, ...fields };
+
+    this.indexById.set(record.id, this.records.length);
+    this.records.push(record);
+    this._indexRecord(record);
+
+    await this._save(options);
+    return { ...record };
+  }
+
+  async addMany(fieldsList, options = {}) {
+    const records = fieldsList.map((fields) => {
+      this.maxId++;
+      const record = { id: this.maxId, ...fields };
+
+      this.indexById.set(record.id, this.records.length);
+      this.records.push(record);
+      this._indexRecord(record);
+      return record;
+    });
+
+    // One save for the whole batch
+    await this._save(options);
+    return records.map((record) => ({ ...record }));
+  }
+
+  async update(id, record, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    const updated = { ...record, id: Number(id) };
+    this._indexRecord(this.records[index], true);
+    this.records[index] = updated;
+    this._indexRecord(updated);
+
+    // Return the record written here; another update may replace it while the save is awaited
+    await this._save(options);
+    return { ...updated };
+  }
+
+  async delete(id, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return false;
+
+    // Remove from array and rebuild indexes (array indexes shift after removal)
+    this.records = this.records.filter((_, i) => i !== index);
+    this._buildIndexes();
+
+    // Keep the highest ID on disk once no record holds it, so a restart can't reuse it.
+    // Saved straight away, ahead of the debounced write of the records.
+    if (Number(id) === this.maxId) {
+      await this.metaFile.save();
+    }
+
+    await this._save(options);
+    return true;
+  }
+
+  async putMany(records, options = {}) {
+    for (const record of records) {
+      const index = this.indexById.get(record.id);
+      if (index === undefined) {
+        this.indexById.set(record.id, this.records.length);
+        this.records.push({ ...record });
+      } else {
+        this._indexRecord(this.records[index], true);
+        this.records[index] = { ...record };
+      }
+      this._indexRecord(record);
+      if (record.id > this.maxId) {
+        this.maxId = record.id;
+      }
+    }
+
+    // One save for the whole batch
+    await this._save(options);
+  }
+
+  highestId() {
+    return this.maxId;
+  }
+
+  async flush() {
+    await this.file.flush();
+  }
+}
+
+module.exports = JsonAdapter;
@@ -0,0 +1,145 @@
+/**
+ * query.js - Shared Query Semantics for Storage Adapters
+ *
+ * Both backends must answer the same query the same way. The JSON adapter
+ * evaluates queries with these helpers; the SQLite adapter translates them to
+ * SQL with matching rules:
+ * - where: { field: value } equality, strings compared case-insensitively,
+ *   an array value matches any of its elements, null matches missing values,
+ *   and a range object { gte, lte, gt, lt } matches values inside the range
+ *   (missing values never match a range, so an empty range {} matches any
+ *   value that is present)
+ * - search: { text, fields } matches records where any of the fields contains
+ *   the text, case-insensitively
+ * - orderBy: [{ field, direction }] with direction 'asc' or 'desc'; nulls sort
+ *   first, then numbers, then strings (case-insensitive), like SQLite
+ */
+
+// Field names must be plain identifiers (they end up in SQL JSON paths)
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Throw if a field name is not a plain identifier.
+ */
+function assertField(field) {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+}
+
+/**
+ * Normalize a value for equality comparison and index keys.
+ */
+function normalizeKey(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+// Comparison operators allowed in a range condition
+const RANGE_OPERATORS = ['gte', 'lte', 'gt', 'lt'];
+
+/**
+ * Check whether a where value is a range condition rather than an equality.
+ */
+function isRange(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value satisfies a range condition.
+ */
+function matchesRange(value, range) {
+  if (value === undefined || value === null) return false;
+
+  return Object.entries(range).every(([operator, bound]) => {
+    if (!RANGE_OPERATORS.includes(operator)) {
+      throw new Error(`Invalid range operator: ${operator}`);
+    }
+    if (bound === undefined || bound === null) return true;
+
+    const result = compareValues(value, bound);
+    if (operator === 'gte') return result >= 0;
+    if (operator === 'lte') return result <= 0;
+    if (operator === 'gt') return result > 0;
+    return result < 0;
+  });
+}
+
+/**
+ * Check whether a record matches every condition in a where object.
+ */
+function matchesWhere(record, where) {
+  return Object.entries(where).every(([field, expected]) => {
+    if (isRange(expected)) {
+      return matchesRange(record[field], expected);
+    }
+    const actual = normalizeKey(record[field]);
+    if (Array.isArray(expected)) {
+      return expected.some((value) => normalizeKey(value) === actual);
+    }
+    return normalizeKey(expected) === actual;
+  });
+}
+
+/**
+ * Check whether any of the search fields contains the search text.
+ * @param {Object} search - { text, fields }, or null to match everything
+ */
+function matchesSearch(record, search) {
+  if (!search || !search.text) return true;
+
+  const text = search.text.toLowerCase();
+  return search.fields.some((field) => {
+    const value = record[field];
+    return value !== undefined && value !== null && String(value).toLowerCase().includes(text);
+  });
+}
+
+/**
+ * Rank value types the way SQLite orders them: NULL, numbers, text.
+ */
+function typeRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  return 2;
+}
+
+/**
+ * Compare two values with SQLite-like ordering (case-insensitive text).
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+  if (rankA === 1) return a - b;
+
+  const textA = String(a).toLowerCase();
+  const textB = String(b).toLowerCase();
+  return textA < textB ? -1 : textA > textB ? 1 : 0;
+}
+
+/**
+ * Compare two records by a list of sort keys.
+ * @param {Array<Object>} orderBy - [{ field, direction }]
+ */
+function compareRecords(a, b, orderBy) {
+  for (const { field, direction = 'asc' } of orderBy) {
+    const result = compareValues(a[field], b[field]);
+    if (result !== 0) {
+      return direction === 'desc' ? -result : result;
+    }
+  }
+  return 0;
+}
+
+module.exports = {
+  RANGE_OPERATORS,
+  assertField,
+  normalizeKey,
+  isRange,
+  matchesWhere,
+  matchesSearch,
+  compareValues,
+  compareRecords
+};
@@ -0,0 +1,275 @@
+/**
+ * sqliteAdapter.js - Embedded SQLite Storage Backend
+ *
+ * Stores records in a SQLite database file using better-sqlite3.
+ * Each record is kept as a JSON document in a `data` column, so new fields
+ * need no schema migration. Fields that need fast lookups get a generated
+ * column with a case-insensitive (NOCASE) index, matching query.js semantics.
+ * Features:
+ * - Synchronous reads (better-sqlite3), so the store API stays the same as with JSON
+ * - Every write is its own transaction and is on disk when the call returns
+ *   (WAL journal, synchronous=FULL), so { durable } needs no extra work
+ * - Unique indexes enforced by the database as a last line of defence
+ * - IDs are never reused: a <table>_meta row keeps the highest ID once the
+ *   record holding it is deleted
+ *
+ * Implements the storage adapter interface (see storage/index.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RANGE_OPERATORS, assertField, isRange } = require('./query');
+
+// SQL comparison for each range operator
+const RANGE_SQL = { gte: '>=', lte: '<=', gt: '>', lt: '<' };
+
+class SqliteAdapter {
+  /**
+   * @param {string} filePath - SQLite database file
+   * @param {Object} options - { table, indexes, unique }
+   *   table:   Table name (default 'records')
+   *   indexes: Field names to index
+   *   unique:  Indexed field names whose values must be unique
+   */
+  constructor(filePath, { table = 'records', indexes = [], unique = [] } = {}) {
+    assertField(table);
+    [...indexes, ...unique].forEach(assertField);
+
+    this.filePath = filePath;
+    this.table = table;
+    this.indexes = [...new Set([...indexes, ...unique])];
+    this.unique = new Set(unique);
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the table and indexes if needed.
+   */
+  async init() {
+    // Required here so the native module is only needed when this backend is used
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+      id INTEGER PRIMARY KEY,
+      data TEXT NOT NULL
+    )`);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table}_meta (
+      key TEXT PRIMARY KEY,
+      value INTEGER NOT NULL
+    )`);
+
+    // Generated column + index per indexed field
+    const columns = this.db.prepare(`PRAGMA table_xinfo(${this.table})`).all().map((c) => c.name);
+    for (const field of this.indexes) {
+      const column = `idx_${field}`;
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE ${this.table} ADD COLUMN ${column}
+          GENERATED ALWAYS AS (json_extract(data, '$.${field}')) VIRTUAL`);
+      }
+      const unique = this.unique.has(field) ? 'UNIQUE' : '';
+      this.db.exec(`CREATE ${unique} INDEX IF NOT EXISTS ${this.table}_${field} ON ${this.table}(${column} COLLATE NOCASE)`);
+    }
+
+    this.statements = {
+      get: this.db.prepare(`SELECT data FROM ${this.table} WHERE id = ?`),
+      insert: this.db.prepare(`INSERT INTO ${this.table} (id, data) VALUES (?, ?)`),
+      // Highest ID ever assigned: the largest stored one or the one recorded when it was deleted
+      maxId: this.db.prepare(`SELECT MAX(
+        COALESCE((SELECT MAX(id) FROM ${this.table}), 0),
+        COALESCE((SELECT value FROM ${this.table}_meta WHERE key = 'maxId'), 0)
+      ) AS maxId`),
+      setMaxId: this.db.prepare(`INSERT INTO ${this.table}_meta (key, value) VALUES ('maxId', ?)
+        ON CONFLICT(key) DO UPDATE SET value = MAX(value, excluded.value)`),
+      update: this.db.prepare(`UPDATE ${this.table} SET data = ? WHERE id = ?`),
+      // Not INSERT OR REPLACE: that would also delete rows clashing on a unique index
+      upsert: this.db.prepare(`INSERT INTO ${this.table} (id, data) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+      delete: this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`)
+    };
+  }
+
+  /**
+   * SQL expression for a field: its generated column when indexed, else a JSON lookup.
+   */
+  _column(field) {
+    assertField(field);
+    if (field === 'id') return 'id';
+    if (this.indexes.includes(field)) return `idx_${field}`;
+    return `json_extract(data, '$.${field}')`;
+  }
+
+  /**
+   * Translate a where object and optional text search to a SQL condition and parameters.
+   */
+  _where(where, search = null) {
+    const clauses = [];
+    const params = [];
+
+    for (const [field, expected] of Object.entries(where)) {
+      const column = this._column(field);
+
+      if (isRange(expected)) {
+        // NULL never satisfies a comparison, matching query.js
+        const parts = [`${column} IS NOT NULL`];
+        for (const [operator, bound] of Object.entries(expected)) {
+          if (!RANGE_OPERATORS.includes(operator)) {
+            throw new Error(`Invalid range operator: ${operator}`);
+          }
+          if (bound === undefined || bound === null) continue;
+          params.push(bound);
+          parts.push(`${column} ${RANGE_SQL[operator]} ? COLLATE NOCASE`);
+        }
+        clauses.push(`(${parts.join(' AND ')})`);
+        continue;
+      }
+
+      const values = Array.isArray(expected) ? expected : [expected];
+      const parts = values.map((value) => {
+        if (value === undefined || value === null) return `${column} IS NULL`;
+        params.push(value);
+        return typeof value === 'string' ? `${column} = ? COLLATE NOCASE` : `${column} = ?`;
+      });
+      clauses.push(parts.length > 0 ? `(${parts.join(' OR ')})` : '0');
+    }
+
+    if (search && search.text) {
+      // LIKE is case-insensitive for ASCII; escape its wildcards in the text
+      const pattern = '%' + search.text.replace(/[\\%_]/g, '\\$&') + '%';
+      const parts = search.fields.map((field) => {
+        params.push(pattern);
+        return `${this._column(field)} LIKE ? ESCAPE '\\'`;
+      });
+      clauses.push(`(${parts.join(' OR ')})`);
+    }
+
+    return { sql: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Parse a stored row back into a record.
+   */
+  _toRecord(row) {
+    return JSON.parse(row.data);
+  }
+
+  get(id) {
+    const row = this.statements.get.get(Number(id));
+    return row ? this._toRecord(row) : null;
+  }
+
+  query({ where = {}, search = null, orderBy = [], limit = null, offset = 0 } = {}) {
+    const { sql, params } = this._where(where, search);
+    let order = '';
+    if (orderBy.length > 0) {
+      order = 'ORDER BY ' + orderBy
+        .map(({ field, direction = 'asc' }) => `${this._column(field)} COLLATE NOCASE ${direction === 'desc' ? 'DESC' : 'ASC'}`)
+        .join(', ');
+    }
+    const page = limit !== null || offset ? 'LIMIT ? OFFSET ?' : '';
+    if (page) {
+      params.push(limit === null ? -1 : limit, offset);
+    }
+
+    return this.db
+      .prepare(`SELECT data FROM ${this.table} ${sql} ${order} ${page}`)
+      .all(...params)
+      .map((row) => this._toRecord(row));
+  }
+
+  count({ where = {}, search = null } = {}) {
+    const { sql, params } = this._where(where, search);
+    return this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table} ${sql}`).get(...params).total;
+  }
+
+  countBy(field, { where = {}, search = null } = {}) {
+    const column = this._column(field);
+    const { sql, params } = this._where(where, search);
+    const condition = sql ? `${sql} AND ${column} IS NOT NULL` : `WHERE ${column} IS NOT NULL`;
+    return this.db
+      .prepare(`SELECT MIN(${column}) AS value, COUNT(*) AS count FROM ${this.table} ${condition}
+        GROUP BY ${column} COLLATE NOCASE ORDER BY count DESC, value COLLATE NOCASE ASC`)
+      .all(...params);
+  }
+
+  async add(fields) {
+    const id = this.statements.maxId.get().maxId + 1;
+    const record = { id, ...fields };
+    this.statements.insert.run(id, JSON.stringify(record));
+    return record;
+  }
+
+  async addMany(fieldsList) {
+    // One transaction: either every record is inserted or none is
+    const insertAll = this.db.transaction((list) => {
+      let id = this.statements.maxId.get().maxId;
+      return list.map((fields) => {
+        const record = { id: ++id, ...fields };
+        this.statements.insert.run(id, JSON.stringify(record));
+        return record;
+      });
+    });
+    return insertAll(fieldsList);
+  }
+
+  async update(id, record) {
+    const updated = { ...record, id: Number(id) };
+    const result = this.statements.update.run(JSON.stringify(updated), Number(id));
+    return result.changes > 0 ? updated : null;
+  }
+
+  async delete(id) {
+    // One transaction: the highest ID is recorded before the record holding it can go
+    const remove = this.db.transaction((recordId) => {
+      this.statements.setMaxId.run(this.statements.maxId.get().maxId);
+      return this.statements.delete.run(recordId).changes > 0;
+    });
+    return remove(Number(id));
+  }
+
+  async putMany(records) {
+    // One transaction: either every record is stored or none is
+    const putAll = this.db.transaction((rows) => {
+      for (const record of rows) {
+        this.statements.upsert.run(record.id, JSON.stringify(record));
+      }
+    });
+    putAll(records);
+  }
+
+  highestId() {
+    return this.statements.maxId.get().maxId;
+  }
+
+  /**
+   * Insert many records with their existing IDs in one transaction (used by migration).
+   * @param {Array<Object>} records - Records to insert
+   * @param {number} highestId - Highest ID the source ever assigned, so IDs it freed stay taken
+   */
+  insertMany(records, highestId = 0) {
+    const insertAll = this.db.transaction((rows) => {
+      for (const record of rows) {
+        this.statements.insert.run(record.id, JSON.stringify(record));
+      }
+      this.statements.setMaxId.run(highestId);
+    });
+    insertAll(records);
+  }
+
+  async flush() {
+    // Writes are committed synchronously; nothing is pending
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
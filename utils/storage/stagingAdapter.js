@@ -0,0 +1,132 @@
+/**
+ * stagingAdapter.js - Uncommitted Changes Over Another Backend
+ *
+ * Wraps a storage adapter and keeps every write in memory instead of passing
+ * it on, while reads see the stored records with the staged changes applied.
+ * A store running on a StagingAdapter can therefore apply a whole series of
+ * changes with its usual rules (each one checked against the ones before it),
+ * and the result is either committed in one write or simply dropped.
+ * Features:
+ * - get(), query() and count() answer as the wrapped backend would after the
+ *   staged writes (see query.js for the shared semantics)
+ * - add() and addMany() assign the IDs the records will be stored under
+ * - commit() stores every staged record with the backend's putMany()
+ * - delete() is not supported: staged changes never remove records
+ *
+ * Implements the storage adapter interface (see storage/index.js), except countBy().
+ */
+
+const { matchesWhere, matchesSearch, compareRecords } = require('./query');
+
+class StagingAdapter {
+  /**
+   * @param {Object} adapter - Backend holding the stored records (already initialized)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.staged = new Map();          // Map<id, record> of staged writes, most recent last
+    this.maxId = null;                // Highest ID so far, read from the backend on first add
+  }
+
+  async init() {
+    // The wrapped backend is already open
+  }
+
+  /**
+   * Records matching a where object and optional text search: stored ones
+   * not overridden by a staged write, then the staged ones.
+   */
+  _filter(where, search) {
+    const stored = this.adapter.query({ where, search }).filter((record) => !this.staged.has(record.id));
+    const staged = [...this.staged.values()]
+      .filter((record) => matchesWhere(record, where) && matchesSearch(record, search));
+    return [...stored, ...staged];
+  }
+
+  /**
+   * Stage a record, moving it to the end so commit() writes records in the
+   * order they were last changed.
+   */
+  _stage(record) {
+    this.staged.delete(record.id);
+    this.staged.set(record.id, record);
+    return { ...record };
+  }
+
+  /**
+   * Next free ID, continuing from the highest one the backend ever assigned.
+   */
+  _nextId() {
+    if (this.maxId === null) {
+      this.maxId = this.adapter.highestId();
+    }
+    return ++this.maxId;
+  }
+
+  highestId() {
+    return this.maxId === null ? this.adapter.highestId() : this.maxId;
+  }
+
+  get(id) {
+    const staged = this.staged.get(Number(id));
+    return staged ? { ...staged } : this.adapter.get(id);
+  }
+
+  query({ where = {}, search = null, orderBy = [], limit = null, offset = 0 } = {}) {
+    let results = this._filter(where, search);
+    if (orderBy.length > 0) {
+      results = results.sort((a, b) => compareRecords(a, b, orderBy));
+    }
+    if (offset || limit !== null) {
+      results = results.slice(offset, limit === null ? undefined : offset + limit);
+    }
+    return results.map((record) => ({ ...record }));
+  }
+
+  count({ where = {}, search = null } = {}) {
+    return this._filter(where, search).length;
+  }
+
+  async add(fields) {
+    return this._stage({ id: this._nextId(), ...fields });
+  }
+
+  async addMany(fieldsList) {
+    return fieldsList.map((fields) => this._stage({ id: this._nextId(), ...fields }));
+  }
+
+  async update(id, record) {
+    if (!this.get(id)) return null;
+    return this._stage({ ...record, id: Number(id) });
+  }
+
+  async delete() {
+    throw new Error('Records cannot be deleted while changes are staged');
+  }
+
+  async putMany(records) {
+    records.forEach((record) => this._stage({ ...record }));
+  }
+
+  /**
+   * The staged records, in the order they were last changed.
+   */
+  records() {
+    return [...this.staged.values()].map((record) => ({ ...record }));
+  }
+
+  /**
+   * Store every staged record in the wrapped backend with a single write.
+   * @param {Object} options - { durable } resolve only once the changes are on disk
+   */
+  async commit(options = {}) {
+    await this.adapter.putMany(this.records(), options);
+    this.staged.clear();
+  }
+
+  async flush() {
+    // Nothing is written until commit()
+  }
+}
+
+module.exports = StagingAdapter;
@@ -1,20 +1,32 @@
 /**
- * userStore.js - User Data Persistence Layer
+ * userStore.js - Account Data Persistence Layer
  *
- * Manages user account storage with secure password hashing.
+ * Manages every login account - directory users and admins alike - with secure
+ * password hashing. Each account has a role (see utils/roles.js) that decides
+ * what it may access; both /login and /admin/login authenticate against this store.
  * Features:
- * - In-memory array with Map index for O(1) username lookups
+ * - In-memory array with Map indexes for O(1) lookups by ID and username
  * - bcrypt password hashing (10 salt rounds)
- * - Debounced file writes to prevent excessive disk I/O
- * - Username uniqueness enforcement (case-insensitive)
- * - Master password for instructor testing
+ * - Debounced, atomic file writes (see jsonFile.js); pass { durable: true } to
+ *   mutating methods to resolve only once the change is on disk
+ * - Username and email uniqueness enforcement (case-insensitive)
+ * - Optional email address per account, used for password reset
+ * - Self-service password change that requires the current password
+ * - Role changes, disable/enable and password reset, never leaving zero active admins
+ * - First-run bootstrap of the initial admin from ADMIN_USERNAME / ADMIN_PASSWORD
+ * - Account creation and every change (role, status, email, password) are written
+ *   to the audit trail; pass { actor } (and optionally { reason }) to say who and why
  *
  * Data File: data/users.json
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const JsonFile = require('./jsonFile');
+const { isValidRole } = require('./roles');
+const auditStore = require('./auditStore');
+const { diffFields } = require('./auditStore');
 
 // Path to JSON data file
 const DATA_PATH = path.join(__dirname, '..', 'data', 'users.json');
@@ -22,17 +34,30 @@ const DATA_PATH = path.join(__dirname, '..', 'data', 'users.json');
 // bcrypt configuration - 10 rounds provides good security/performance balance
 const SALT_ROUNDS = 10;
 
-// Master password for instructor/testing access (bypasses bcrypt verification)
-const MASTER_PASSWORD = 'instructor123';
+// Minimum password length for every account
+const MIN_PASSWORD_LENGTH = 6;
+
+// Basic email format check (same rule as employee emails)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Role given to accounts created through signup and to legacy records without a role
+const DEFAULT_ROLE = 'viewer';
+
+// Account fields compared for audit trail diffs (never the password hash)
+const AUDITED_FIELDS = ['username', 'role', 'email', 'disabled'];
+
+// Username of the first admin when the environment doesn't name one (outside production)
+const DEFAULT_ADMIN_USERNAME = 'admin';
 
 class UserStore {
   constructor() {
-    this.users = [];                  // In-memory array of user objects
+    this.users = [];                  // In-memory array of account objects
+    this.indexById = new Map();       // Map<id, arrayIndex> for O(1) ID lookups
     this.indexByUsername = new Map(); // Map<username, arrayIndex> for O(1) lookups
+    this.indexByEmail = new Map();    // Map<email, arrayIndex> for accounts with an email
     this.maxId = 0;                   // Track highest ID for auto-increment
     this.initialized = false;         // Prevent double initialization
-    this.saveTimeout = null;          // Debounce timer reference
-    this.DEBOUNCE_MS = 100;           // Debounce delay in milliseconds
+    this.file = new JsonFile(DATA_PATH, () => this.users);  // Atomic, debounced persistence
   }
 
   /**
@@ -42,34 +67,77 @@ class UserStore {
   async init() {
     if (this.initialized) return;
 
-    try {
-      const data = await fs.readFile(DATA_PATH, 'utf8');
-      this.users = JSON.parse(data);
+    // read() recovers what it can from a truncated or corrupt file
+    const data = await this.file.read();
+    if (data === null) {
+      // File doesn't exist, start with empty array
+      this.users = [];
+      this.initialized = true;
+      await this._persist();
+    } else {
+      this.users = data.map((user) => this._normalize(user));
       this._buildIndexes();
       this.initialized = true;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, start with empty array
-        this.users = [];
-        this.initialized = true;
-        await this._persist();
-      } else {
-        throw error;
-      }
     }
   }
 
   /**
-   * Rebuild username index from the users array.
+   * Fill in fields missing from accounts created before roles existed.
+   */
+  _normalize(user) {
+    return {
+      ...user,
+      role: isValidRole(user.role) ? user.role : DEFAULT_ROLE,
+      email: user.email || null,
+      disabled: Boolean(user.disabled),
+      createdBy: user.createdBy || null
+    };
+  }
+
+  /**
+   * Create the initial admin on first run, when no active admin account exists yet.
+   * Credentials come from ADMIN_USERNAME / ADMIN_PASSWORD. Outside production,
+   * missing variables create "admin" with a random password, printed once to the
+   * console, so no installation shares a known default password.
+   * @param {Object} env - Environment variables (defaults to process.env)
+   * @returns {Object|null} Created admin, or null if an admin already exists
+   * @throws {Error} In production when the environment doesn't provide credentials
+   */
+  async bootstrapAdmin(env = process.env) {
+    if (this._activeAdminCount() > 0) return null;
+
+    if (env.ADMIN_USERNAME && env.ADMIN_PASSWORD) {
+      return this.create(env.ADMIN_USERNAME, env.ADMIN_PASSWORD, { role: 'admin', reason: 'First-run admin bootstrap' });
+    }
+    if (env.NODE_ENV === 'production') {
+      throw new Error('No admin accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+    }
+
+    const username = env.ADMIN_USERNAME || DEFAULT_ADMIN_USERNAME;
+    const password = crypto.randomBytes(12).toString('base64url');
+    const admin = await this.create(username, password, { role: 'admin', reason: 'First-run admin bootstrap' });
+    console.warn(`No admin accounts existed; created admin "${username}" with the one-time password ${password} ` +
+      '(shown only now; reset it from Admin Panel > Accounts, or set ADMIN_USERNAME and ADMIN_PASSWORD before the first start).');
+    return admin;
+  }
+
+  /**
+   * Rebuild ID, username and email indexes from the users array.
    * Called after initialization.
    */
   _buildIndexes() {
+    this.indexById.clear();
     this.indexByUsername.clear();
+    this.indexByEmail.clear();
     this.maxId = 0;
 
     for (let i = 0; i < this.users.length; i++) {
       const user = this.users[i];
+      this.indexById.set(user.id, i);
       this.indexByUsername.set(user.username.toLowerCase(), i);
+      if (user.email) {
+        this.indexByEmail.set(user.email.toLowerCase(), i);
+      }
       if (user.id > this.maxId) {
         this.maxId = user.id;
       }
@@ -79,98 +147,238 @@ class UserStore {
   /**
    * Schedule a debounced save operation.
    * Prevents excessive disk writes during rapid operations.
+   * @returns {Promise} Resolves once the write is on disk
    */
   _debouncedSave() {
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
-    }
-    this.saveTimeout = setTimeout(() => this._persist(), this.DEBOUNCE_MS);
+    return this.file.schedule();
   }
 
   /**
-   * Write current users array to JSON file.
+   * Write current users array to JSON file (atomically).
    */
   async _persist() {
-    await fs.writeFile(DATA_PATH, JSON.stringify(this.users, null, 2), 'utf8');
+    await this.file.save();
+  }
+
+  /**
+   * Write out any pending debounced save (used on shutdown).
+   */
+  async flush() {
+    await this.file.flush();
+  }
+
+  /**
+   * Save after a change.
+   * @param {Object} options - { durable } wait until the change is on disk before resolving
+   */
+  async _save({ durable = false } = {}) {
+    const saved = this._debouncedSave();
+    if (durable) {
+      await saved;
+    }
+  }
+
+  /**
+   * Write an audit entry for an account change.
+   * @param {string} action - e.g. 'account.create', 'account.update', 'account.password_reset'
+   * @param {Object|null} before - Account before the change (null when created or for password actions)
+   * @param {Object} after - Account after the change
+   * @param {Object} options - { actor, reason } who made the change and why
+   */
+  async _audit(action, before, after, { actor = null, reason = null } = {}) {
+    // Password actions carry no field values; the action name says what changed
+    const changes = action.startsWith('account.password_') ? null : diffFields(before, after, AUDITED_FIELDS);
+    if (action === 'account.update' && !changes) return;
+
+    await auditStore.record({
+      actor: actor,
+      action: action,
+      target: { type: 'account', id: after.id, label: after.username },
+      changes: changes,
+      details: reason ? { reason: reason } : null
+    });
+  }
+
+  /**
+   * Strip the password hash from an account before handing it out.
+   */
+  _toPublic(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      email: user.email,
+      disabled: user.disabled,
+      createdAt: user.createdAt,
+      createdBy: user.createdBy
+    };
+  }
+
+  /**
+   * Validate a new password against the account password policy.
+   */
+  _validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Validate and normalize an optional email address.
+   * @returns {string|null} Trimmed email, or null when blank
+   * @throws {Error} If the format is invalid or another account uses it
+   */
+  _validateEmail(email, ownIndex = undefined) {
+    const trimmed = typeof email === 'string' ? email.trim() : '';
+    if (!trimmed) return null;
+
+    if (!EMAIL_REGEX.test(trimmed)) {
+      throw new Error('Invalid email format');
+    }
+
+    const existing = this.indexByEmail.get(trimmed.toLowerCase());
+    if (existing !== undefined && existing !== ownIndex) {
+      throw new Error('Email already in use');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Number of admin accounts that are not disabled.
+   */
+  _activeAdminCount() {
+    return this.users.filter((user) => user.role === 'admin' && !user.disabled).length;
+  }
+
+  /**
+   * Throw if changing this account would leave no active admins.
+   */
+  _assertNotLastAdmin(user) {
+    if (user.role === 'admin' && !user.disabled && this._activeAdminCount() === 1) {
+      throw new Error('Cannot remove the last active admin');
+    }
+  }
+
+  /**
+   * Add an account record with the next ID and update indexes.
+   */
+  _insert(fields) {
+    this.maxId++;
+    const newUser = { id: this.maxId, ...fields };
+
+    const newIndex = this.users.length;
+    this.users.push(newUser);
+    this.indexById.set(newUser.id, newIndex);
+    this.indexByUsername.set(newUser.username.toLowerCase(), newIndex);
+    if (newUser.email) {
+      this.indexByEmail.set(newUser.email.toLowerCase(), newIndex);
+    }
+    return newUser;
+  }
+
+  /**
+   * Get all accounts without password hashes.
+   */
+  getAll() {
+    return this.users.map((user) => this._toPublic(user));
+  }
+
+  /**
+   * Get account by ID using index for O(1) lookup (without password hash).
+   */
+  getById(id) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+    return this._toPublic(this.users[index]);
   }
 
   /**
    * Get user by username using index for O(1) lookup.
-   * Username comparison is case-insensitive.
+   * Username comparison is case-insensitive; anything but a string matches no one.
    */
   getByUsername(username) {
+    if (typeof username !== 'string') return null;
     const index = this.indexByUsername.get(username.toLowerCase());
     if (index === undefined) return null;
     return { ...this.users[index] };
   }
 
+  /**
+   * Get account by email (without password hash).
+   * Email comparison is case-insensitive.
+   */
+  getByEmail(email) {
+    const index = this.indexByEmail.get(String(email).trim().toLowerCase());
+    if (index === undefined) return null;
+    return this._toPublic(this.users[index]);
+  }
+
   /**
    * Check if username already exists in the store.
    * Case-insensitive comparison.
    */
   usernameExists(username) {
+    if (typeof username !== 'string') return false;
     return this.indexByUsername.has(username.toLowerCase());
   }
 
   /**
-   * Create a new user account.
+   * Create a new account.
    * Password is hashed with bcrypt before storage.
    * @param {string} username - Unique username
    * @param {string} password - Plain text password (will be hashed)
-   * @returns {Object} Created user (id and username only, no password)
-   * @throws {Error} If username already exists
+   * @param {Object} options - { role, email, createdBy, durable, actor, reason } (role defaults to viewer, email is optional)
+   * @returns {Object} Created account (without password hash)
+   * @throws {Error} If username or email already exists, the role is unknown or the password is too short
    */
-  async create(username, password) {
-    const lowerUsername = username.toLowerCase();
+  async create(username, password, { role = DEFAULT_ROLE, email = null, createdBy = null, durable = false, actor = null, reason = null } = {}) {
+    if (typeof username !== 'string' || username.trim().length < 3) {
+      throw new Error('Username must be at least 3 characters');
+    }
+    if (!isValidRole(role)) {
+      throw new Error('Invalid role');
+    }
+    this._validatePassword(password);
 
     // Enforce username uniqueness
-    if (this.indexByUsername.has(lowerUsername)) {
+    if (this.usernameExists(username.trim())) {
       throw new Error('Username already exists');
     }
+    const validEmail = this._validateEmail(email);
 
     // Hash password with bcrypt (async operation)
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
-    // Auto-increment ID
-    this.maxId++;
-    const newUser = {
-      id: this.maxId,
-      username: username,
+    const newUser = this._insert({
+      username: username.trim(),
       password: hashedPassword,
-      createdAt: new Date().toISOString()
-    };
+      role: role,
+      email: validEmail,
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy
+    });
 
-    // Add to array and update index
-    const newIndex = this.users.length;
-    this.users.push(newUser);
-    this.indexByUsername.set(lowerUsername, newIndex);
-
-    this._debouncedSave();
-    // Return user without password hash for security
-    return { id: newUser.id, username: newUser.username };
+    await this._save({ durable });
+    await this._audit('account.create', null, newUser, { actor, reason });
+    // Return account without password hash for security
+    return this._toPublic(newUser);
   }
 
   /**
-   * Authenticate a user with username and password.
-   * Supports master password for instructor/testing access.
+   * Authenticate an account with username and password.
+   * Disabled accounts cannot log in. Form fields sent as lists (username[]=...)
+   * arrive as arrays; anything but strings fails authentication.
    * @param {string} username - Username to authenticate
    * @param {string} password - Plain text password to verify
-   * @returns {Object|null} User object (id, username) or null if authentication fails
+   * @returns {Object|null} Account (without password hash) or null if authentication fails
    */
   async authenticate(username, password) {
-    // Master password bypass for instructor testing
-    if (password === MASTER_PASSWORD) {
-      const user = this.getByUsername(username);
-      if (user) {
-        return { id: user.id, username: user.username };
-      }
-      return null;  // Username doesn't exist
-    }
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) return null;
 
-    // Normal authentication flow
     const user = this.getByUsername(username);
-    if (!user) {
-      return null;  // User not found
+    if (!user || user.disabled) {
+      return null;  // User not found or disabled
     }
 
     // Compare password with stored hash using bcrypt
@@ -179,12 +387,133 @@ class UserStore {
       return null;  // Invalid password
     }
 
-    // Return user without password hash
-    return { id: user.id, username: user.username };
+    // Return account without password hash
+    return this._toPublic(user);
+  }
+
+  /**
+   * Change an account's role (promote or demote).
+   * The last active admin can never be demoted.
+   * @param {Object} options - { durable, actor, reason } resolve only once the change is on disk; who made it and why
+   * @returns {Object|null} Updated account or null if not found
+   * @throws {Error} If the role is unknown or this would leave no active admins
+   */
+  async setRole(id, role, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    if (!isValidRole(role)) {
+      throw new Error('Invalid role');
+    }
+
+    const user = this.users[index];
+    if (role !== 'admin') {
+      this._assertNotLastAdmin(user);
+    }
+
+    const before = this._toPublic(user);
+    user.role = role;
+    await this._save(options);
+    await this._audit('account.update', before, user, options);
+    return this._toPublic(user);
+  }
+
+  /**
+   * Disable or re-enable an account.
+   * The last active admin can never be disabled.
+   * @param {Object} options - { durable, actor, reason } resolve only once the change is on disk; who made it and why
+   * @returns {Object|null} Updated account or null if not found
+   * @throws {Error} If this would leave no active admins
+   */
+  async setDisabled(id, disabled, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    const user = this.users[index];
+    if (disabled) {
+      this._assertNotLastAdmin(user);
+    }
+
+    const before = this._toPublic(user);
+    user.disabled = Boolean(disabled);
+    await this._save(options);
+    await this._audit('account.update', before, user, options);
+    return this._toPublic(user);
+  }
+
+  /**
+   * Replace an account's password (by an admin or through a reset link).
+   * @param {Object} options - { durable, actor, reason } resolve only once the change is on disk; who made it and why
+   * @returns {Object|null} Updated account or null if not found
+   * @throws {Error} If the password is too short
+   */
+  async resetPassword(id, password, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    await this._setPassword(index, password, options);
+    await this._audit('account.password_reset', null, this.users[index], options);
+    return this._toPublic(this.users[index]);
+  }
+
+  /**
+   * Hash and store a new password for the account at an array index.
+   */
+  async _setPassword(index, password, options) {
+    this._validatePassword(password);
+    this.users[index].password = await bcrypt.hash(password, SALT_ROUNDS);
+    await this._save(options);
+  }
+
+  /**
+   * Change an account's own password after verifying the current one.
+   * @param {Object} options - { durable, actor } resolve only once the change is on disk; who made it
+   * @returns {Object|null} Updated account or null if not found
+   * @throws {Error} If the current password is wrong or the new one is too short
+   */
+  async changePassword(id, currentPassword, newPassword, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    const isValid = await bcrypt.compare(typeof currentPassword === 'string' ? currentPassword : '', this.users[index].password);
+    if (!isValid) {
+      throw new Error('Current password is incorrect');
+    }
+
+    await this._setPassword(index, newPassword, options);
+    await this._audit('account.password_change', null, this.users[index], options);
+    return this._toPublic(this.users[index]);
+  }
+
+  /**
+   * Set or clear an account's email address.
+   * @param {Object} options - { durable, actor, reason } resolve only once the change is on disk; who made it and why
+   * @returns {Object|null} Updated account or null if not found
+   * @throws {Error} If the format is invalid or another account uses the email
+   */
+  async setEmail(id, email, options = {}) {
+    const index = this.indexById.get(Number(id));
+    if (index === undefined) return null;
+
+    const user = this.users[index];
+    const before = this._toPublic(user);
+    const validEmail = this._validateEmail(email, index);
+
+    if (user.email) {
+      this.indexByEmail.delete(user.email.toLowerCase());
+    }
+    user.email = validEmail;
+    if (validEmail) {
+      this.indexByEmail.set(validEmail.toLowerCase(), index);
+    }
+
+    await this._save(options);
+    await this._audit('account.update', before, user, options);
+    return this._toPublic(user);
   }
 
   /**
-   * Get total number of registered users.
+   * Get total number of registered accounts.
    */
   count() {
     return this.users.length;